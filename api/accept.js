@@ -0,0 +1,181 @@
+// /api/accept.js
+// Vercel Serverless Function (Node, ESM)
+// Accept one package from a stored proposal: a tier (Ignite/Elevate/Luminary) or a one-off service.
+// -> snapshot signer + timestamp + exact price from the stored proposal -> mark the record accepted
+// -> queue a proposal_accepted event for the GHL inbound webhook (same payload shape as intake; lib/crm-outbox.js).
+// Accepted records are kept for the "accepted" retention (lib/retention.js, default 90 days).
+// The record is written with a compare-and-set on its `version` (lib/storage.js kvSetJsonIfVersion), so two
+// concurrent accepts can't both win and only the winner queues a CRM event.
+// Counts the proposal_accepted funnel step (lib/analytics.js).
+//
+// Request (JSON):
+//   { pid, token, selection: { type: "tier" | "service", name }, signer_name, agree: true }
+//   token = the proposal's view token (lib/proposal-access.js), as on the summary link
+//
+// Responses:
+//   200 { ok: true, pid, acceptance, crm_notified, crm_error }   (repeat of the same acceptance is idempotent and
+//       returns the public acceptance, without signer_name; crm_notified=false means the CRM event is queued for retry)
+//   400 { ok: false, error, errors?: [{ field, message }] }
+//   401 missing / invalid / expired view token ({ code: "invalid_token" | "token_expired" })
+//   404 proposal expired / unknown pid
+//   409 proposal not ready yet, already accepted with a different package, or changed by a concurrent request
+//       (retry: a repeat of the winning acceptance is idempotent)
+//   403 / 413 / 429 origin, body size, rate limit (lib/guard.js)
+//
+// Required env:
+//   KV_REST_API_URL     (or STORAGE_BACKEND=memory|file, see lib/storage.js)
+//   KV_REST_API_TOKEN
+//   GHL_WEBHOOK_URL
+
+import { waitUntil } from "@vercel/functions";
+import { GHL_EVENTS, buildGHLPayload } from "../lib/ghl.js";
+import { sendCrmEvent } from "../lib/crm-outbox.js";
+import { loadPricingCatalog } from "../lib/pricing-catalog.js";
+import { StorageError, kvGetJson, kvSetJsonIfVersion } from "../lib/storage.js";
+import { retentionSeconds } from "../lib/retention.js";
+import { verifyViewToken } from "../lib/proposal-access.js";
+import { publicAcceptance } from "../lib/proposal-records.js";
+import { applyCors, checkRateLimit, readJsonBody, requestOrigin, sendBodyError, sendRateLimited } from "../lib/guard.js";
+import { leadDimensions, trackEvent } from "../lib/analytics.js";
+
+const SELECTION_TYPES = ["tier", "service"];
+
+function sendJson(res, status, obj) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.end(JSON.stringify(obj));
+}
+function bad(res, status, msg, extra = {}) {
+  return sendJson(res, status, { ok: false, error: msg, ...extra });
+}
+
+// -------------------- Helpers --------------------
+function parseAcceptRequest(body) {
+  const errors = [];
+  const pid = typeof body.pid === "string" ? body.pid.trim() : "";
+  if (!pid) errors.push({ field: "pid", message: "Required" });
+
+  const sel = body.selection && typeof body.selection === "object" ? body.selection : {};
+  const type = String(sel.type || "").trim();
+  const name = String(sel.name || "").trim();
+  if (!SELECTION_TYPES.includes(type)) errors.push({ field: "selection.type", message: `Must be one of ${SELECTION_TYPES.join("|")}` });
+  if (!name) errors.push({ field: "selection.name", message: "Required" });
+
+  const signer_name = typeof body.signer_name === "string" ? body.signer_name.trim() : "";
+  if (!signer_name) errors.push({ field: "signer_name", message: "Required" });
+  else if (signer_name.length > 120) errors.push({ field: "signer_name", message: "Must be at most 120 characters" });
+
+  if (body.agree !== true) errors.push({ field: "agree", message: "Must be true" });
+
+  return { errors, pid, type, name, signer_name };
+}
+
+function sameName(a, b) {
+  return String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+}
+
+// Exact price as quoted in the stored proposal at the moment of acceptance.
+function priceSnapshot(proposal, type, name) {
+  const { currency } = loadPricingCatalog();
+  if (type === "tier") {
+    const tier = (Array.isArray(proposal.tiers) ? proposal.tiers : []).find((t) => sameName(t?.name, name));
+    if (!tier) return null;
+    return {
+      name: tier.name,
+      monthly_price: tier.monthly_price ?? tier.price_monthly ?? null,
+      activation_fee: tier.activation_fee ?? null,
+      currency
+    };
+  }
+  const svc = (Array.isArray(proposal.one_off_services) ? proposal.one_off_services : []).find((s) => sameName(s?.name, name));
+  if (!svc) return null;
+  return { name: svc.name, pricing: svc.pricing || "", currency };
+}
+
+// -------------------- Handler --------------------
+export default async function handler(req, res) {
+  if (applyCors(req, res, ["POST"])) return;
+  if (req.method !== "POST") return bad(res, 405, "Use POST");
+
+  const limited = await checkRateLimit(req, "accept");
+  if (limited) return sendRateLimited(res, limited);
+
+  const read = await readJsonBody(req, "accept");
+  if (!read.ok) return sendBodyError(res, read);
+  const body = read.body;
+  if (!body || typeof body !== "object") return bad(res, 400, "Invalid JSON body");
+
+  const { errors, pid, type, name, signer_name } = parseAcceptRequest(body);
+  if (errors.length) return bad(res, 400, "Invalid acceptance", { errors });
+
+  try {
+    const access = verifyViewToken(pid, body.token);
+    if (!access.ok) {
+      return access.reason === "expired"
+        ? bad(res, 401, "This proposal link has expired", { code: "token_expired" })
+        : bad(res, 401, "Missing or invalid view token", { code: "invalid_token" });
+    }
+
+    const key = `proposal:${pid}`;
+    const record = await kvGetJson(key);
+    if (!record) return bad(res, 404, "Proposal not found (expired or invalid pid)");
+    if (!record.proposal || (record.status && record.status !== "ready")) {
+      return bad(res, 409, "Proposal is not ready to accept");
+    }
+
+    const snapshot = priceSnapshot(record.proposal, type, name);
+    if (!snapshot) {
+      return bad(res, 400, "Invalid acceptance", { errors: [{ field: "selection.name", message: `No ${type} named "${name}" in this proposal` }] });
+    }
+
+    if (record.acceptance) {
+      const prev = record.acceptance;
+      if (prev.type === type && sameName(prev.name, snapshot.name)) {
+        // A repeat only needs the outcome; the stored signer name is not echoed back to whoever holds the link.
+        return sendJson(res, 200, { ok: true, pid, acceptance: publicAcceptance(prev), crm_notified: !!prev.crm_notified });
+      }
+      return bad(res, 409, `Proposal already accepted (${prev.type}: ${prev.name})`);
+    }
+
+    const acceptance = {
+      type,
+      name: snapshot.name,
+      signer_name,
+      accepted_at: new Date().toISOString(),
+      price_snapshot: snapshot,
+      crm_notified: false
+    };
+    const version = Number(record.version) || 0;
+    const accepted = { ...record, accepted: true, acceptance, version: version + 1 };
+    if (!(await kvSetJsonIfVersion(key, accepted, version, retentionSeconds("accepted")))) {
+      return bad(res, 409, "Proposal was updated concurrently. Retry.");
+    }
+    waitUntil(trackEvent("proposal_accepted", { id: pid, ...leadDimensions({ intake: record.intake }) }));
+
+    // The acceptance is already stored; a CRM failure is reported and retried by the outbox, not fatal.
+    const crm = await sendCrmEvent({
+      pid,
+      event: GHL_EVENTS.PROPOSAL_ACCEPTED,
+      payload: () => buildGHLPayload(record.intake || {}, GHL_EVENTS.PROPOSAL_ACCEPTED, {
+        pid,
+        package_type: type,
+        package_name: snapshot.name,
+        monthly_price: snapshot.monthly_price ?? null,
+        activation_fee: snapshot.activation_fee ?? null,
+        pricing: snapshot.pricing ?? null,
+        signer_name,
+        accepted_at: acceptance.accepted_at
+      }, { pid, proposal: record.proposal, leadScore: record.lead_score, origin: requestOrigin(req) })
+    });
+    const crm_error = crm.ok ? null : crm.error || crm.entry?.last_error || "CRM delivery pending";
+    if (crm.ok) {
+      // Best effort: if the record moved on meanwhile, the outbox entry still says the event was delivered.
+      acceptance.crm_notified = true;
+      await kvSetJsonIfVersion(key, { ...accepted, version: version + 2 }, version + 1, retentionSeconds("accepted"));
+    }
+
+    return sendJson(res, 200, { ok: true, pid, acceptance, crm_notified: acceptance.crm_notified, crm_error });
+  } catch (e) {
+    return bad(res, e instanceof StorageError ? 503 : 500, e?.message || "Server error");
+  }
+}
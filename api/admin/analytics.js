@@ -0,0 +1,58 @@
+// /api/admin/analytics.js
+// Vercel Serverless Function (Node, ESM)
+// Funnel report over the daily counters kept by lib/analytics.js: how many visitors reached each step, the
+// conversion from the previous step and from the first one, overall and per lead source / inferred industry /
+// A/B variant (lib/experiments.js), plus each variant's submit and acceptance rate.
+//
+// Needs Authorization: Bearer <ADMIN_TOKEN> (or <CRON_SECRET>; see lib/admin-auth.js).
+//
+//   GET /api/admin/analytics?from=YYYY-MM-DD&to=YYYY-MM-DD   (UTC days, inclusive; default: the last 30 days,
+//                                                             at most 92)
+//
+// Responses:
+//   200 { ok: true, from, to, days,
+//         funnel: [{ event, count, rate_from_previous, rate_from_start }],   FUNNEL order, then other stages
+//         by_source: { <slug>: funnel }, by_industry: { <slug>: funnel }, by_variant: { <slug>: funnel },
+//         experiments: [{ variant, chats, submitted, accepted, submit_rate, accept_rate }],
+//           submit_rate = intake_submitted / chat_started, accept_rate = proposal_accepted / intake_submitted
+//         daily: [{ date, counts: { <event>: n } }] }
+//   400/401/503 { ok: false, error }
+// Rates are 0..1 (null when the step before had no visitors). Steps are counted once per visitor, but on the
+// day they happened, so a range cutting through a visit can show a later step above an earlier one.
+
+import { isAdminRequest } from "../../lib/admin-auth.js";
+import { dayKey, funnelReport } from "../../lib/analytics.js";
+import { StorageError } from "../../lib/storage.js";
+
+const DEFAULT_DAYS = 30;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function sendJson(res, status, obj) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.end(JSON.stringify(obj));
+}
+function bad(res, status, msg) {
+  return sendJson(res, status, { ok: false, error: msg });
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") return bad(res, 405, "Use GET");
+  if (!isAdminRequest(req)) return bad(res, 401, "Unauthorized");
+
+  const url = new URL(req.url, "http://localhost");
+  const valid = (d) => DATE_RE.test(d) && Number.isFinite(Date.parse(`${d}T00:00:00Z`));
+  const to = (url.searchParams.get("to") || "").trim() || dayKey();
+  if (!valid(to)) return bad(res, 400, "to must be YYYY-MM-DD");
+  const from = (url.searchParams.get("from") || "").trim() || dayKey(Date.parse(`${to}T00:00:00Z`) - (DEFAULT_DAYS - 1) * 86400000);
+  if (!valid(from)) return bad(res, 400, "from must be YYYY-MM-DD");
+
+  let report;
+  try {
+    report = await funnelReport({ from, to });
+  } catch (e) {
+    if (e instanceof StorageError) return bad(res, 503, e.message);
+    return bad(res, 400, e?.message || "Invalid range");
+  }
+  return sendJson(res, 200, { ok: true, ...report });
+}
@@ -0,0 +1,46 @@
+// /api/admin/failures.js
+// Vercel Serverless Function (Node, ESM)
+// Failed proposal generations (proposal_fail:<pid>, written by lib/proposal-job.js). The lead still got a
+// template proposal; these keep the provider's raw output for debugging prompts and the schema.
+//
+// Needs Authorization: Bearer <ADMIN_TOKEN> (or <CRON_SECRET>; see lib/admin-auth.js).
+//
+//   GET /api/admin/failures              -> { ok, total, count, failures: [{ pid, created_at, business_name, email,
+//                                             error, validation_errors (count), has_raw }] }
+//   GET /api/admin/failures?pid=X        -> { ok, failure: { pid, created_at, intake, error, raw1, raw2,
+//                                             validation_errors } }
+//
+// Retry a failure with POST /api/admin/leads { action: "retry", pid }.
+
+import { isAdminRequest } from "../../lib/admin-auth.js";
+import { listFailures, loadFailure } from "../../lib/proposal-records.js";
+import { StorageError } from "../../lib/storage.js";
+
+function sendJson(res, status, obj) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.end(JSON.stringify(obj));
+}
+function bad(res, status, msg) {
+  return sendJson(res, status, { ok: false, error: msg });
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") return bad(res, 405, "Use GET");
+  if (!isAdminRequest(req)) return bad(res, 401, "Unauthorized");
+
+  try {
+    const url = new URL(req.url, "http://localhost");
+    const pid = (url.searchParams.get("pid") || "").trim();
+    if (pid) {
+      const failure = await loadFailure(pid);
+      if (!failure) return bad(res, 404, "Failure not found (expired, retried or invalid pid)");
+      return sendJson(res, 200, { ok: true, failure });
+    }
+
+    const { failures, total } = await listFailures();
+    return sendJson(res, 200, { ok: true, total, count: failures.length, failures });
+  } catch (e) {
+    return bad(res, e instanceof StorageError ? 503 : 500, e?.message || "Server error");
+  }
+}
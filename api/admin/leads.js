@@ -0,0 +1,93 @@
+// /api/admin/leads.js
+// Vercel Serverless Function (Node, ESM)
+// Operator view of stored leads (lib/proposal-records.js): list/search, retry generation, delete.
+//
+// Needs Authorization: Bearer <ADMIN_TOKEN> (or <CRON_SECRET>; see lib/admin-auth.js).
+//
+//   GET  /api/admin/leads?from=2026-01-01&to=2026-01-31&industry=Law&goal=More%20Leads&status=ready&q=acme&limit=50
+//        every filter optional; status: pending|generating|ready|failed|accepted|expired
+//        -> { ok, total, count, leads: [{ pid, created_at, status, full_name, email, business_name, industry,
+//             primary_goal, budget_range, timeline, lead_score, generated_by, accepted, has_failure }] }
+//   POST /api/admin/leads { action: "retry", pid }    re-run generation from the stored intake (clears the failure)
+//   POST /api/admin/leads { action: "delete", pid }   remove proposal, retained intake and failure records
+//
+// The full record is at /api/admin/proposal?pid=, failures with raw model output at /api/admin/failures.
+// Responses: { ok: true, ... } | 400/401/404/409/413/503 { ok: false, error } (body cap: lib/guard.js)
+
+import { waitUntil } from "@vercel/functions";
+import { isAdminRequest } from "../../lib/admin-auth.js";
+import { runProposalJob } from "../../lib/proposal-job.js";
+import { LEAD_STATUSES, deleteLead, listLeads, restartProposal } from "../../lib/proposal-records.js";
+import { StorageError } from "../../lib/storage.js";
+import { readJsonBody, sendBodyError } from "../../lib/guard.js";
+
+const MAX_LIMIT = 500;
+
+const RETRY_ERRORS = {
+  not_found: [404, "Lead not found (intake expired or invalid pid)"],
+  accepted: [409, "Proposal already accepted; it can't be regenerated"],
+  in_progress: [409, "Generation already in progress"],
+  conflict: [409, "Lead was updated concurrently. Retry."]
+};
+
+function sendJson(res, status, obj) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.end(JSON.stringify(obj));
+}
+function bad(res, status, msg) {
+  return sendJson(res, status, { ok: false, error: msg });
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") return bad(res, 405, "Use GET or POST");
+  if (!isAdminRequest(req)) return bad(res, 401, "Unauthorized");
+
+  try {
+    if (req.method === "GET") {
+      const url = new URL(req.url, "http://localhost");
+      const param = (k) => (url.searchParams.get(k) || "").trim();
+
+      const status = param("status");
+      if (status && !LEAD_STATUSES.includes(status)) return bad(res, 400, `status must be one of ${LEAD_STATUSES.join("|")}`);
+      for (const k of ["from", "to"]) {
+        if (param(k) && Number.isNaN(Date.parse(param(k)))) return bad(res, 400, `${k} must be a date (YYYY-MM-DD)`);
+      }
+      const limit = Math.min(Math.max(Number(param("limit")) || 100, 1), MAX_LIMIT);
+
+      const { leads, total } = await listLeads({
+        from: param("from"),
+        to: param("to"),
+        industry: param("industry"),
+        goal: param("goal"),
+        status,
+        q: param("q"),
+        limit
+      });
+      return sendJson(res, 200, { ok: true, total, count: leads.length, leads });
+    }
+
+    const read = await readJsonBody(req, "admin");
+    if (!read.ok) return sendBodyError(res, read);
+    const body = read.body;
+    if (!body || typeof body !== "object") return bad(res, 400, "Invalid JSON body");
+    const pid = typeof body.pid === "string" ? body.pid.trim() : "";
+    if (!pid) return bad(res, 400, "Missing pid");
+
+    if (body.action === "retry") {
+      const r = await restartProposal(pid);
+      if (r.error) return bad(res, ...RETRY_ERRORS[r.error]);
+      // The lead already got its CRM event with the first proposal.
+      waitUntil(runProposalJob({ ...r.record }, { notifyCrm: false }));
+      return sendJson(res, 202, { ok: true, pid, status: r.record.status });
+    }
+    if (body.action === "delete") {
+      const removed = await deleteLead(pid);
+      if (!removed) return bad(res, 404, "Lead not found");
+      return sendJson(res, 200, { ok: true, pid, removed });
+    }
+    return bad(res, 400, 'action must be "retry" or "delete"');
+  } catch (e) {
+    return bad(res, e instanceof StorageError ? 503 : 500, e?.message || "Server error");
+  }
+}
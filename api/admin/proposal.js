@@ -0,0 +1,47 @@
+// /api/admin/proposal.js
+// Vercel Serverless Function (Node, ESM)
+// Operator read of a full proposal record: contact details, Zion notes + transcript, lead score, repairs.
+// The public /api/proposal only ever returns the redacted view.
+//
+// Needs Authorization: Bearer <ADMIN_TOKEN> (or <CRON_SECRET>; see lib/admin-auth.js).
+//
+//   GET /api/admin/proposal?pid=X
+//
+// Responses: 200 { ok: true, pid, record, retained_intake, view_url } | 400/401/404/503 { ok: false, error }
+// record is null once the rendered proposal has expired; retained_intake (lib/proposal-records.js) lives longer.
+// view_url is a fresh signed link to the customer-facing summary (lib/proposal-access.js), on PUBLIC_BASE_URL or
+// this request's host.
+
+import { isAdminRequest } from "../../lib/admin-auth.js";
+import { proposalUrl } from "../../lib/crm-fields.js";
+import { requestOrigin } from "../../lib/guard.js";
+import { loadProposalRecord, loadRetainedIntake } from "../../lib/proposal-records.js";
+import { StorageError } from "../../lib/storage.js";
+
+function sendJson(res, status, obj) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.end(JSON.stringify(obj));
+}
+function bad(res, status, msg) {
+  return sendJson(res, status, { ok: false, error: msg });
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") return bad(res, 405, "Use GET");
+  if (!isAdminRequest(req)) return bad(res, 401, "Unauthorized");
+
+  try {
+    const url = new URL(req.url, "http://localhost");
+    const pid = (url.searchParams.get("pid") || "").trim();
+    if (!pid) return bad(res, 400, "Missing pid");
+
+    const record = await loadProposalRecord(pid);
+    const retained = await loadRetainedIntake(pid);
+    if (!record && !retained) return bad(res, 404, "Proposal not found (expired or invalid pid)");
+
+    return sendJson(res, 200, { ok: true, pid, record, retained_intake: retained, view_url: proposalUrl(pid, requestOrigin(req)) });
+  } catch (e) {
+    return bad(res, e instanceof StorageError ? 503 : 500, e?.message || "Server error");
+  }
+}
@@ -0,0 +1,83 @@
+// /api/crm-outbox.js
+// Vercel Serverless Function (Node, ESM)
+// Inspect and replay CRM (GoHighLevel) deliveries from the outbox (lib/crm-outbox.js).
+//
+// All requests need Authorization: Bearer <ADMIN_TOKEN> (or <CRON_SECRET>; see lib/admin-auth.js).
+//
+//   GET  /api/crm-outbox                     dead letters (default)
+//   GET  /api/crm-outbox?status=pending      pending | delivered | dead
+//   GET  /api/crm-outbox?key=<pid>:<event>   one entry (payload + attempt history)
+//   GET  /api/crm-outbox?drain=1             retry every due pending entry; vercel.json's `crons` calls this every
+//                                            10 minutes (Vercel sends Bearer <CRON_SECRET>, so CRON_SECRET must be set)
+//   POST /api/crm-outbox { action: "replay", key }   revive a dead entry and send it now
+//   POST /api/crm-outbox { action: "drain" }         same as ?drain=1
+//
+// Responses: { ok: true, ... } | 400/401/404/413 { ok: false, error } (body cap: lib/guard.js)
+
+import { isAdminRequest } from "../lib/admin-auth.js";
+import { OUTBOX_STATUS, drainCrmOutbox, getOutboxEntry, listOutbox, replayCrmEvent } from "../lib/crm-outbox.js";
+import { StorageError } from "../lib/storage.js";
+import { readJsonBody, sendBodyError } from "../lib/guard.js";
+
+function sendJson(res, status, obj) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.end(JSON.stringify(obj));
+}
+function bad(res, status, msg) {
+  return sendJson(res, status, { ok: false, error: msg });
+}
+
+// List view: everything except the payload.
+function summarize(entry) {
+  const { payload, history, ...rest } = entry;
+  return { ...rest, email: payload?.email || "" };
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") return bad(res, 405, "Use GET or POST");
+  if (!isAdminRequest(req)) return bad(res, 401, "Unauthorized");
+
+  try {
+    if (req.method === "GET") {
+      const url = new URL(req.url, "http://localhost");
+
+      if (url.searchParams.get("drain") === "1") {
+        return sendJson(res, 200, { ok: true, ...(await drainCrmOutbox()) });
+      }
+
+      const key = (url.searchParams.get("key") || "").trim();
+      if (key) {
+        const entry = await getOutboxEntry(key);
+        if (!entry) return bad(res, 404, "Outbox entry not found");
+        return sendJson(res, 200, { ok: true, entry });
+      }
+
+      const status = (url.searchParams.get("status") || OUTBOX_STATUS.DEAD).trim();
+      if (!Object.values(OUTBOX_STATUS).includes(status)) {
+        return bad(res, 400, `status must be one of ${Object.values(OUTBOX_STATUS).join("|")}`);
+      }
+      const entries = await listOutbox(status);
+      return sendJson(res, 200, { ok: true, status, count: entries.length, entries: entries.map(summarize) });
+    }
+
+    const read = await readJsonBody(req, "admin");
+    if (!read.ok) return sendBodyError(res, read);
+    const body = read.body;
+    if (!body || typeof body !== "object") return bad(res, 400, "Invalid JSON body");
+
+    if (body.action === "drain") {
+      return sendJson(res, 200, { ok: true, ...(await drainCrmOutbox()) });
+    }
+    if (body.action === "replay") {
+      const key = typeof body.key === "string" ? body.key.trim() : "";
+      if (!key) return bad(res, 400, "Missing key");
+      const r = await replayCrmEvent(key);
+      if (r.error === "not_found") return bad(res, 404, "Outbox entry not found");
+      return sendJson(res, 200, { ok: r.ok, delivered: r.entry?.status === OUTBOX_STATUS.DELIVERED, entry: r.entry && summarize(r.entry) });
+    }
+    return bad(res, 400, 'action must be "replay" or "drain"');
+  } catch (e) {
+    return bad(res, e instanceof StorageError ? 503 : 500, e?.message || "Server error");
+  }
+}
@@ -0,0 +1,94 @@
+// /api/events.js
+// Vercel Serverless Function (Node, ESM)
+// First-party funnel beacon for the steps only the browser sees (lib/analytics.js CLIENT_EVENTS):
+//   intake_opened    the intake modal was shown (index.html)
+//   summary_viewed   the proposal summary page was opened (summary.html)
+// Everything else in the funnel is counted server-side by the endpoint that handles it.
+//
+// Request (JSON; navigator.sendBeacon's text/plain body is fine):
+//   { event, session_id?, pid?, token?, source? }   one of session_id / pid is required; it is the once-per-visitor
+//   id. A pid must come with its view token (lib/proposal-access.js), so only someone holding the proposal link
+//   can count against it; summary_viewed always needs pid + token.
+// Source and industry come from the stored proposal (pid) or Zion session (session_id); `source` is only used
+// when neither is found.
+//
+// Responses:
+//   204 (counted, or already counted for this visitor)
+//   400 { ok: false, error, errors: [{ field, message }] }
+//   401 missing / invalid / expired view token for the pid ({ code: "invalid_token" | "token_expired" })
+//   403 / 413 / 429 origin, body size, rate limit (lib/guard.js)
+
+import { CLIENT_EVENTS, leadDimensions, trackEvent } from "../lib/analytics.js";
+import { applyCors, checkRateLimit, readJsonBody, sendBodyError, sendRateLimited } from "../lib/guard.js";
+import { verifyViewToken } from "../lib/proposal-access.js";
+import { loadProposalRecord, loadRetainedIntake } from "../lib/proposal-records.js";
+import { loadSession, sessionStoreEnabled } from "../lib/zion-session.js";
+
+const MAX_ID_CHARS = 128;
+
+function sendJson(res, status, obj) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.end(JSON.stringify(obj));
+}
+function bad(res, status, msg, extra = {}) {
+  return sendJson(res, status, { ok: false, error: msg, ...extra });
+}
+
+function str(v) {
+  return typeof v === "string" ? v.trim().slice(0, MAX_ID_CHARS) : "";
+}
+
+// Best effort: an unreadable record just means the event is counted under the client's source.
+async function dimensionsFor(pid, session_id, source) {
+  try {
+    if (pid) {
+      const intake = (await loadProposalRecord(pid))?.intake || (await loadRetainedIntake(pid))?.intake;
+      if (intake) return leadDimensions({ intake });
+    }
+    if (session_id && sessionStoreEnabled()) {
+      const { notes } = await loadSession(session_id);
+      if (notes) return leadDimensions({ notes, source });
+    }
+  } catch {
+    // fall through
+  }
+  return leadDimensions({ source });
+}
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, ["POST"])) return;
+  if (req.method !== "POST") return bad(res, 405, "Use POST");
+
+  const read = await readJsonBody(req, "events");
+  if (!read.ok) return sendBodyError(res, read);
+  const body = read.body && typeof read.body === "object" ? read.body : {};
+
+  const event = str(body.event);
+  const pid = str(body.pid);
+  // "anon" is shared by every client without an id, so it can't identify a visitor.
+  const session_id = str(body.session_id) === "anon" ? "" : str(body.session_id);
+  const errors = [];
+  if (!CLIENT_EVENTS.includes(event)) errors.push({ field: "event", message: `Must be one of ${CLIENT_EVENTS.join("|")}` });
+  if (event === "summary_viewed" && !pid) errors.push({ field: "pid", message: "Required for summary_viewed" });
+  else if (!pid && !session_id) errors.push({ field: "session_id", message: "session_id or pid is required" });
+  if (errors.length) return bad(res, 400, "Invalid event", { errors });
+
+  if (pid) {
+    const access = verifyViewToken(pid, typeof body.token === "string" ? body.token.trim() : "");
+    if (!access.ok) {
+      return access.reason === "expired"
+        ? bad(res, 401, "This proposal link has expired", { code: "token_expired" })
+        : bad(res, 401, "Missing or invalid view token", { code: "invalid_token" });
+    }
+  }
+
+  const limited = await checkRateLimit(req, "events", { session: session_id || pid });
+  if (limited) return sendRateLimited(res, limited);
+
+  const dims = await dimensionsFor(pid, session_id, str(body.source));
+  await trackEvent(event, { id: pid || session_id, ...dims });
+
+  res.statusCode = 204;
+  res.end();
+}
@@ -0,0 +1,112 @@
+// /api/proposal-link.js
+// Vercel Serverless Function (Node, ESM)
+// A lead asks for a fresh link to their proposal, by email or by pid (the summary page's "expired" screen).
+//
+// The link is never returned here: it goes to the email on file through the CRM, as a proposal_link_requested
+// event whose proposal_url carries a newly signed view token (lib/ghl.js; the GHL workflow sends the email).
+// The response is the same whether or not anything matched, so this can't be used to probe for leads.
+//
+// If the rendered proposal has expired but its intake is still retained (lib/retention.js), the proposal is
+// re-generated from the stored intake under the same pid before the link goes out (lib/proposal-records.js);
+// the link then shows the usual "generating" state until it is ready. PROPOSAL_REGENERATE=0 turns that off.
+//
+// Request (JSON):  { email } | { pid } | { pid, email }   (with both, the pid must belong to that email)
+// Responses:
+//   202 { ok: true, message }
+//   400 { ok: false, error, errors: [{ field, message }] }
+//   403 / 413 / 429 origin, body size, rate limit (lib/guard.js; limited per IP and per email/pid)
+//   503 storage unavailable
+
+import { waitUntil } from "@vercel/functions";
+import { applyCors, checkRateLimit, readJsonBody, requestOrigin, sendBodyError, sendRateLimited } from "../lib/guard.js";
+import { isValidEmail } from "../lib/intake-contract.js";
+import { GHL_EVENTS, buildGHLPayload } from "../lib/ghl.js";
+import { sendCrmEvent } from "../lib/crm-outbox.js";
+import { runProposalJob } from "../lib/proposal-job.js";
+import {
+  loadProposalRecord,
+  loadRetainedIntake,
+  pidsForEmail,
+  regenerateProposal,
+  regenerationEnabled
+} from "../lib/proposal-records.js";
+import { StorageError } from "../lib/storage.js";
+
+const SENT_MESSAGE = "If we have a proposal for you, a fresh link is on its way to the email on file.";
+
+function sendJson(res, status, obj) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.end(JSON.stringify(obj));
+}
+function bad(res, status, msg, extra = {}) {
+  return sendJson(res, status, { ok: false, error: msg, ...extra });
+}
+
+function sameEmail(a, b) {
+  return String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+}
+
+// Newest proposal (or retained intake) for the request; null when nothing matches.
+async function findLead(pid, email) {
+  const candidates = pid ? [pid] : await pidsForEmail(email);
+  for (const p of candidates) {
+    const record = await loadProposalRecord(p);
+    const intake = record?.intake || (await loadRetainedIntake(p))?.intake;
+    if (!intake) continue;
+    if (email && !sameEmail(intake.email, email)) continue;
+    return { pid: p, record, intake };
+  }
+  return null;
+}
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, ["POST"])) return;
+  if (req.method !== "POST") return bad(res, 405, "Use POST");
+
+  const read = await readJsonBody(req, "link");
+  if (!read.ok) return sendBodyError(res, read);
+  const body = read.body && typeof read.body === "object" ? read.body : {};
+
+  const pid = typeof body.pid === "string" ? body.pid.trim() : "";
+  const email = typeof body.email === "string" ? body.email.trim() : "";
+  const errors = [];
+  if (!pid && !email) errors.push({ field: "email", message: "Email or pid required" });
+  if (email && !isValidEmail(email)) errors.push({ field: "email", message: "Must be a valid email address" });
+  if (pid.length > 64) errors.push({ field: "pid", message: "Invalid pid" });
+  if (errors.length) return bad(res, 400, "Invalid request", { errors });
+
+  const limited = await checkRateLimit(req, "link", { session: email.toLowerCase() || pid });
+  if (limited) return sendRateLimited(res, limited);
+
+  try {
+    const lead = await findLead(pid, email);
+    if (!lead) return sendJson(res, 202, { ok: true, message: SENT_MESSAGE });
+
+    let { record } = lead;
+    let regenerated = false;
+    if (!record && regenerationEnabled()) {
+      ({ record, regenerated } = (await regenerateProposal(lead.pid)) || {});
+      // The link event below carries the proposal_url, so the job skips its own intake_submitted event.
+      if (regenerated) waitUntil(runProposalJob({ ...record }, { notifyCrm: false }));
+    }
+    if (!record) return sendJson(res, 202, { ok: true, message: SENT_MESSAGE });
+
+    const requested_at = new Date().toISOString();
+    await sendCrmEvent({
+      pid: lead.pid,
+      event: GHL_EVENTS.LINK_REQUESTED,
+      requestId: Date.now().toString(36),
+      payload: () => buildGHLPayload(lead.intake, GHL_EVENTS.LINK_REQUESTED, { requested_at, regenerated }, {
+        pid: lead.pid,
+        proposal: record.proposal,
+        leadScore: record.lead_score,
+        origin: requestOrigin(req)
+      })
+    });
+
+    return sendJson(res, 202, { ok: true, message: SENT_MESSAGE });
+  } catch (e) {
+    return bad(res, e instanceof StorageError ? 503 : 500, e?.message || "Server error");
+  }
+}
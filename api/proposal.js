@@ -1,67 +1,162 @@
 // /api/proposal.js
 // Vercel Serverless Function (Node, ESM)
-// Fetch stored proposal record from Vercel KV by pid.
+// Fetch the public view of a stored proposal record (and its generation job status) from Vercel KV by pid.
 //
-// Required env:
-//   KV_REST_API_URL
-//   KV_REST_API_TOKEN
+// Every request needs the view token issued with the pid (&token=, lib/proposal-access.js); a missing, forged
+// or expired token gets 401 { ok: false, error, code: "invalid_token" | "token_expired" }.
+// `record` is redacted: no contact details (name, email, phone), chat notes, session, lead score, signer name or
+// failure internals. Operators read the full record from /api/admin/proposal.
+//
+// Modes:
+//   GET /api/proposal?pid=X&token=T          current record + status (pending|generating|ready|failed)
+//   GET /api/proposal?pid=X&token=T&wait=20  long-poll: returns once status changes from `since`
+//                                            (default: the current status) or is terminal, or after `wait` seconds
+//   GET /api/proposal?pid=X&stream=1         SSE (or Accept: text/event-stream): a `status` event per change,
+//                                            then `done` on ready|failed; reconnect (EventSource does) after ~25s
+//
+// Storage: lib/storage.js (KV_REST_API_URL + KV_REST_API_TOKEN, or STORAGE_BACKEND=memory|file).
+// Origin allowlist + per-IP rate limit: lib/guard.js.
+
+import { StorageError, kvGetJson } from "../lib/storage.js";
+import { applyCors, checkRateLimit, sendRateLimited } from "../lib/guard.js";
+import { verifyViewToken } from "../lib/proposal-access.js";
+import { publicAcceptance } from "../lib/proposal-records.js";
 
 function sendJson(res, status, obj) {
   res.statusCode = status;
   res.setHeader("Content-Type", "application/json; charset=utf-8");
   res.end(JSON.stringify(obj));
 }
-function bad(res, status, msg) {
-  return sendJson(res, status, { ok: false, error: msg });
+function bad(res, status, msg, extra = {}) {
+  return sendJson(res, status, { ok: false, error: msg, ...extra });
 }
 
-async function kvPipeline(commands) {
-  const url = process.env.KV_REST_API_URL;
-  const token = process.env.KV_REST_API_TOKEN;
-  if (!url || !token) throw new Error("KV env not set (KV_REST_API_URL / KV_REST_API_TOKEN)");
-
-  const endpoint = url.replace(/\/$/, "") + "/pipeline";
-
-  // IMPORTANT: pipeline expects ARRAY-OF-ARRAYS format
-  const r = await fetch(endpoint, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify(commands)
-  });
-
-  const data = await r.json().catch(() => null);
-  if (!r.ok) throw new Error(`KV pipeline failed: ${data ? JSON.stringify(data) : `HTTP ${r.status}`}`);
-  return data;
+const TERMINAL_STATUSES = ["ready", "failed"];
+const POLL_INTERVAL_MS = 1000;
+const MAX_WAIT_SECONDS = 25; // stay under the function's maxDuration (vercel.json)
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
 }
 
-async function kvGetJson(key) {
-  const data = await kvPipeline([["GET", key]]);
-  const result = Array.isArray(data) && data[0] ? data[0].result : null;
-  if (!result) return null;
-  try { return JSON.parse(result); } catch { return null; }
+// Records written before async generation have no status; they always carried a proposal.
+function recordStatus(record) {
+  return record.status || (record.proposal ? "ready" : "pending");
 }
 
-export default async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+// Intake answers the lead may see again; everything else on the record stays server-side.
+const PUBLIC_INTAKE_FIELDS = ["business_name", "website", "industry", "primary_goal", "budget_range", "timeline", "bottleneck"];
+
+function publicRecord(record) {
+  const intake = record.intake || {};
+  return {
+    pid: record.pid,
+    created_at: record.created_at,
+    status: recordStatus(record),
+    status_updated_at: record.status_updated_at || record.created_at || null,
+    intake: Object.fromEntries(PUBLIC_INTAKE_FIELDS.map((f) => [f, intake[f] || ""])),
+    target_metric: intake.target_metric?.raw || "",
+    proposal: record.proposal || null,
+    accepted: !!record.accepted,
+    acceptance: publicAcceptance(record.acceptance)
+  };
+}
+
+function statusBody(record) {
+  const status = recordStatus(record);
+  return {
+    ok: true,
+    pid: record.pid,
+    status,
+    status_updated_at: record.status_updated_at || record.created_at || null,
+    error: status === "failed" ? "Generation failed" : null,
+    record: publicRecord(record)
+  };
+}
+
+async function longPoll(pid, since, waitSeconds) {
+  const deadline = Date.now() + waitSeconds * 1000;
+  let record = await kvGetJson(`proposal:${pid}`);
+  const from = since || (record ? recordStatus(record) : "");
+
+  while (record && Date.now() < deadline) {
+    const status = recordStatus(record);
+    if (status !== from || TERMINAL_STATUSES.includes(status)) break;
+    await sleep(POLL_INTERVAL_MS);
+    record = await kvGetJson(`proposal:${pid}`);
+  }
+  return record;
+}
 
-  if (req.method === "OPTIONS") return sendJson(res, 200, { ok: true });
+async function stream(res, pid) {
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  res.write(`retry: ${POLL_INTERVAL_MS * 2}\n\n`);
+
+  const deadline = Date.now() + MAX_WAIT_SECONDS * 1000;
+  let last = "";
+  try {
+    while (Date.now() < deadline) {
+      const record = await kvGetJson(`proposal:${pid}`);
+      if (!record) {
+        send("error", { ok: false, error: "Proposal not found (expired or invalid pid)" });
+        break;
+      }
+      const status = recordStatus(record);
+      if (status !== last) {
+        send("status", statusBody(record));
+        last = status;
+      }
+      if (TERMINAL_STATUSES.includes(status)) {
+        send("done", { status });
+        break;
+      }
+      await sleep(POLL_INTERVAL_MS);
+    }
+  } catch (e) {
+    send("error", { ok: false, error: e?.message || "Server error" });
+  }
+  res.end();
+}
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, ["GET"])) return;
   if (req.method !== "GET") return bad(res, 405, "Use GET");
 
+  const limited = await checkRateLimit(req, "proposal");
+  if (limited) return sendRateLimited(res, limited);
+
   try {
     const url = new URL(req.url, "http://localhost");
     const pid = (url.searchParams.get("pid") || "").trim();
     if (!pid) return bad(res, 400, "Missing pid");
 
-    const record = await kvGetJson(`proposal:${pid}`);
+    const access = verifyViewToken(pid, url.searchParams.get("token"));
+    if (!access.ok) {
+      return access.reason === "expired"
+        ? bad(res, 401, "This proposal link has expired", { code: "token_expired" })
+        : bad(res, 401, "Missing or invalid view token", { code: "invalid_token" });
+    }
+
+    const accept = String(req.headers?.accept || "");
+    if (url.searchParams.get("stream") === "1" || accept.includes("text/event-stream")) {
+      return await stream(res, pid);
+    }
+
+    const wait = Math.min(Math.max(Number(url.searchParams.get("wait")) || 0, 0), MAX_WAIT_SECONDS);
+    const since = (url.searchParams.get("since") || "").trim();
+
+    const record = wait
+      ? await longPoll(pid, since, wait)
+      : await kvGetJson(`proposal:${pid}`);
     if (!record) return bad(res, 404, "Proposal not found (expired or invalid pid)");
 
-    return sendJson(res, 200, { ok: true, record });
+    return sendJson(res, 200, statusBody(record));
   } catch (e) {
-    return bad(res, 500, e?.message || "Server error");
+    return bad(res, e instanceof StorageError ? 503 : 500, e?.message || "Server error");
   }
 }
@@ -1,15 +1,57 @@
 // api/zion.js
 // ZION — Deterministic Intake Gate (fast 3 questions → intake)
 // Objective:
-// - Ask 3 questions max before triggering intake modal
-// - Persist notes + transcript to feed summary
+// - Ask 3 questions max before triggering intake modal (question flow is data: lib/zion-flows.js)
+// - Persist notes + transcript server-side (KV, keyed by session_id) to feed summary; when the store fails the
+//   turn answers 503 rather than trusting client-sent notes
 // - Hard cap conversation so it never drifts/repeats
-// - NO model call (instant server response)
+// - NO model call by default (instant server response); ZION_EXTRACTION_MODE=llm adds a
+//   latency-budgeted slot extraction call with deterministic fallback (lib/slot-extraction.js)
+// - Origin allowlist, body cap and per-IP / per-session rate limits come from lib/guard.js
+// - Funnel analytics (lib/analytics.js): chat_started on the first turn and stage_<id> whenever the session
+//   moves to a new stage, by source (body.source, kept in notes) and inferred industry (earlier steps are
+//   backfilled once it is inferred); "anon" is not counted
+// - A/B experiments (lib/experiments.js, ZION_EXPERIMENT): the session's variant can change the copy, question
+//   order and caps; it is stamped into notes.experiment and returned with force_intake_after_turns for the client
+// - Streaming (POST ?stream=1 or Accept: text/event-stream): the turn's reply goes out as SSE `token` events,
+//   then one `meta` event with the rest of the JSON body (reply, next_question, capture_intent, stage, notes, …),
+//   then `done`. Errors before the reply (400/403/409/413/429/503) are plain JSON in both modes; JSON is the default.
+//   ZION_STREAM_TOKEN_DELAY_MS paces the tokens (default 25; 0 sends them back to back)
+// - Locale (lib/locale.js): detected from the lead's messages, else Accept-Language; kept in notes.locale /
+//   notes.locale_source and returned as `locale`. It picks the gate copy and the keyword lists (lib/zion-locales.js);
+//   inferred labels stay English so lead scoring and the CRM see one vocabulary
+
+import { waitUntil } from "@vercel/functions";
+import {
+  CAPTURE_STAGE,
+  START_STAGE,
+  defaultFlowId,
+  loadFlows,
+  missingFields,
+  resolveNext,
+  stageSatisfied,
+  validateFlow,
+} from "../lib/zion-flows.js";
+import { describeChange, parseTargetMetric } from "../lib/target-metric.js";
+import { extractSlots, extractionMode } from "../lib/slot-extraction.js";
+import { SESSION_CAS_RETRIES, loadSession, saveSession, sessionStoreEnabled } from "../lib/zion-session.js";
+import { applyCors, checkRateLimit, readJsonBody, sendBodyError, sendRateLimited } from "../lib/guard.js";
+import { backfillIndustry, leadDimensions, stageEvent, trackEvent } from "../lib/analytics.js";
+import { applyVariant, assignVariant, experimentStamp, forceIntakeAfterTurns } from "../lib/experiments.js";
+import { resolveSessionLocale } from "../lib/locale.js";
+import {
+  BUYER_KEYWORDS,
+  GOAL_KEYWORDS,
+  INDUSTRY_KEYWORDS,
+  isNonAnswer,
+  localizeFlow,
+  matchLabel,
+} from "../lib/zion-locales.js";
 
 const BUILD = "ZION_API_BUILD_2026-01-25_v7_DETERMINISTIC_3Q_INTAKE_HARDCAP";
 
 // ----------------------------
-// Response + CORS
+// Response
 // ----------------------------
 function json(res, status, obj) {
   res.statusCode = status;
@@ -17,17 +59,40 @@ function json(res, status, obj) {
   res.end(JSON.stringify(obj));
 }
 
-function allowCors(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*"); // tighten later
-  res.setHeader("Access-Control-Allow-Methods", "POST,GET,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-  res.setHeader("Access-Control-Max-Age", "86400");
-  if (req.method === "OPTIONS") {
-    res.statusCode = 204;
-    res.end();
-    return true;
+const DEFAULT_STREAM_TOKEN_DELAY_MS = 25;
+
+function wantsStream(req) {
+  const url = new URL(req.url || "/", "http://localhost");
+  return url.searchParams.get("stream") === "1" || String(req.headers?.accept || "").includes("text/event-stream");
+}
+
+function streamTokenDelay() {
+  const n = Number(process.env.ZION_STREAM_TOKEN_DELAY_MS);
+  return Number.isFinite(n) && n >= 0 ? n : DEFAULT_STREAM_TOKEN_DELAY_MS;
+}
+
+// Words with their trailing whitespace, so the client can append tokens as-is.
+function replyTokens(reply) {
+  return String(reply || "").match(/\S+\s*/g) || [];
+}
+
+// SSE: `token` { text } per word of the reply, then `meta` (the JSON body) and `done`.
+async function streamTurn(res, body) {
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const delay = streamTokenDelay();
+  const tokens = replyTokens(body.reply);
+  for (const [i, text] of tokens.entries()) {
+    send("token", { text });
+    if (delay && i < tokens.length - 1) await new Promise((r) => setTimeout(r, delay));
   }
-  return false;
+  send("meta", body);
+  send("done", { ok: true });
+  res.end();
 }
 
 function safeObj(x, fallback = {}) {
@@ -51,155 +116,162 @@ function ensureTranscript(notes) {
   return notes;
 }
 
-function isNonAnswer(text) {
-  const t = String(text || "").toLowerCase().trim();
-  if (!t) return true;
-  return [
-    "idk",
-    "i dont know",
-    "not sure",
-    "help",
-    "how",
-    "ok",
-    "okay",
-    "sounds good",
-    "yes",
-    "yep",
-    "yeah",
-    "cool",
-  ].includes(t);
-}
-
 // ----------------------------
 // Lightweight inference (stored; not enforced)
+// Keyword lists per locale live in lib/zion-locales.js; labels are the same English values in every locale.
 // ----------------------------
-function inferGoal(text) {
-  const t = String(text || "").toLowerCase();
-  if (!t) return "";
-  if (t.includes("lead")) return "Leads";
-  if (t.includes("sale") || t.includes("revenue")) return "Sales";
-  if (t.includes("book") || t.includes("estimate") || t.includes("appointment")) return "Bookings";
-  if (t.includes("follow") || t.includes("nurture") || t.includes("automation")) return "Follow-up";
-  if (t.includes("seo") || t.includes("rank") || t.includes("google")) return "SEO / Visibility";
-  if (t.includes("content") || t.includes("post") || t.includes("social")) return "Content";
-  return "";
+function inferGoal(text, locale) {
+  return matchLabel(GOAL_KEYWORDS, text, locale);
 }
 
-function inferBusinessType(text) {
+function inferBusinessType(text, locale) {
   const raw = clampStr(text, 240);
-  const t = raw.toLowerCase();
-
-  let label = "";
-  if (t.includes("landscap")) label = "Landscaping / Outdoor";
-  else if (t.includes("home service") || t.includes("roof") || t.includes("hvac") || t.includes("plumb") || t.includes("electric") || t.includes("contract"))
-    label = "Home Services";
-  else if (t.includes("real estate") || t.includes("realtor")) label = "Real Estate";
-  else if (t.includes("law") || t.includes("attorney")) label = "Legal";
-  else if (t.includes("clinic") || t.includes("med") || t.includes("dental")) label = "Healthcare";
-  else if (t.includes("ecom") || t.includes("shopify") || t.includes("store")) label = "E-Commerce";
-
-  let buyer = "";
-  if (t.includes("homeowner")) buyer = "Homeowners";
-  else if (t.includes("b2b") || t.includes("business")) buyer = "Businesses";
-  else if (t.includes("consumer") || t.includes("customer")) buyer = "Consumers";
-
-  return { raw, label, buyer };
+  return { raw, label: matchLabel(INDUSTRY_KEYWORDS, raw, locale), buyer: matchLabel(BUYER_KEYWORDS, raw, locale) };
 }
 
+// num is the 30-day-normalized target (see lib/target-metric.js); relative-only answers set change instead.
+// Numbers parse in any language; unit words are English only.
 function inferTargetMetric(text) {
-  const raw = clampStr(text, 220);
-  const m = raw.match(/(\d+)\s*(lead|leads|booking|bookings|estimate|estimates|calls|appointments|jobs|customers)/i);
-  const num = m ? Number(m[1]) : null;
-  const unit = m ? m[2].toLowerCase() : "";
-  return { raw, num, unit };
+  const parsed = parseTargetMetric(clampStr(text, 220));
+  const num = parsed.target_30d;
+  const change = describeChange(parsed.relative);
+  return {
+    raw: parsed.raw,
+    num,
+    unit: parsed.unit,
+    change,
+    parsed: num != null || change ? parsed : null,
+  };
 }
 
+// Inference registry: flows refer to these by name and map result keys onto note fields. (text, locale) → result
+const INFERENCE = {
+  goal(text, locale) {
+    const label = inferGoal(text, locale);
+    const raw = !label && text && !isNonAnswer(text, locale) ? clampStr(text, 240) : "";
+    return { label, raw };
+  },
+  business: inferBusinessType,
+  metric: inferTargetMetric,
+};
+
+// Label sets the LLM path is constrained to, so both paths write the same values.
+const EXTRACTION_LABELS = {
+  goals: ["Leads", "Sales", "Bookings", "Follow-up", "SEO / Visibility", "Content"],
+  industries: ["Landscaping / Outdoor", "Home Services", "Real Estate", "Legal", "Healthcare", "E-Commerce"],
+  buyers: ["Homeowners", "Businesses", "Consumers"],
+};
+
+// Same result shapes as INFERENCE, built from LLM slots. Raw text fields stay deterministic.
+const LLM_INFERENCE = {
+  goal: (slots) => ({ label: slots.goal }),
+  business: (slots) => ({ label: slots.industry, buyer: slots.buyer }),
+  metric(slots) {
+    if (!slots.metric) return {};
+    const { num, unit, change, parsed } = inferTargetMetric(slots.metric);
+    return { num, unit, change, parsed };
+  },
+};
+
 // ----------------------------
 // Gate configuration
 // ----------------------------
 const MAX_USER_INPUTS_TOTAL = 10;     // absolute ceiling
-const MAX_USER_INPUTS_BEFORE_INTAKE = 6; // safety cap (even if answers are vague)
+const MAX_USER_INPUTS_BEFORE_INTAKE = 6; // safety cap default (flows may set their own)
+const DEFAULT_STAGE_RETRIES = 1;       // clarifying re-asks per stage unless the flow says otherwise
 const STAGES = {
-  START: "start",
-  GOAL: "goal",
-  BUSINESS: "business",
-  METRIC: "metric",
-  CAPTURE: "capture",
+  START: START_STAGE,
+  CAPTURE: CAPTURE_STAGE,
 };
 
 // ----------------------------
-// Deterministic prompts (short for speed)
+// Flow selection (definitions live in lib/zion-flows.js)
 // ----------------------------
-function promptGoal() {
-  return {
-    reply: "Zion online. What is your #1 goal for the next 30 days—leads, booked estimates, or revenue?",
-    next_question: "What is your #1 goal for the next 30 days (leads, booked estimates, or revenue)?",
-    capture_intent: "none",
-    stage: STAGES.GOAL,
-  };
+// Validated once per id, locale (and experiment variant) per instance; the error list is cached too so a broken
+// flow fails fast. Localized copy goes first so a variant's own copy for the locale wins over the catalog.
+const flowCache = new Map();
+
+function resolveFlow(id, assignment = null, locale = "") {
+  const key = `${id}@${locale}` + (assignment ? `#${assignment.experiment.id}.${assignment.variant.id}` : "");
+  if (flowCache.has(key)) return flowCache.get(key);
+  const base = loadFlows()[id];
+  const localized = base && localizeFlow(base, locale);
+  const flow = localized && assignment ? applyVariant(localized, assignment.variant, locale) : localized;
+  const entry = flow
+    ? { flow, errors: validateFlow(flow, Object.keys(INFERENCE)) }
+    : { flow: null, errors: [`Unknown flow "${id}"`] };
+  flowCache.set(key, entry);
+  return entry;
 }
 
-function promptBusiness() {
-  return {
-    reply: "Understood. What do you do, and who do you sell to?",
-    next_question: "What do you do, and who is the primary buyer?",
-    capture_intent: "none",
-    stage: STAGES.BUSINESS,
-  };
+function flowCap(flow) {
+  const cap = Number(flow.max_user_inputs_before_intake || MAX_USER_INPUTS_BEFORE_INTAKE);
+  return Math.min(cap, MAX_USER_INPUTS_TOTAL);
 }
 
-function promptMetric() {
-  return {
-    reply: "Good. Now set a measurable target. What would make the next 30 days a win—give me a number.",
-    next_question: "What would make the next 30 days a win (e.g., 20 leads, 10 bookings, $15k revenue)?",
-    capture_intent: "none",
-    stage: STAGES.METRIC,
-  };
+// LLM values win when present; otherwise the deterministic inference fills the field.
+// notes.field_sources records the path per field: llm | deterministic | fallback (LLM attempted but failed).
+function applyExtract(extract, message, notes, llm) {
+  const sources = safeObj(notes.field_sources, {});
+  const detSource = llm && !llm.ok ? "fallback" : "deterministic";
+  for (const ex of Array.isArray(extract) ? extract : []) {
+    const result = INFERENCE[ex.infer](message, notes.locale) || {};
+    const viaLlm = llm?.ok ? LLM_INFERENCE[ex.infer](llm.slots) || {} : {};
+    for (const [field, key] of Object.entries(ex.fields)) {
+      if (viaLlm[key] != null && viaLlm[key] !== "") {
+        notes[field] = viaLlm[key];
+        sources[field] = "llm";
+      } else if (result[key] != null && result[key] !== "") {
+        notes[field] = result[key];
+        sources[field] = detSource;
+      }
+    }
+  }
+  notes.field_sources = sources;
 }
 
-function triggerIntake() {
-  return {
-    reply: "Perfect. I have enough to generate your executive summary + tiers. Open the intake—two minutes—and I’ll output the plan.",
-    next_question: "Open the intake so I can generate your executive summary and tiers.",
-    capture_intent: "ask_contact",
-    stage: STAGES.CAPTURE,
+function stagePrompt(prompt, stage, capture_intent = "none") {
+  const out = {
+    reply: prompt.reply,
+    next_question: prompt.next_question || "",
+    capture_intent,
+    stage,
   };
+  if (Array.isArray(prompt.choices) && prompt.choices.length) out.choices = prompt.choices;
+  return out;
+}
+
+function stageRetries(stage) {
+  return Number.isInteger(stage.max_retries) ? stage.max_retries : DEFAULT_STAGE_RETRIES;
 }
 
 // ----------------------------
-// Handler
+// Gate (mutates notes, returns the turn's output)
 // ----------------------------
-export default async function handler(req, res) {
-  if (allowCors(req, res)) return;
-
-  if (req.method === "GET") {
-    return json(res, 200, {
-      status: "ok",
-      message: "Zion API is live. Use POST.",
-      model: process.env.GEMINI_MODEL || "gemini-3-pro-preview",
-      build: BUILD,
-    });
-  }
+function runGate(flow, notes, message, turnIn, llm = null) {
+  notes.last_updated_at = nowIso();
+  notes.flow = flow.id;
+  if (!notes.stage) notes.stage = STAGES.START;
 
-  if (req.method !== "POST") {
-    return json(res, 405, { error: "Method not allowed", build: BUILD });
+  function finish(out) {
+    if (out.stage) notes.stage = out.stage;
+    notes.turn = turnIn + 1;
+    notes.transcript.push({ turn: turnIn + 1, zion: out.reply, at: nowIso() });
+    const result = {
+      reply: out.reply,
+      next_question: out.next_question,
+      capture_intent: out.capture_intent,
+      turn: turnIn + 1,
+      missing_fields: missingFields(flow, notes),
+    };
+    if (out.choices) result.choices = out.choices;
+    return result;
   }
 
-  // Parse body safely for Vercel
-  let body = req.body;
-  if (typeof body === "string") {
-    try { body = JSON.parse(body); } catch { body = {}; }
+  function capture() {
+    notes.capture_locked = true;
+    return finish(stagePrompt(flow.capture, STAGES.CAPTURE, "ask_contact"));
   }
-  body = safeObj(body, {});
-
-  const message = normalize(body.message);
-  const session_id = normalize(body.session_id) || "anon";
-  const turnIn = Number.isFinite(Number(body.turn)) ? Number(body.turn) : 0;
-
-  let notes = ensureTranscript(safeObj(body.notes, {}));
-  notes.session_id = session_id;
-  notes.last_updated_at = nowIso();
-  if (!notes.stage) notes.stage = STAGES.START;
 
   // Count user inputs so we can hard-cap
   const userInputsSoFar = Number(notes.user_inputs || 0);
@@ -219,171 +291,178 @@ export default async function handler(req, res) {
   // HARD CAPS: never drift
   const captureLocked = notes.capture_locked === true || notes.stage === STAGES.CAPTURE;
 
-  // If they already crossed the cap, force intake
   if (!captureLocked) {
-    if (userInputsNow >= MAX_USER_INPUTS_BEFORE_INTAKE) {
-      notes.capture_locked = true;
-      notes.stage = STAGES.CAPTURE;
-      const out = triggerIntake();
-      notes.transcript.push({ turn: turnIn + 1, zion: out.reply, at: nowIso() });
-      return json(res, 200, {
-        reply: out.reply,
-        next_question: out.next_question,
-        capture_intent: out.capture_intent,
-        turn: turnIn + 1,
-        notes,
-        model: process.env.GEMINI_MODEL || "gemini-3-pro-preview",
-        build: BUILD,
-      });
+    // If they already crossed the cap (or the absolute ceiling), force intake
+    if (userInputsNow >= flowCap(flow)) return capture();
+
+    // Any unexpected stage → trigger intake
+    const stage = flow.stages[notes.stage];
+    if (!stage) return capture();
+
+    // Store what this answer tells us (non-answers like "idk" / "ok" tell us nothing)
+    const nonAnswer = isNonAnswer(message, notes.locale);
+    if (!nonAnswer) applyExtract(stage.extract, message, notes, llm);
+
+    // Re-ask with a clarifying follow-up instead of advancing blindly (bounded per stage)
+    if (stage.clarify && (nonAnswer || !stageSatisfied(stage, notes))) {
+      const retries = safeObj(notes.retries, {});
+      const used = Number(retries[notes.stage] || 0);
+      if (used < stageRetries(stage)) {
+        retries[notes.stage] = used + 1;
+        notes.retries = retries;
+        return finish(stagePrompt(stage.clarify, notes.stage));
+      }
     }
+
+    const nextId = resolveNext(stage.next, notes);
+    if (nextId === STAGES.CAPTURE || !flow.stages[nextId]) return capture();
+    return finish(stagePrompt(flow.stages[nextId].prompt, nextId));
   }
 
-  // Absolute ceiling fallback (safety)
-  if (!captureLocked && userInputsNow >= MAX_USER_INPUTS_TOTAL) {
-    notes.capture_locked = true;
-    notes.stage = STAGES.CAPTURE;
-    const out = triggerIntake();
-    notes.transcript.push({ turn: turnIn + 1, zion: out.reply, at: nowIso() });
+  // After capture is locked: keep it short and directive (fast)
+  notes.capture_locked = true;
+  return finish(stagePrompt(flow.locked, STAGES.CAPTURE, "ask_contact"));
+}
+
+// ----------------------------
+// Funnel events
+// ----------------------------
+async function trackStageChange(flow, session_id, { stageBefore, industryBefore }, notes) {
+  const dims = { id: session_id, ...leadDimensions({ notes }) };
+  if (dims.industry && !industryBefore) {
+    await backfillIndustry(session_id, dims.industry, ["chat_started", ...Object.keys(flow.stages).map(stageEvent)]);
+  }
+  if (!stageBefore) await trackEvent("chat_started", dims);
+  if (notes.stage && notes.stage !== stageBefore && notes.stage !== STAGES.START) {
+    await trackEvent(stageEvent(notes.stage), dims);
+  }
+}
+
+// ----------------------------
+// Handler
+// ----------------------------
+export default async function handler(req, res) {
+  if (applyCors(req, res, ["POST", "GET"])) return;
+
+  if (req.method === "GET") {
     return json(res, 200, {
-      reply: out.reply,
-      next_question: out.next_question,
-      capture_intent: out.capture_intent,
-      turn: turnIn + 1,
-      notes,
+      status: "ok",
+      message: "Zion API is live. Use POST.",
       model: process.env.GEMINI_MODEL || "gemini-3-pro-preview",
       build: BUILD,
     });
   }
 
-  // ----------------------------
-  // Deterministic stage machine
-  // ----------------------------
-  if (!captureLocked) {
-    // START → ask goal
-    if (notes.stage === STAGES.START) {
-      // If the very first message contains a goal hint, store it but still ask once.
-      const g = inferGoal(message);
-      if (g) notes.primary_goal = g;
-      else if (message && !isNonAnswer(message)) notes.primary_goal_raw = clampStr(message, 240);
-
-      const out = promptGoal();
-      notes.stage = out.stage;
-
-      notes.transcript.push({ turn: turnIn + 1, zion: out.reply, at: nowIso() });
-
-      return json(res, 200, {
-        reply: out.reply,
-        next_question: out.next_question,
-        capture_intent: out.capture_intent,
-        turn: turnIn + 1,
-        notes,
-        model: process.env.GEMINI_MODEL || "gemini-3-pro-preview",
-        build: BUILD,
-      });
+  if (req.method !== "POST") {
+    return json(res, 405, { error: "Method not allowed", build: BUILD });
+  }
+
+  // Vercel may hand over a parsed req.body; readJsonBody uses it when present.
+  const read = await readJsonBody(req, "zion");
+  if (!read.ok) return sendBodyError(res, read, { build: BUILD });
+  const body = safeObj(read.body, {});
+
+  const message = normalize(body.message);
+  const session_id = normalize(body.session_id) || "anon";
+
+  // "anon" is shared, so it only counts against the IP.
+  const limited = await checkRateLimit(req, "zion", { session: session_id === "anon" ? "" : session_id });
+  if (limited) return sendRateLimited(res, limited, { build: BUILD });
+
+  // "anon" is shared by every client without an id, so it is never persisted.
+  const persist = session_id !== "anon" && sessionStoreEnabled();
+
+  // LLM extraction result, computed at most once per request (reused if the CAS loop replays).
+  const mode = extractionMode();
+  let llm = null;
+
+  for (let attempt = 0; ; attempt++) {
+    let session = { version: 0, notes: null };
+    if (persist) {
+      try {
+        session = await loadSession(session_id);
+      } catch {
+        // Never fall back to body.notes here: that would let the client set its own stage and answers.
+        return json(res, 503, { error: "Session store unavailable. Retry.", session_id, build: BUILD });
+      }
     }
 
-    // GOAL → store + ask business/buyer
-    if (notes.stage === STAGES.GOAL) {
-      const g = inferGoal(message);
-      if (g) notes.primary_goal = g;
-      else if (message && !isNonAnswer(message)) notes.primary_goal_raw = clampStr(message, 240);
-
-      const out = promptBusiness();
-      notes.stage = out.stage;
-
-      notes.transcript.push({ turn: turnIn + 1, zion: out.reply, at: nowIso() });
-
-      return json(res, 200, {
-        reply: out.reply,
-        next_question: out.next_question,
-        capture_intent: out.capture_intent,
-        turn: turnIn + 1,
-        notes,
-        model: process.env.GEMINI_MODEL || "gemini-3-pro-preview",
-        build: BUILD,
-      });
+    // Stored notes win; body.notes is only honored for legacy clients when no store is configured.
+    const notes = ensureTranscript(safeObj(session.notes || body.notes, {}));
+    notes.session_id = session_id;
+    if (!notes.source && normalize(body.source)) notes.source = clampStr(normalize(body.source), 120);
+
+    const loc = resolveSessionLocale(
+      { locale: notes.locale, source: notes.locale_source },
+      message,
+      req.headers?.["accept-language"]
+    );
+    notes.locale = loc.locale;
+    notes.locale_source = loc.source;
+
+    // A session stays on the flow it started with; otherwise request → deployment → default.
+    const flowId = normalize(notes.flow) || normalize(body.flow) || defaultFlowId();
+    // Broken deployment config (ZION_EXPERIMENT*, ZION_FLOWS_JSON) throws; answer in the usual JSON shape.
+    let assignment, flow, errors;
+    try {
+      assignment = assignVariant(session_id, flowId);
+      ({ flow, errors } = resolveFlow(flowId, assignment, notes.locale));
+    } catch (e) {
+      return json(res, 500, { error: e.message, build: BUILD });
+    }
+    if (!flow || errors.length) {
+      const error = assignment
+        ? `Invalid flow "${flowId}" (experiment variant "${assignment.variant.id}")`
+        : `Invalid flow "${flowId}"`;
+      return json(res, 400, { error, details: errors, build: BUILD });
     }
+    notes.experiment = experimentStamp(assignment);
 
-    // BUSINESS → store + ask metric
-    if (notes.stage === STAGES.BUSINESS) {
-      const bt = inferBusinessType(message);
-      if (bt.raw) notes.business_type = bt.raw;
-      if (bt.label) notes.industry = bt.label;
-      if (bt.buyer) notes.buyer = bt.buyer;
-
-      const out = promptMetric();
-      notes.stage = out.stage;
-
-      notes.transcript.push({ turn: turnIn + 1, zion: out.reply, at: nowIso() });
-
-      return json(res, 200, {
-        reply: out.reply,
-        next_question: out.next_question,
-        capture_intent: out.capture_intent,
-        turn: turnIn + 1,
-        notes,
-        model: process.env.GEMINI_MODEL || "gemini-3-pro-preview",
-        build: BUILD,
-      });
+    // Only spend the latency budget when this turn will actually extract something.
+    const stage = flow.stages[notes.stage || STAGES.START];
+    const extracting = !notes.capture_locked && stage?.extract?.length && message && !isNonAnswer(message, notes.locale);
+    if (mode === "llm" && extracting && !llm) {
+      llm = await extractSlots({ message, stageHint: notes.stage || STAGES.START, labels: EXTRACTION_LABELS });
     }
 
-    // METRIC → store + trigger intake
-    if (notes.stage === STAGES.METRIC) {
-      const tm = inferTargetMetric(message);
-      if (tm.raw) notes.target_metric = tm.raw;
-      if (tm.num != null) notes.target_metric_number = tm.num;
-      if (tm.unit) notes.target_metric_unit = tm.unit;
-
-      notes.capture_locked = true;
-      const out = triggerIntake();
-      notes.stage = out.stage;
-
-      notes.transcript.push({ turn: turnIn + 1, zion: out.reply, at: nowIso() });
-
-      return json(res, 200, {
-        reply: out.reply,
-        next_question: out.next_question,
-        capture_intent: out.capture_intent,
-        turn: turnIn + 1,
-        notes,
-        model: process.env.GEMINI_MODEL || "gemini-3-pro-preview",
-        build: BUILD,
-      });
+    const turnIn = Number.isFinite(Number(body.turn)) ? Number(body.turn) : Number(notes.turn || 0);
+    const before = { stageBefore: notes.stage || "", industryBefore: notes.industry || "" };
+    const out = runGate(flow, notes, message, turnIn, llm);
+
+    let session_version = null;
+    if (persist) {
+      try {
+        session_version = await saveSession(session_id, notes, session.version);
+      } catch {
+        return json(res, 503, { error: "Session store unavailable. Retry.", session_id, build: BUILD });
+      }
+      if (session_version == null) {
+        // Lost the race to a concurrent turn: replay this message against fresh state.
+        if (attempt < SESSION_CAS_RETRIES) continue;
+        return json(res, 409, { error: "Session was updated concurrently. Retry.", session_id, build: BUILD });
+      }
     }
 
-    // Any unexpected stage → trigger intake
-    notes.capture_locked = true;
-    notes.stage = STAGES.CAPTURE;
-    const out = triggerIntake();
-    notes.transcript.push({ turn: turnIn + 1, zion: out.reply, at: nowIso() });
-    return json(res, 200, {
-      reply: out.reply,
-      next_question: out.next_question,
-      capture_intent: out.capture_intent,
-      turn: turnIn + 1,
+    if (session_id !== "anon") waitUntil(trackStageChange(flow, session_id, before, notes));
+
+    const turnBody = {
+      ...out,
+      stage: notes.stage,
       notes,
+      session_id,
+      session_version,
+      extraction: {
+        mode,
+        path: llm ? (llm.ok ? "llm" : `fallback:${llm.reason}`) : "deterministic",
+        latency_ms: llm ? llm.latency_ms : 0,
+      },
+      field_sources: notes.field_sources || {},
+      experiment: notes.experiment,
+      locale: notes.locale,
+      force_intake_after_turns: forceIntakeAfterTurns(assignment?.variant),
       model: process.env.GEMINI_MODEL || "gemini-3-pro-preview",
       build: BUILD,
-    });
+    };
+    return wantsStream(req) ? streamTurn(res, turnBody) : json(res, 200, turnBody);
   }
-
-  // After capture is locked: keep it short and directive (fast)
-  const out = {
-    reply: "I’m ready. Complete the intake and I’ll generate your executive summary and tiers.",
-    next_question: "Complete the intake so I can generate your executive summary and tiers.",
-    capture_intent: "ask_contact",
-  };
-  notes.stage = STAGES.CAPTURE;
-  notes.capture_locked = true;
-  notes.transcript.push({ turn: turnIn + 1, zion: out.reply, at: nowIso() });
-
-  return json(res, 200, {
-    reply: out.reply,
-    next_question: out.next_question,
-    capture_intent: out.capture_intent,
-    turn: turnIn + 1,
-    notes,
-    model: process.env.GEMINI_MODEL || "gemini-3-pro-preview",
-    build: BUILD,
-  });
 }
@@ -0,0 +1,22 @@
+// lib/admin-auth.js
+// Bearer-token check for operator endpoints (e.g. /api/crm-outbox).
+//
+// Env:
+//   ADMIN_TOKEN    Authorization: Bearer <ADMIN_TOKEN> for people / scripts
+//   CRON_SECRET    Vercel Cron sends Authorization: Bearer <CRON_SECRET>; accepted too
+// With neither set, every admin request is refused.
+
+import { timingSafeEqual } from "node:crypto";
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && timingSafeEqual(x, y);
+}
+
+export function isAdminRequest(req) {
+  const header = String(req.headers?.authorization || "");
+  const token = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+  if (!token) return false;
+  return [process.env.ADMIN_TOKEN, process.env.CRON_SECRET].some((secret) => secret && safeEqual(token, secret));
+}
@@ -0,0 +1,219 @@
+// lib/analytics.js
+// First-party funnel analytics: daily counters in KV, no third-party script, no per-visitor records.
+//
+// Events (each counted at most once per visitor id — the Zion session_id, or the pid after intake):
+//   chat_started        first Zion turn                              (server, api/zion.js)
+//   stage_<id>          a Zion flow stage was reached (asked)        (server, api/zion.js) — stage_goal,
+//                       stage_business, stage_metric, stage_capture; other flows add their own ids
+//   intake_opened       the intake modal was shown                   (client, /api/events)
+//   intake_submitted    an intake was accepted                       (server, api/intake.js)
+//   summary_viewed      the proposal summary page was opened          (client, /api/events)
+//   proposal_accepted   the proposal was signed                      (server, api/accept.js)
+//
+// Keys (TTL: retentionSeconds("analytics")):
+//   an:<YYYY-MM-DD>         one hash per day (kvHIncr), fields:
+//     <event>:all                 total
+//     <event>:source:<slug>       per lead source (intake `source`, sent with every Zion turn)
+//     <event>:industry:<slug>     per inferred industry (Zion notes, else the intake answer)
+//     <event>:variant:<slug>      per A/B variant ("<experiment>.<variant>", lib/experiments.js)
+//   an_seen:<event>:<id>    once-per-visitor marker
+// A report reads one hash per day, REPORT_BATCH_DAYS hashes per round trip (MAX_REPORT_DAYS → 3 requests).
+//
+// Zion only learns the industry a few stages in, so steps reached before that carry no industry; when it is
+// inferred, backfillIndustry counts the visitor's earlier steps under it (on that day). Visitors whose industry
+// is never known are left out of the industry breakdown rather than lumped under "unknown".
+//
+// Counting is best effort: a storage failure loses the event, never the request. Callers hand trackEvent to
+// waitUntil so it stays off the response path.
+
+import { experimentLabel } from "./experiments.js";
+import { retentionSeconds } from "./retention.js";
+import { kvHGetAll, kvHIncr, kvIncr, kvMGetJson, storageEnabled } from "./storage.js";
+
+// The funnel in order; conversion rates in funnelReport are step-to-step along this list.
+export const FUNNEL = [
+  "chat_started",
+  "stage_goal",
+  "stage_business",
+  "stage_metric",
+  "stage_capture",
+  "intake_opened",
+  "intake_submitted",
+  "summary_viewed",
+  "proposal_accepted"
+];
+
+// What /api/events accepts from the browser; everything else is recorded server-side.
+export const CLIENT_EVENTS = ["intake_opened", "summary_viewed"];
+
+const EVENT_RE = /^[a-z0-9_]{1,48}$/;
+const SEEN_TTL_SECONDS = 60 * 60 * 24 * 30;
+export const MAX_REPORT_DAYS = 92;
+const REPORT_BATCH_DAYS = 31;
+
+export function stageEvent(stageId) {
+  return `stage_${String(stageId || "").toLowerCase()}`;
+}
+
+// "Lumen Landing — Zion Intake" → "lumen-landing-zion-intake"; dots survive (variant labels); empty → "unknown".
+export function dimensionSlug(value) {
+  const slug = String(value ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9.]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+  return slug || "unknown";
+}
+
+export function dayKey(at = new Date()) {
+  return new Date(at).toISOString().slice(0, 10);
+}
+
+function dayHash(day) {
+  return `an:${day}`;
+}
+
+/**
+ * Report dimensions for a lead: source from the intake (or the client on pre-intake turns), industry from the
+ * Zion inference first, then the intake's own answer, and the A/B variant the session was served.
+ */
+export function leadDimensions({ notes, intake, source } = {}) {
+  return {
+    source: intake?.source || notes?.source || source || "",
+    industry: notes?.industry || intake?.zion_notes?.industry || intake?.industry || "",
+    variant: experimentLabel(intake?.experiment || notes?.experiment)
+  };
+}
+
+/**
+ * Counts `event` for the day, once per `id` (omit id to count every call). Returns true when counted.
+ * Never throws.
+ */
+export async function trackEvent(event, { id = "", source = "", industry = "", variant = "", at = new Date() } = {}) {
+  if (!EVENT_RE.test(String(event)) || !storageEnabled()) return false;
+  try {
+    if (id && (await kvIncr(`an_seen:${event}:${id}`, SEEN_TTL_SECONDS)) !== 1) return false;
+
+    const fields = [`${event}:all`, `${event}:source:${dimensionSlug(source)}`];
+    if (industry) fields.push(`${event}:industry:${dimensionSlug(industry)}`);
+    if (variant) fields.push(`${event}:variant:${dimensionSlug(variant)}`);
+    await kvHIncr(dayHash(dayKey(at)), fields, retentionSeconds("analytics"));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Counts the `events` visitor `id` has already reached under `industry`. Call once, on the turn the industry
+ * becomes known and before tracking that turn's own event. Never throws.
+ */
+export async function backfillIndustry(id, industry, events) {
+  if (!id || !industry || !storageEnabled()) return;
+  try {
+    const seen = await kvMGetJson(events.map((event) => `an_seen:${event}:${id}`));
+    const fields = events.filter((_, i) => seen[i]).map((event) => `${event}:industry:${dimensionSlug(industry)}`);
+    await kvHIncr(dayHash(dayKey()), fields, retentionSeconds("analytics"));
+  } catch {
+    // best effort
+  }
+}
+
+// -------------------- Report --------------------
+function daysBetween(from, to) {
+  const start = Date.parse(`${from}T00:00:00Z`);
+  const end = Date.parse(`${to}T00:00:00Z`);
+  if (!Number.isFinite(start) || !Number.isFinite(end)) throw new Error("`from` and `to` must be YYYY-MM-DD");
+  if (start > end) throw new Error("`from` must not be after `to`");
+  if ((end - start) / 86400000 + 1 > MAX_REPORT_DAYS) throw new Error(`Report range is limited to ${MAX_REPORT_DAYS} days`);
+
+  const days = [];
+  for (let t = start; t <= end; t += 86400000) days.push(dayKey(t));
+  return days;
+}
+
+function rate(n, d) {
+  return d > 0 ? Math.round((n / d) * 1000) / 1000 : null;
+}
+
+// FUNNEL steps with step-to-step and from-the-top conversion, then any other events seen (flow-specific stages).
+function funnelSteps(counts) {
+  const top = counts[FUNNEL[0]] || 0;
+  const steps = FUNNEL.map((event, i) => {
+    const count = counts[event] || 0;
+    return {
+      event,
+      count,
+      rate_from_previous: i === 0 ? null : rate(count, counts[FUNNEL[i - 1]] || 0),
+      rate_from_start: i === 0 ? null : rate(count, top)
+    };
+  });
+  const other = Object.keys(counts)
+    .filter((e) => !FUNNEL.includes(e))
+    .sort()
+    .map((event) => ({ event, count: counts[event], rate_from_previous: null, rate_from_start: rate(counts[event], top) }));
+  return [...steps, ...other];
+}
+
+// Per variant: the experiment's two outcome rates — chats that submitted an intake, intakes that were accepted.
+function variantOutcomes(groups) {
+  return Object.entries(groups).map(([variant, c]) => ({
+    variant,
+    chats: c.chat_started || 0,
+    submitted: c.intake_submitted || 0,
+    accepted: c.proposal_accepted || 0,
+    submit_rate: rate(c.intake_submitted || 0, c.chat_started || 0),
+    accept_rate: rate(c.proposal_accepted || 0, c.intake_submitted || 0)
+  }));
+}
+
+function add(target, event, n) {
+  target[event] = (target[event] || 0) + n;
+}
+
+/**
+ * Aggregates the counters for from..to (YYYY-MM-DD, inclusive, at most MAX_REPORT_DAYS).
+ * Returns { from, to, days, funnel, by_source / by_industry / by_variant: { <slug>: funnel }, experiments, daily }.
+ */
+export async function funnelReport({ from, to }) {
+  const days = daysBetween(from, to);
+
+  const totals = {};
+  const by = { source: {}, industry: {}, variant: {} };
+  const daily = [];
+
+  const hashes = [];
+  for (let i = 0; i < days.length; i += REPORT_BATCH_DAYS) {
+    hashes.push(...(await kvHGetAll(days.slice(i, i + REPORT_BATCH_DAYS).map(dayHash))));
+  }
+
+  for (const [i, day] of days.entries()) {
+    const counts = {};
+    for (const [field, value] of Object.entries(hashes[i])) {
+      // <event>:all | <event>:<dimension>:<slug>
+      const [event, dimension, slug] = field.split(":");
+      const n = Number(value) || 0;
+      if (!n) continue;
+      if (dimension === "all") {
+        add(counts, event, n);
+        add(totals, event, n);
+      } else if (by[dimension]) {
+        add((by[dimension][slug] ||= {}), event, n);
+      }
+    }
+    daily.push({ date: day, counts });
+  }
+
+  const breakdown = (groups) => Object.fromEntries(Object.entries(groups).map(([slug, c]) => [slug, funnelSteps(c)]));
+  return {
+    from: days[0],
+    to: days[days.length - 1],
+    days: days.length,
+    funnel: funnelSteps(totals),
+    by_source: breakdown(by.source),
+    by_industry: breakdown(by.industry),
+    by_variant: breakdown(by.variant),
+    experiments: variantOutcomes(by.variant),
+    daily
+  };
+}
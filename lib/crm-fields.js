@@ -0,0 +1,135 @@
+// lib/crm-fields.js
+// Maps intake, Zion session notes and the generated proposal onto CRM (GoHighLevel) custom fields.
+//
+// The map is { <crm field key>: "<source>.<path>" }. Sources:
+//   intake     the stored intake (api/intake.js), e.g. intake.budget_range, intake.target_metric.raw
+//   notes      the Zion session notes (intake.zion_notes), e.g. notes.business_type
+//   proposal   the generated proposal, e.g. proposal.pricing_logic.recommended_focus
+//   lead       values computed here: proposal_url, conversation_summary, temperature, temperature_score,
+//              recommended_tier, tiers (temperature/score/tier come from the lead score, lib/lead-scoring.js),
+//              experiment_variant ("<experiment>.<variant>" from intake.experiment, lib/experiments.js)
+// Arrays/objects are flattened to text; empty values are sent as "".
+//
+// Env:
+//   GHL_FIELD_MAP_JSON   JSON object merged over the default map; map a key to null to drop it
+//   PUBLIC_BASE_URL      origin for proposal links (default: the server-side origin passed in as `origin`,
+//                        lib/guard.js requestOrigin); with neither, the link is left out
+// Proposal links carry a freshly signed view token (lib/proposal-access.js). Their origin never comes from the
+// client (intake.page_url), so a forged page_url cannot point a signed link at another site.
+
+import { experimentLabel } from "./experiments.js";
+import { proposalQuery, signViewToken } from "./proposal-access.js";
+
+const DEFAULT_FIELD_MAP = {
+  business_name: "intake.business_name",
+  website: "intake.website",
+  industry: "intake.industry",
+  primary_goal: "intake.primary_goal",
+  budget_range: "intake.budget_range",
+  timeline: "intake.timeline",
+  bottleneck: "intake.bottleneck",
+  target_metric: "intake.target_metric.raw",
+  zion_business_type: "notes.business_type",
+  zion_buyer: "notes.buyer",
+  zion_goal: "notes.primary_goal",
+  recommended_focus: "proposal.pricing_logic.recommended_focus",
+  proposal_tiers: "lead.tiers",
+  proposal_url: "lead.proposal_url",
+  conversation_summary: "lead.conversation_summary",
+  lead_temperature: "lead.temperature",
+  lead_temperature_score: "lead.temperature_score",
+  recommended_tier: "lead.recommended_tier",
+  experiment_variant: "lead.experiment_variant"
+};
+
+const SUMMARY_MAX_CHARS = 1200;
+
+export function crmFieldMap() {
+  const map = { ...DEFAULT_FIELD_MAP };
+  if (!process.env.GHL_FIELD_MAP_JSON) return map;
+  try {
+    const override = JSON.parse(process.env.GHL_FIELD_MAP_JSON);
+    for (const [key, path] of Object.entries(override && typeof override === "object" ? override : {})) {
+      if (path === null) delete map[key];
+      else if (typeof path === "string") map[key] = path;
+    }
+  } catch {
+    // A broken override must not stop CRM delivery; the defaults still go out.
+  }
+  return map;
+}
+
+function resolvePath(sources, path) {
+  return String(path).split(".").reduce((v, k) => (v == null ? undefined : v[k]), sources);
+}
+
+function toFieldValue(v) {
+  if (v == null) return "";
+  if (typeof v === "number" || typeof v === "boolean") return v;
+  if (Array.isArray(v)) return v.map((x) => (typeof x === "object" ? JSON.stringify(x) : String(x))).join(" | ");
+  if (typeof v === "object") return JSON.stringify(v);
+  return String(v);
+}
+
+export function proposalUrl(pid, origin = "") {
+  const base = process.env.PUBLIC_BASE_URL || origin || "";
+  if (!pid || !base) return "";
+  return base.replace(/\/$/, "") + `/summary?${proposalQuery(pid, signViewToken(pid).token)}`;
+}
+
+/**
+ * Plain-text recap of the Zion chat for the CRM: what was learned, then the user's own words.
+ */
+export function summarizeConversation(notes) {
+  if (!notes || typeof notes !== "object") return "";
+  const facts = [
+    notes.business_type && `Business: ${notes.business_type}`,
+    notes.industry && `Industry: ${notes.industry}`,
+    notes.buyer && `Buyer: ${notes.buyer}`,
+    (notes.primary_goal || notes.primary_goal_raw) && `Goal: ${notes.primary_goal || notes.primary_goal_raw}`,
+    notes.target_metric && `30-day target: ${notes.target_metric}`
+  ].filter(Boolean);
+
+  const said = (Array.isArray(notes.transcript) ? notes.transcript : [])
+    .map((t) => (typeof t?.user === "string" ? t.user.trim() : ""))
+    .filter(Boolean);
+
+  const parts = [];
+  if (facts.length) parts.push(facts.join(". ") + ".");
+  if (said.length) parts.push(`Lead said (${said.length} message${said.length === 1 ? "" : "s"}): ` + said.map((s) => `"${s}"`).join(" / "));
+  const text = parts.join(" ");
+  return text.length > SUMMARY_MAX_CHARS ? text.slice(0, SUMMARY_MAX_CHARS - 1) + "…" : text;
+}
+
+function tiersText(proposal) {
+  const tiers = Array.isArray(proposal?.tiers) ? proposal.tiers : [];
+  return tiers.map((t) => `${t.name} $${Number(t.monthly_price).toLocaleString("en-US")}/mo`).join(" | ");
+}
+
+/**
+ * Values for the `lead.*` source; also used directly by lib/ghl.js for top-level payload fields.
+ */
+export function leadFields({ intake = {}, proposal = null, pid = "", leadScore = null, origin = "" } = {}) {
+  const notes = intake.zion_notes && typeof intake.zion_notes === "object" ? intake.zion_notes : {};
+  return {
+    proposal_url: proposalUrl(pid, origin),
+    conversation_summary: intake.conversation_summary || summarizeConversation(notes),
+    temperature: leadScore?.band || proposal?.pricing_logic?.temperature || "",
+    temperature_score: leadScore?.score ?? null,
+    recommended_tier: leadScore?.recommended_tier || "",
+    tiers: tiersText(proposal),
+    experiment_variant: experimentLabel(intake.experiment)
+  };
+}
+
+export function buildCrmCustomFields({ intake = {}, proposal = null, pid = "", leadScore = null, origin = "" } = {}, map = crmFieldMap()) {
+  const sources = {
+    intake,
+    notes: intake.zion_notes && typeof intake.zion_notes === "object" ? intake.zion_notes : {},
+    proposal: proposal || {},
+    lead: leadFields({ intake, proposal, pid, leadScore, origin })
+  };
+  const out = {};
+  for (const [key, path] of Object.entries(map)) out[key] = toFieldValue(resolvePath(sources, path));
+  return out;
+}
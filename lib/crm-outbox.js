@@ -0,0 +1,217 @@
+// lib/crm-outbox.js
+// Persisted outbox for CRM (GoHighLevel) deliveries.
+//
+// Every event is stored before it is sent, keyed by an idempotency key derived from the pid
+// (`<pid>:<event>`, or `<pid>:<event>:<requestId>` for events that may legitimately repeat, like link
+// requests), so a duplicate enqueue is a no-op and retries carry the same key.
+// Failed sends are retried with exponential backoff (CRM_RETRY_BASE_SECONDS * 2^(attempt-1));
+// after CRM_MAX_ATTEMPTS the entry moves to the dead-letter list (crm_dead:<key>) until replayed.
+// Delivered entries move to crm_sent:<key> (kept for the idempotency check and inspection), so crm_outbox:*
+// only ever holds pending entries and a drain never wades through old deliveries to reach its retries.
+//
+// Retries run whenever drainCrmOutbox() is called: opportunistically after each proposal job, and from
+// GET /api/crm-outbox?drain=1, which the Vercel cron in vercel.json calls every 10 minutes.
+//
+// Entry: { key, pid, event, payload, status: pending|delivered|dead, attempts, next_attempt_at,
+//          last_error, history: [{ at, ok, error }], created_at, updated_at, version }
+//
+// Env:
+//   CRM_MAX_ATTEMPTS         default 6
+//   CRM_RETRY_BASE_SECONDS   default 60
+
+import { sendGHLPayload } from "./ghl.js";
+import { kvDel, kvGetJson, kvScan, kvSetJson, kvSetJsonIfVersion } from "./storage.js";
+
+export const OUTBOX_STATUS = {
+  PENDING: "pending",
+  DELIVERED: "delivered",
+  DEAD: "dead"
+};
+
+const OUTBOX_PREFIX = "crm_outbox:";
+const DEAD_PREFIX = "crm_dead:";
+const SENT_PREFIX = "crm_sent:";
+const OUTBOX_TTL_SECONDS = 60 * 60 * 24 * 7;
+const DEAD_TTL_SECONDS = 60 * 60 * 24 * 30;
+const LEASE_MS = 30 * 1000; // a sender holds an entry this long before another may retry it
+const MAX_HISTORY = 10;
+const DEFAULT_MAX_ATTEMPTS = 6;
+const DEFAULT_RETRY_BASE_SECONDS = 60;
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+export function crmIdempotencyKey(pid, event, requestId = "") {
+  return requestId ? `${pid}:${event}:${requestId}` : `${pid}:${event}`;
+}
+
+function backoffSeconds(attempts) {
+  return envNumber("CRM_RETRY_BASE_SECONDS", DEFAULT_RETRY_BASE_SECONDS) * 2 ** Math.max(attempts - 1, 0);
+}
+
+export async function getOutboxEntry(key) {
+  return (
+    (await kvGetJson(OUTBOX_PREFIX + key)) ||
+    (await kvGetJson(SENT_PREFIX + key)) ||
+    (await kvGetJson(DEAD_PREFIX + key))
+  );
+}
+
+/**
+ * Stores the event (payload already built) unless an entry with the same key exists. Returns the entry.
+ */
+export async function enqueueCrmEvent({ pid, event, payload, requestId = "" }) {
+  const key = crmIdempotencyKey(pid, event, requestId);
+  const existing = await getOutboxEntry(key);
+  if (existing) return existing;
+
+  const now = new Date().toISOString();
+  const entry = {
+    key,
+    pid,
+    event,
+    payload: { ...payload, idempotency_key: key },
+    status: OUTBOX_STATUS.PENDING,
+    attempts: 0,
+    next_attempt_at: now,
+    lease_until: null,
+    last_error: null,
+    history: [],
+    created_at: now,
+    updated_at: now,
+    version: 1
+  };
+  // CAS on version 0 = "create if absent", so two concurrent enqueues store one entry.
+  const created = await kvSetJsonIfVersion(OUTBOX_PREFIX + key, entry, 0, OUTBOX_TTL_SECONDS);
+  return created ? entry : getOutboxEntry(key);
+}
+
+/**
+ * One delivery attempt. Skips entries that are delivered, dead, leased by another sender or not yet due
+ * (unless `force`). Never throws for CRM errors; returns { ok, entry, skipped? }.
+ */
+export async function deliverCrmEvent(key, { force = false } = {}) {
+  const entry = (await kvGetJson(OUTBOX_PREFIX + key)) || (await kvGetJson(SENT_PREFIX + key));
+  if (!entry) return { ok: false, skipped: "missing", entry: null };
+  if (entry.status !== OUTBOX_STATUS.PENDING) return { ok: entry.status === OUTBOX_STATUS.DELIVERED, skipped: entry.status, entry };
+
+  const now = Date.now();
+  if (entry.lease_until && Date.parse(entry.lease_until) > now) return { ok: false, skipped: "leased", entry };
+  if (!force && Date.parse(entry.next_attempt_at) > now) return { ok: false, skipped: "not_due", entry };
+
+  // Claim the entry so a concurrent drain doesn't double-send.
+  const claimed = { ...entry, lease_until: new Date(now + LEASE_MS).toISOString(), version: entry.version + 1 };
+  if (!(await kvSetJsonIfVersion(OUTBOX_PREFIX + key, claimed, entry.version, OUTBOX_TTL_SECONDS))) {
+    return { ok: false, skipped: "leased", entry };
+  }
+
+  let error = null;
+  try {
+    await sendGHLPayload(claimed.payload, { idempotencyKey: key });
+  } catch (e) {
+    error = e?.message || String(e);
+  }
+
+  const at = new Date().toISOString();
+  const attempts = claimed.attempts + 1;
+  const next = {
+    ...claimed,
+    attempts,
+    lease_until: null,
+    last_error: error,
+    history: [...claimed.history, { at, ok: !error, error }].slice(-MAX_HISTORY),
+    updated_at: at,
+    version: claimed.version + 1
+  };
+
+  if (!error) {
+    next.status = OUTBOX_STATUS.DELIVERED;
+    next.delivered_at = at;
+    next.next_attempt_at = null;
+    await kvSetJson(SENT_PREFIX + key, next, OUTBOX_TTL_SECONDS);
+    await kvDel(OUTBOX_PREFIX + key);
+    return { ok: true, entry: next };
+  } else if (attempts >= envNumber("CRM_MAX_ATTEMPTS", DEFAULT_MAX_ATTEMPTS)) {
+    next.status = OUTBOX_STATUS.DEAD;
+    next.dead_at = at;
+    next.next_attempt_at = null;
+    await kvSetJson(DEAD_PREFIX + key, next, DEAD_TTL_SECONDS);
+    await kvDel(OUTBOX_PREFIX + key);
+    return { ok: false, entry: next };
+  } else {
+    next.next_attempt_at = new Date(Date.now() + backoffSeconds(attempts) * 1000).toISOString();
+  }
+
+  await kvSetJson(OUTBOX_PREFIX + key, next, OUTBOX_TTL_SECONDS);
+  return { ok: !error, entry: next };
+}
+
+/**
+ * Enqueue + first attempt. Used by /api/intake and /api/accept; a CRM outage leaves the entry pending
+ * for later retries and never throws. `payload` may be a function that builds it: it then runs inside the same
+ * guard, so a failing build (e.g. no token secret for the proposal link) is reported instead of thrown.
+ */
+export async function sendCrmEvent({ pid, event, payload, requestId = "" }) {
+  try {
+    const built = typeof payload === "function" ? payload() : payload;
+    const entry = await enqueueCrmEvent({ pid, event, payload: built, requestId });
+    return await deliverCrmEvent(entry.key);
+  } catch (e) {
+    return { ok: false, entry: null, error: e?.message || String(e) };
+  }
+}
+
+/**
+ * Retries every pending entry that is due. Returns { attempted, delivered, dead }.
+ */
+export async function drainCrmOutbox({ limit = 25 } = {}) {
+  const keys = await kvScan(`${OUTBOX_PREFIX}*`);
+  const summary = { attempted: 0, delivered: 0, dead: 0 };
+  for (const fullKey of keys) {
+    if (summary.attempted >= limit) break;
+    const r = await deliverCrmEvent(fullKey.slice(OUTBOX_PREFIX.length));
+    if (r.skipped) continue;
+    summary.attempted++;
+    if (r.ok) summary.delivered++;
+    else if (r.entry?.status === OUTBOX_STATUS.DEAD) summary.dead++;
+  }
+  return summary;
+}
+
+export async function listOutbox(status = OUTBOX_STATUS.DEAD, { limit = 100 } = {}) {
+  const prefix = { [OUTBOX_STATUS.DEAD]: DEAD_PREFIX, [OUTBOX_STATUS.DELIVERED]: SENT_PREFIX }[status] || OUTBOX_PREFIX;
+  const entries = [];
+  for (const k of await kvScan(`${prefix}*`, { limit: limit * 4 })) {
+    const e = await kvGetJson(k);
+    if (e && e.status === status) entries.push(e);
+    if (entries.length >= limit) break;
+  }
+  return entries.sort((a, b) => String(b.updated_at).localeCompare(String(a.updated_at)));
+}
+
+/**
+ * Moves a dead (or stuck pending) entry back to pending with a fresh attempt budget and sends it now.
+ */
+export async function replayCrmEvent(key) {
+  const entry = await getOutboxEntry(key);
+  if (!entry) return { ok: false, error: "not_found", entry: null };
+  if (entry.status === OUTBOX_STATUS.DELIVERED) return { ok: true, skipped: "delivered", entry };
+
+  const now = new Date().toISOString();
+  const revived = {
+    ...entry,
+    status: OUTBOX_STATUS.PENDING,
+    attempts: 0,
+    next_attempt_at: now,
+    lease_until: null,
+    dead_at: null,
+    replayed_at: now,
+    updated_at: now,
+    version: (entry.version || 0) + 1
+  };
+  await kvSetJson(OUTBOX_PREFIX + key, revived, OUTBOX_TTL_SECONDS);
+  await kvDel(DEAD_PREFIX + key);
+  return deliverCrmEvent(key, { force: true });
+}
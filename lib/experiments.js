@@ -0,0 +1,231 @@
+// lib/experiments.js
+// A/B experiments on the Zion gate: question copy, question order and the intake trigger caps.
+//
+// An experiment is plain data, like a flow (lib/zion-flows.js):
+//
+//   {
+//     id: "gate_order_2026_10",
+//     flows: ["default"],                       // flows it applies to (omit = every flow)
+//     variants: [
+//       { id: "control", weight: 1 },           // no overrides = the flow as defined
+//       {
+//         id: "business_first",
+//         weight: 1,
+//         order: ["business", "goal", "metric"],            // question order: start → … → capture, in a straight
+//                                                            // line (replaces every `next`, branches included)
+//         copy: { goal: { reply, next_question }, capture: { reply, next_question }, locked: { … } },
+//                                                            // prompt overrides per stage id (+ capture / locked),
+//                                                            // English sessions
+//         locales: { es: { copy: { … } } },                 // the same overrides for other locales; a locale
+//                                                            // without them keeps its catalog copy (lib/zion-locales.js)
+//         max_user_inputs_before_intake: 5,                 // server cap (flow cap)
+//         force_intake_after_turns: 2                       // client cap: index.html opens the intake after this
+//       }                                                    // many Zion replies
+//     ]
+//   }
+//
+// Assignment is deterministic: sha256("<experiment id>:<session_id>") picks a variant by weight, so a session
+// keeps its variant on every turn and instance without storing anything. The variant is stamped as
+// { id, variant } into the Zion notes (notes.experiment), the intake record (intake.experiment) and the CRM
+// payload (experiment_variant), and counted as a dimension in lib/analytics.js (submit / accept rates per
+// variant in /api/admin/analytics).
+//
+// Env:
+//   ZION_EXPERIMENT          id of the running experiment (unset = none; everyone gets the plain flow)
+//   ZION_EXPERIMENTS_JSON    extra experiment definitions (object or array); same id overrides a built-in
+
+import { createHash } from "node:crypto";
+import { DEFAULT_LOCALE } from "./locale.js";
+import { CAPTURE_STAGE, START_STAGE } from "./zion-flows.js";
+
+// Client default when no variant sets force_intake_after_turns (index.html falls back to the same number).
+export const DEFAULT_FORCE_INTAKE_AFTER_TURNS = 3;
+
+// Business first, with the opener moved to the first question asked, and one turn less before the intake opens.
+const GATE_ORDER_EXPERIMENT = {
+  id: "gate_order_2026_10",
+  flows: ["default"],
+  variants: [
+    { id: "control", weight: 1 },
+    {
+      id: "business_first",
+      weight: 1,
+      order: ["business", "goal", "metric"],
+      copy: {
+        business: {
+          reply: "Zion online. What do you do, and who do you sell to?",
+          next_question: "What do you do, and who is the primary buyer?",
+        },
+        goal: {
+          reply: "Understood. What is your #1 goal for the next 30 days—leads, booked estimates, or revenue?",
+          next_question: "What is your #1 goal for the next 30 days (leads, booked estimates, or revenue)?",
+        },
+      },
+      locales: {
+        es: {
+          copy: {
+            business: {
+              reply: "Zion en línea. ¿A qué te dedicas y a quién le vendes?",
+              next_question: "¿A qué te dedicas y quién es tu comprador principal?",
+            },
+            goal: {
+              reply: "Entendido. ¿Cuál es tu objetivo #1 para los próximos 30 días: prospectos, citas agendadas o ingresos?",
+              next_question: "¿Cuál es tu objetivo #1 para los próximos 30 días (prospectos, citas o ingresos)?",
+            },
+          },
+        },
+      },
+      max_user_inputs_before_intake: 5,
+      force_intake_after_turns: 2,
+    },
+  ],
+};
+
+const BUILTIN_EXPERIMENTS = [GATE_ORDER_EXPERIMENT];
+
+function isObj(x) {
+  return !!x && typeof x === "object" && !Array.isArray(x);
+}
+
+function positiveInt(n) {
+  return Number.isInteger(n) && n > 0;
+}
+
+/**
+ * Structural check of an experiment definition. Returns a list of error strings (empty when valid).
+ * Stage ids in `order` / `copy` are checked against the flow when the variant is applied (validateFlow).
+ */
+export function validateExperiment(exp) {
+  const errors = [];
+  if (!isObj(exp)) return ["experiment must be an object"];
+  if (typeof exp.id !== "string" || !exp.id.trim()) errors.push("id must be a non-empty string");
+  if (exp.flows != null && !(Array.isArray(exp.flows) && exp.flows.every((f) => typeof f === "string"))) {
+    errors.push("flows must be an array of flow ids");
+  }
+  if (!Array.isArray(exp.variants) || !exp.variants.length) return [...errors, "variants must be a non-empty array"];
+
+  const seen = new Set();
+  for (const [i, v] of exp.variants.entries()) {
+    const path = `variants[${i}]`;
+    if (!isObj(v)) { errors.push(`${path} must be an object`); continue; }
+    if (typeof v.id !== "string" || !v.id.trim()) errors.push(`${path}.id must be a non-empty string`);
+    else if (seen.has(v.id)) errors.push(`${path}.id "${v.id}" is used twice`);
+    seen.add(v.id);
+    if (v.weight != null && !(typeof v.weight === "number" && v.weight >= 0)) errors.push(`${path}.weight must be a number >= 0`);
+    if (v.order != null && !(Array.isArray(v.order) && v.order.length && v.order.every((s) => typeof s === "string" && s !== START_STAGE && s !== CAPTURE_STAGE))) {
+      errors.push(`${path}.order must be a non-empty array of question stage ids`);
+    }
+    if (v.copy != null && !isObj(v.copy)) errors.push(`${path}.copy must be an object`);
+    if (v.locales != null && !(isObj(v.locales) && Object.values(v.locales).every((l) => isObj(l) && (l.copy == null || isObj(l.copy))))) {
+      errors.push(`${path}.locales must map locales to { copy }`);
+    }
+    for (const cap of ["max_user_inputs_before_intake", "force_intake_after_turns"]) {
+      if (v[cap] != null && !positiveInt(v[cap])) errors.push(`${path}.${cap} must be a positive integer`);
+    }
+  }
+  if (!exp.variants.some((v) => isObj(v) && (v.weight ?? 1) > 0)) errors.push("at least one variant needs a weight > 0");
+  return errors;
+}
+
+function deploymentExperiments() {
+  const raw = process.env.ZION_EXPERIMENTS_JSON;
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch {
+    throw new Error("ZION_EXPERIMENTS_JSON is not valid JSON");
+  }
+}
+
+/**
+ * All known experiments keyed by id. Deployment experiments (ZION_EXPERIMENTS_JSON) override built-ins.
+ */
+export function loadExperiments() {
+  const out = {};
+  for (const e of [...BUILTIN_EXPERIMENTS, ...deploymentExperiments()]) {
+    if (isObj(e) && typeof e.id === "string") out[e.id] = e;
+  }
+  return out;
+}
+
+/**
+ * The running experiment (ZION_EXPERIMENT), or null. Throws when it is unknown or invalid, like a broken flow.
+ */
+export function activeExperiment() {
+  const id = String(process.env.ZION_EXPERIMENT || "").trim();
+  if (!id) return null;
+  const exp = loadExperiments()[id];
+  if (!exp) throw new Error(`Unknown experiment "${id}" (ZION_EXPERIMENT)`);
+  const errors = validateExperiment(exp);
+  if (errors.length) throw new Error(`Invalid experiment "${id}": ${errors.join("; ")}`);
+  return exp;
+}
+
+// Deterministic weighted pick: the first 32 bits of the hash as a point in [0, total weight).
+function pickVariant(exp, session_id) {
+  const variants = exp.variants.filter((v) => (v.weight ?? 1) > 0);
+  const total = variants.reduce((sum, v) => sum + (v.weight ?? 1), 0);
+  const hash = createHash("sha256").update(`${exp.id}:${session_id}`).digest();
+  let point = (hash.readUInt32BE(0) / 2 ** 32) * total;
+  for (const v of variants) {
+    point -= v.weight ?? 1;
+    if (point < 0) return v;
+  }
+  return variants[variants.length - 1];
+}
+
+/**
+ * The variant `session_id` sees on `flowId`: { experiment, variant } (the definitions), or null when no
+ * experiment is running or it doesn't cover the flow.
+ */
+export function assignVariant(session_id, flowId) {
+  const experiment = activeExperiment();
+  if (!experiment) return null;
+  if (Array.isArray(experiment.flows) && !experiment.flows.includes(flowId)) return null;
+  return { experiment, variant: pickVariant(experiment, String(session_id || "")) };
+}
+
+// What gets stamped into notes / intake: { id, variant }.
+export function experimentStamp(assignment) {
+  return assignment ? { id: assignment.experiment.id, variant: assignment.variant.id } : null;
+}
+
+// "gate_order_2026_10.business_first" — the CRM value and analytics dimension; "" when not in an experiment.
+export function experimentLabel(stamp) {
+  return isObj(stamp) && stamp.id && stamp.variant ? `${stamp.id}.${stamp.variant}` : "";
+}
+
+/**
+ * The flow with the variant's order, copy (for `locale`) and server cap applied (a new object; the flow is not
+ * mutated). Apply it to the already-localized flow. The result still has to pass validateFlow: an order or copy
+ * key naming a stage the flow lacks fails there.
+ */
+export function applyVariant(flow, variant, locale = DEFAULT_LOCALE) {
+  if (!variant) return flow;
+  const out = { ...flow, stages: { ...flow.stages } };
+
+  if (Array.isArray(variant.order) && variant.order.length) {
+    const chain = [START_STAGE, ...variant.order];
+    chain.forEach((id, i) => {
+      out.stages[id] = { ...out.stages[id], next: chain[i + 1] || CAPTURE_STAGE };
+    });
+  }
+
+  const copy = locale === DEFAULT_LOCALE ? variant.copy : variant.locales?.[locale]?.copy;
+  for (const [id, prompt] of Object.entries(isObj(copy) ? copy : {})) {
+    if (id === CAPTURE_STAGE || id === "locked") {
+      const key = id === CAPTURE_STAGE ? "capture" : "locked";
+      out[key] = { ...flow[key], ...prompt };
+    } else {
+      out.stages[id] = { ...out.stages[id], prompt: { ...out.stages[id]?.prompt, ...prompt } };
+    }
+  }
+
+  if (variant.max_user_inputs_before_intake) out.max_user_inputs_before_intake = variant.max_user_inputs_before_intake;
+  return out;
+}
+
+export function forceIntakeAfterTurns(variant) {
+  return variant?.force_intake_after_turns || DEFAULT_FORCE_INTAKE_AFTER_TURNS;
+}
@@ -0,0 +1,76 @@
+// lib/ghl.js
+// GoHighLevel inbound webhook payloads + delivery for intake_submitted, proposal_accepted and
+// proposal_link_requested events (the last one asks the GHL workflow to email the lead a fresh proposal_url).
+// Callers don't post directly: events go through lib/crm-outbox.js (retries, idempotency, dead letters).
+//
+// Required env:
+//   GHL_WEBHOOK_URL   (your GHL Inbound Webhook URL)
+//
+// Every event uses the same contact payload shape; event-specific fields are added on top so one
+// GHL workflow can branch on `event`. Business/session/proposal details travel in `custom_fields`
+// (mapping configurable via GHL_FIELD_MAP_JSON; see lib/crm-fields.js).
+
+import { buildCrmCustomFields, leadFields } from "./crm-fields.js";
+
+export const GHL_EVENTS = {
+  INTAKE_SUBMITTED: "intake_submitted",
+  PROPOSAL_ACCEPTED: "proposal_accepted",
+  LINK_REQUESTED: "proposal_link_requested"
+};
+
+function splitName(fullName) {
+  const full = (fullName || "").trim();
+  if (!full) return { first_name: "", last_name: "" };
+  const parts = full.split(/\s+/).filter(Boolean);
+  return {
+    first_name: parts[0] || "",
+    last_name: parts.slice(1).join(" ") || ""
+  };
+}
+
+// context = { pid, proposal, leadScore, origin } adds the proposal link, lead score and mapped custom fields
+// (lib/crm-fields.js); origin is the server-side site origin for the link.
+export function buildGHLPayload(intakePayload, event = GHL_EVENTS.INTAKE_SUBMITTED, extra = {}, context = {}) {
+  const { first_name, last_name } = splitName(intakePayload.full_name || intakePayload.name || "");
+  const lead = leadFields({ intake: intakePayload, ...context });
+  return {
+    event,
+    first_name,
+    last_name,
+    email: (intakePayload.email || "").trim(),
+    phone: (intakePayload.phone || "").trim(),
+    intent: intakePayload.intent || "Zion Activation",
+    conversation_summary: lead.conversation_summary,
+    source: intakePayload.source || "Zion On-Page Intelligence",
+    page_url: intakePayload.page_url || intakePayload.url || "",
+    proposal_url: lead.proposal_url,
+    lead_temperature: lead.temperature,
+    lead_temperature_score: lead.temperature_score,
+    recommended_tier: lead.recommended_tier,
+    experiment_variant: lead.experiment_variant,
+    custom_fields: buildCrmCustomFields({ intake: intakePayload, ...context }),
+    ...extra
+  };
+}
+
+// Posts an already-built payload. The idempotency key also goes out as a header so a GHL workflow
+// (or anything in front of it) can drop duplicate deliveries from outbox retries.
+export async function sendGHLPayload(payload, { idempotencyKey } = {}) {
+  const url = process.env.GHL_WEBHOOK_URL;
+  if (!url) throw new Error("GHL_WEBHOOK_URL missing");
+
+  const headers = { "Content-Type": "application/json" };
+  if (idempotencyKey) headers["Idempotency-Key"] = idempotencyKey;
+
+  const r = await fetch(url, {
+    method: "POST",
+    headers,
+    body: JSON.stringify(payload)
+  });
+
+  if (!r.ok) {
+    const txt = await r.text().catch(() => "");
+    throw new Error(`GHL webhook failed: HTTP ${r.status} ${txt}`.trim());
+  }
+  return { ok: true };
+}
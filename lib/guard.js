@@ -0,0 +1,216 @@
+// lib/guard.js
+// Shared request guards for the public endpoints (api/zion.js, api/intake.js, api/accept.js, api/proposal.js,
+// api/proposal-link.js, api/events.js). The operator endpoints (api/admin/*, api/crm-outbox.js) use the body cap.
+//
+// - CORS: with ALLOWED_ORIGINS set, only those origins get Access-Control-Allow-Origin and a request carrying
+//   any other Origin is refused (403). Requests without an Origin header (same-origin navigations, curl,
+//   server-to-server) pass. Unset = any origin, as before.
+// - Body size: JSON bodies over the endpoint's limit are refused (413) before they are parsed.
+// - Rate limits: fixed windows counted in KV (lib/storage.js, kvIncr) per client IP (clientIp: the address the
+//   platform reports, never a client-supplied x-forwarded-for entry) and, where the endpoint has
+//   one, per session. Keys: rl:<endpoint>:<ip|session>:<id>:<window index>. When storage is not configured or
+//   fails, requests are let through: the limiter must never take the site down with it.
+//
+// Structured errors (every endpoint, in addition to its own fields):
+//   403 { ok: false, error: "Origin not allowed", code: "origin_not_allowed" }
+//   413 { ok: false, error: "Request body too large", code: "body_too_large", limit_bytes }
+//   429 { ok: false, error: "Too many requests", code: "rate_limited", scope, limit, window_seconds,
+//         retry_after_seconds }  + Retry-After header
+//
+// Env:
+//   ALLOWED_ORIGINS        comma-separated, e.g. "https://lumen.example,https://www.lumen.example"
+//   RATE_LIMITS_JSON       merged over DEFAULT_RATE_LIMITS per endpoint, e.g. {"intake":{"ip":[10,3600]}};
+//                          a scope set to null is not limited
+//   RATE_LIMITS_DISABLED   "1" turns every limit off (local dev, load tests)
+
+import { kvIncr, storageEnabled } from "./storage.js";
+
+// [max requests, window seconds] per scope.
+const DEFAULT_RATE_LIMITS = {
+  zion: { ip: [60, 60], session: [20, 60] },
+  // Every accepted intake costs a model call and a CRM write.
+  intake: { ip: [5, 600], session: [3, 600] },
+  accept: { ip: [20, 600] },
+  // Fresh-link requests; "session" here is the lead (email or pid) the link is asked for.
+  link: { ip: [5, 600], session: [3, 3600] },
+  // Long-poll / SSE clients reconnect every ~25s; leave plenty of room.
+  proposal: { ip: [120, 60] },
+  // Funnel beacons: a handful per visit.
+  events: { ip: [60, 60], session: [20, 600] }
+};
+
+// Zion and intake bodies can carry legacy client-side notes + transcript.
+const BODY_LIMITS = {
+  zion: 64 * 1024,
+  intake: 64 * 1024,
+  accept: 8 * 1024,
+  events: 2 * 1024,
+  // Operator actions ({ action, pid | key }).
+  admin: 4 * 1024
+};
+const DEFAULT_BODY_LIMIT = 16 * 1024;
+
+const MAX_ID_CHARS = 128;
+
+function sendError(res, status, obj) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.end(JSON.stringify({ ok: false, ...obj }));
+}
+
+// -------------------- Client identity --------------------
+// The address the platform saw, for rate limits. Vercel sets x-vercel-forwarded-for and x-real-ip itself; in
+// x-forwarded-for only the last hop is appended by the proxy, earlier entries are whatever the client sent.
+export function clientIp(req) {
+  const h = req.headers || {};
+  const single = (v) => String(v || "").split(",")[0].trim();
+  const hops = String(h["x-forwarded-for"] || "").split(",").map((s) => s.trim()).filter(Boolean);
+  return single(h["x-vercel-forwarded-for"]) || single(h["x-real-ip"]) || hops[hops.length - 1]
+    || req.socket?.remoteAddress || "unknown";
+}
+
+// Origin the request reached this deployment on (Host + x-forwarded-proto), for links back to the site.
+// "" when the host is missing or malformed. Never taken from body fields such as intake.page_url.
+export function requestOrigin(req) {
+  const h = req.headers || {};
+  const host = String(h.host || "").trim().toLowerCase();
+  if (!/^[a-z0-9.-]+(:\d{1,5})?$/.test(host)) return "";
+  const proto = String(h["x-forwarded-proto"] || "").split(",")[0].trim() === "http" ? "http" : "https";
+  return `${proto}://${host}`;
+}
+
+// -------------------- CORS --------------------
+export function allowedOrigins() {
+  return String(process.env.ALLOWED_ORIGINS || "")
+    .split(",")
+    .map((o) => o.trim().replace(/\/$/, ""))
+    .filter(Boolean);
+}
+
+/**
+ * Sets CORS headers for `methods` and answers preflights (204). Returns true when the response has
+ * already been sent (preflight, or an Origin outside ALLOWED_ORIGINS) and the handler must stop.
+ */
+export function applyCors(req, res, methods) {
+  const allowlist = allowedOrigins();
+  const origin = String(req.headers?.origin || "").replace(/\/$/, "");
+
+  if (allowlist.length) {
+    res.setHeader("Vary", "Origin");
+    if (origin && !allowlist.includes(origin)) {
+      sendError(res, 403, { error: "Origin not allowed", code: "origin_not_allowed" });
+      return true;
+    }
+    if (origin) res.setHeader("Access-Control-Allow-Origin", origin);
+  } else {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+  }
+  res.setHeader("Access-Control-Allow-Methods", [...methods, "OPTIONS"].join(","));
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Access-Control-Max-Age", "86400");
+
+  if (req.method === "OPTIONS") {
+    res.statusCode = 204;
+    res.end();
+    return true;
+  }
+  return false;
+}
+
+// -------------------- Body --------------------
+export function bodyLimit(endpoint) {
+  return BODY_LIMITS[endpoint] || DEFAULT_BODY_LIMIT;
+}
+
+/**
+ * Reads a JSON body with a size cap. Honors a body the platform already parsed (req.body).
+ * Returns { ok: true, body } (an empty body is {}) or { ok: false, status: 400 | 413, error, code, limit_bytes? }.
+ */
+export async function readJsonBody(req, endpoint) {
+  const limit = bodyLimit(endpoint);
+  const tooLarge = { ok: false, status: 413, error: "Request body too large", code: "body_too_large", limit_bytes: limit };
+  const invalid = { ok: false, status: 400, error: "Invalid JSON body", code: "invalid_json" };
+
+  if (Number(req.headers?.["content-length"]) > limit) return tooLarge;
+
+  // Vercel's req.body getter parses on access and throws on malformed JSON.
+  let parsed;
+  try { parsed = req.body; } catch { return invalid; }
+
+  let raw;
+  if (parsed !== undefined && parsed !== null) {
+    if (typeof parsed !== "string" && !Buffer.isBuffer(parsed)) {
+      return Buffer.byteLength(JSON.stringify(parsed)) > limit ? tooLarge : { ok: true, body: parsed };
+    }
+    raw = String(parsed);
+    if (Buffer.byteLength(raw) > limit) return tooLarge;
+  } else {
+    const chunks = [];
+    let size = 0;
+    for await (const c of req) {
+      size += c.length;
+      if (size > limit) return tooLarge;
+      chunks.push(c);
+    }
+    raw = Buffer.concat(chunks).toString("utf8");
+  }
+
+  if (!raw.trim()) return { ok: true, body: {} };
+  try { return { ok: true, body: JSON.parse(raw) }; } catch { return invalid; }
+}
+
+export function sendBodyError(res, err, extra = {}) {
+  const { ok, status, ...rest } = err;
+  return sendError(res, status, { ...extra, ...rest });
+}
+
+// -------------------- Rate limits --------------------
+function rateLimitsFor(endpoint) {
+  let over = {};
+  try {
+    over = process.env.RATE_LIMITS_JSON ? JSON.parse(process.env.RATE_LIMITS_JSON) : {};
+  } catch {
+    // A broken override keeps the defaults rather than switching protection off.
+  }
+  return { ...(DEFAULT_RATE_LIMITS[endpoint] || {}), ...(over?.[endpoint] || {}) };
+}
+
+async function hit(endpoint, scope, id, [max, windowSeconds]) {
+  const now = Date.now();
+  const window = Math.floor(now / (windowSeconds * 1000));
+  const count = await kvIncr(`rl:${endpoint}:${scope}:${String(id).slice(0, MAX_ID_CHARS)}:${window}`, windowSeconds);
+  if (count <= max) return null;
+  return {
+    scope,
+    limit: max,
+    window_seconds: windowSeconds,
+    retry_after_seconds: Math.max(1, Math.ceil(((window + 1) * windowSeconds * 1000 - now) / 1000))
+  };
+}
+
+/**
+ * Counts this request against the endpoint's limits. Pass `session` for the per-session scope.
+ * Returns null when allowed, else { scope, limit, window_seconds, retry_after_seconds } for sendRateLimited.
+ */
+export async function checkRateLimit(req, endpoint, { session = "" } = {}) {
+  if (process.env.RATE_LIMITS_DISABLED === "1" || !storageEnabled()) return null;
+  const limits = rateLimitsFor(endpoint);
+  const scopes = [["ip", clientIp(req)], ["session", session]];
+
+  try {
+    for (const [scope, id] of scopes) {
+      const rule = limits[scope];
+      if (!id || !Array.isArray(rule) || !(rule[0] > 0) || !(rule[1] > 0)) continue;
+      const limited = await hit(endpoint, scope, id, rule);
+      if (limited) return limited;
+    }
+  } catch {
+    // Storage down: fail open.
+  }
+  return null;
+}
+
+export function sendRateLimited(res, limited, extra = {}) {
+  res.setHeader("Retry-After", String(limited.retry_after_seconds));
+  return sendError(res, 429, { ...extra, error: "Too many requests", code: "rate_limited", ...limited });
+}
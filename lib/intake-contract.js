@@ -0,0 +1,160 @@
+// lib/intake-contract.js
+// Request/response contract for POST /api/intake (shared by api/intake.js and index.html's intake form).
+//
+// Request (JSON), contract version 2:
+//   version        1 | 2; a request without one is read as version 1 (clients from before the contract)
+//   full_name*     (alias: name)          email*          phone
+//   business_name* (alias: business)      website         industry*
+//   primary_goal*  (alias: goal)          budget_range    (alias: budget)
+//   timeline*      bottleneck*            target_metric   free-text 30-day target (else taken from the Zion session)
+//   session_id     Zion chat session; the intake record pulls that session's notes + transcript
+//   intent, conversation_summary, source, page_url (alias: url)
+//   locale         language of the form / proposal (en | es; "es-MX" is accepted as es); a linked Zion session's
+//                  detected locale wins, then this, then Accept-Language (see lib/locale.js)
+//   zion_notes     (alias: notes) legacy clients only; ignored when session_id resolves to a stored session
+//   company_url    honeypot: hidden in the form, so only bots fill it (see isHoneypotFilled)
+//   (* = required in version 2; version 1 requires only email)
+//
+// Versions: 2 (current, sent by index.html) made full_name, business_name, industry, primary_goal, timeline and
+// bottleneck required. Version 1 is still accepted with its original rule, so older clients keep working; both
+// get the same response shape, with `version` echoing the one the request was read as.
+//
+// Formats: email must look like name@domain.tld; phone may use + ( ) - . and spaces around 7–15 digits;
+// locale must name a supported language (stored as its base code).
+//
+// Accepted (202) — the proposal is generated asynchronously; poll status_url until status is ready | failed:
+//   { ok: true, version, pid, status: "pending", view_token, view_token_expires_at, status_url, redirect_url,
+//     session_linked }   (status_url / redirect_url already carry pid + token)
+//
+// Validation failure (400):
+//   { ok: false, version, error: "Invalid intake", errors: [{ field, message }] }
+//
+// Guard failures (lib/guard.js): 403 origin, 413 body too large, 429 rate limited — { ok: false, version, error, code, ... }
+// A filled honeypot gets an ordinary-looking 202 (with a pid that was never stored) so bots don't learn anything.
+
+import { SUPPORTED_LOCALES, normalizeLocale } from "./locale.js";
+
+export const INTAKE_CONTRACT_VERSION = 2;
+const LEGACY_CONTRACT_VERSION = 1;
+const SUPPORTED_VERSIONS = [LEGACY_CONTRACT_VERSION, INTAKE_CONTRACT_VERSION];
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const PHONE_RE = /^\+?[\d\s().-]+$/;
+
+export const HONEYPOT_FIELD = "company_url";
+
+// requiredFrom: the contract version from which the field is required.
+const FIELDS = {
+  full_name: { requiredFrom: 2, max: 120, aliases: ["name"] },
+  email: { requiredFrom: 1, max: 254, format: "email" },
+  phone: { max: 40, format: "phone" },
+  business_name: { requiredFrom: 2, max: 160, aliases: ["business"] },
+  website: { max: 300 },
+  industry: { requiredFrom: 2, max: 80 },
+  primary_goal: { requiredFrom: 2, max: 120, aliases: ["goal"] },
+  budget_range: { max: 80, aliases: ["budget"] },
+  timeline: { requiredFrom: 2, max: 80 },
+  bottleneck: { requiredFrom: 2, max: 1000 },
+  target_metric: { max: 220 },
+  session_id: { max: 128 },
+  intent: { max: 120, default: "Zion Activation" },
+  conversation_summary: { max: 2000 },
+  source: { max: 120, default: "Zion On-Page Intelligence" },
+  page_url: { max: 500, aliases: ["url"] },
+  locale: { max: 10, format: "locale" },
+};
+
+function firstDefined(body, names) {
+  for (const n of names) {
+    if (body[n] !== undefined && body[n] !== null) return body[n];
+  }
+  return undefined;
+}
+
+export function isValidEmail(s) {
+  return EMAIL_RE.test(String(s || "").trim());
+}
+
+function validPhone(s) {
+  const digits = s.replace(/\D/g, "").length;
+  return PHONE_RE.test(s) && digits >= 7 && digits <= 15;
+}
+
+// Bots fill every input they find; people never see this one.
+export function isHoneypotFilled(body) {
+  const v = body && typeof body === "object" ? body[HONEYPOT_FIELD] : undefined;
+  return v !== undefined && v !== null && String(v).trim() !== "";
+}
+
+// The contract version a body was written against; null when it names one this server doesn't speak.
+export function requestVersion(body) {
+  const v = body && typeof body === "object" && body.version != null ? Number(body.version) : LEGACY_CONTRACT_VERSION;
+  return SUPPORTED_VERSIONS.includes(v) ? v : null;
+}
+
+/**
+ * Validates and normalizes an intake request body.
+ * Returns { ok: true, version, value } or { ok: false, version, errors: [{ field, message }] }.
+ * `value` holds every contract field as a trimmed string (defaults applied) plus `zion_notes` (object|null).
+ */
+export function parseIntakeRequest(body) {
+  const errors = [];
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { ok: false, version: INTAKE_CONTRACT_VERSION, errors: [{ field: "", message: "Body must be a JSON object" }] };
+  }
+
+  const version = requestVersion(body);
+  if (version == null) {
+    return {
+      ok: false,
+      version: INTAKE_CONTRACT_VERSION,
+      errors: [{ field: "version", message: `Unsupported version (expected ${SUPPORTED_VERSIONS.join(" or ")})` }]
+    };
+  }
+
+  const value = {};
+  for (const [field, spec] of Object.entries(FIELDS)) {
+    const v = firstDefined(body, [field, ...(spec.aliases || [])]);
+
+    if (v !== undefined && typeof v !== "string" && typeof v !== "number") {
+      errors.push({ field, message: "Must be a string" });
+      continue;
+    }
+
+    const s = v === undefined ? "" : String(v).trim();
+    if (!s) {
+      if (spec.requiredFrom && version >= spec.requiredFrom) errors.push({ field, message: "Required" });
+      value[field] = spec.default || "";
+      continue;
+    }
+    if (s.length > spec.max) {
+      errors.push({ field, message: `Must be at most ${spec.max} characters` });
+      continue;
+    }
+    if (spec.format === "email" && !EMAIL_RE.test(s)) {
+      errors.push({ field, message: "Must be a valid email address" });
+      continue;
+    }
+    if (spec.format === "phone" && !validPhone(s)) {
+      errors.push({ field, message: "Must be a valid phone number" });
+      continue;
+    }
+    if (spec.format === "locale") {
+      if (!normalizeLocale(s)) {
+        errors.push({ field, message: `Must be one of ${SUPPORTED_LOCALES.join("|")}` });
+        continue;
+      }
+      value[field] = normalizeLocale(s);
+      continue;
+    }
+    value[field] = s;
+  }
+
+  const notes = body.zion_notes ?? body.notes ?? null;
+  if (notes !== null && (typeof notes !== "object" || Array.isArray(notes))) {
+    errors.push({ field: "zion_notes", message: "Must be an object" });
+  }
+  value.zion_notes = notes && typeof notes === "object" && !Array.isArray(notes) ? notes : null;
+
+  return errors.length ? { ok: false, version, errors } : { ok: true, version, value };
+}
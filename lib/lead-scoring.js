@@ -0,0 +1,180 @@
+// lib/lead-scoring.js
+// Deterministic lead scoring over the intake + Zion session notes.
+//
+// Same inputs + same weights -> same result, so temperature/complexity no longer come from the model:
+// the score is computed once at intake, stored on the proposal record (lead_score), given to the prompt
+// as a fixed input, written over pricing_logic.temperature/complexity, and sent to the CRM.
+//
+// Result: { score (0–100), band: Cold|Warm|Hot, complexity, recommended_tier, factors: [{ factor, points, max, value }] }
+//
+// Each factor awards points from a lookup; `score` is the points total scaled to 0–100 against the
+// maximum possible. Weights are overridable with LEAD_SCORING_JSON (deep-merged over DEFAULT_WEIGHTS), e.g.
+//   {"timeline":{"asap":30},"industry":{"Law":8},"bands":{"hot":75}}
+// An override that is not valid JSON, or leaves a table that is not all numbers, is ignored with a logged
+// warning and the defaults are used: a config mistake must not fail every intake.
+
+import { loadPricingCatalog } from "./pricing-catalog.js";
+
+const DEFAULT_WEIGHTS = {
+  // Budget ceiling vs the catalog's tier prices.
+  budget: { none: 5, below_entry: 3, entry: 12, mid: 18, top: 25 },
+  // Matched against the intake timeline text (index.html options: "ASAP (0–7 days)", "2–3 weeks", "30 days", "Just exploring").
+  timeline: { asap: 25, weeks: 18, month: 12, exploring: 3, unknown: 8 },
+  // Intake primary_goal (lower-cased); "default" for anything else.
+  goal: { "full growth system": 15, "more leads": 12, "better follow-up": 12, default: 8 },
+  // A numeric 30-day target shows intent; a relative one ("double calls") a bit less.
+  target: { number: 10, change: 6, none: 0 },
+  // Industry (notes.industry, else intake.industry); "default" for any other known industry.
+  industry: { default: 5, Other: 2, unknown: 0 },
+  buyer: { Businesses: 5, Homeowners: 4, Consumers: 3, unknown: 0 },
+  // Points per chat message the lead sent, capped.
+  engagement: { per_input: 2, max: 10 },
+  bands: { hot: 70, warm: 40 }
+};
+
+const COMPLEXITY_BY_TIER = ["Simple", "Moderate", "Advanced"];
+
+let cached = null; // { raw, weights }
+
+function deepMerge(base, over) {
+  if (!over || typeof over !== "object" || Array.isArray(over)) return base;
+  const out = { ...base };
+  for (const [k, v] of Object.entries(over)) {
+    out[k] = v && typeof v === "object" && !Array.isArray(v) && base[k] && typeof base[k] === "object"
+      ? deepMerge(base[k], v)
+      : v;
+  }
+  return out;
+}
+
+// Problems with merged weights: every table must stay an object of finite numbers.
+function weightErrors(weights) {
+  const errors = [];
+  for (const table of Object.keys(DEFAULT_WEIGHTS)) {
+    const t = weights[table];
+    if (!t || typeof t !== "object" || Array.isArray(t)) {
+      errors.push(`${table} must be an object`);
+      continue;
+    }
+    for (const [k, v] of Object.entries(t)) {
+      if (typeof v !== "number" || !Number.isFinite(v)) errors.push(`${table}.${k} must be a number`);
+    }
+  }
+  return errors;
+}
+
+export function leadScoringWeights() {
+  const raw = process.env.LEAD_SCORING_JSON || "";
+  if (cached?.raw === raw) return cached.weights;
+  let weights = DEFAULT_WEIGHTS;
+  if (raw) {
+    let over;
+    let errors = [];
+    try {
+      over = JSON.parse(raw);
+    } catch {
+      errors = ["not valid JSON"];
+    }
+    if (!errors.length && (!over || typeof over !== "object" || Array.isArray(over))) errors = ["must be a JSON object"];
+    if (!errors.length) {
+      const merged = deepMerge(DEFAULT_WEIGHTS, over);
+      errors = weightErrors(merged);
+      if (!errors.length) weights = merged;
+    }
+    if (errors.length) console.warn(`LEAD_SCORING_JSON ignored, using default weights: ${errors.join("; ")}`);
+  }
+  cached = { raw, weights };
+  return weights;
+}
+
+function lower(s) {
+  return String(s || "").trim().toLowerCase();
+}
+
+// Largest dollar figure in a budget label like "$1,000–$2,500", "$5,000+" or "2k"; null when not stated.
+export function budgetCeiling(budget) {
+  const nums = String(budget || "").match(/\d[\d,]*(?:\.\d+)?\s*k?/gi) || [];
+  const values = nums.map((n) => {
+    const k = /k$/i.test(n.trim());
+    return Number(n.replace(/[,\sk]/gi, "")) * (k ? 1000 : 1);
+  }).filter(Number.isFinite);
+  return values.length ? Math.max(...values) : null;
+}
+
+function lookup(table, key, fallbackKey) {
+  if (key && table[key] !== undefined) return { key, points: Number(table[key]) || 0 };
+  return { key: fallbackKey, points: Number(table[fallbackKey]) || 0 };
+}
+
+function budgetBucket(ceiling, tiers) {
+  if (ceiling == null) return "none";
+  const prices = tiers.map((t) => t.monthly_price).sort((a, b) => a - b);
+  if (ceiling < prices[0]) return "below_entry";
+  if (ceiling >= prices[prices.length - 1]) return "top";
+  return ceiling >= prices[Math.floor(prices.length / 2)] ? "mid" : "entry";
+}
+
+function timelineBucket(timeline) {
+  const t = lower(timeline);
+  if (!t) return "unknown";
+  if (/asap|immediate|\bnow\b|0\s*[–-]\s*7|this week/.test(t)) return "asap";
+  if (/explor|not sure|later|next year/.test(t)) return "exploring";
+  if (/week/.test(t)) return "weeks";
+  if (/30|month/.test(t)) return "month";
+  return "unknown";
+}
+
+function maxOf(table) {
+  return Math.max(0, ...Object.values(table).map(Number).filter(Number.isFinite));
+}
+
+// Highest tier the stated budget covers; without a budget, follow the band (Cold -> entry, Hot -> top).
+function recommendTier(tiers, ceiling, band) {
+  const sorted = [...tiers].sort((a, b) => a.monthly_price - b.monthly_price);
+  if (ceiling != null) {
+    const affordable = sorted.filter((t) => t.monthly_price <= ceiling);
+    return (affordable[affordable.length - 1] || sorted[0]).name;
+  }
+  const idx = band === "Hot" ? sorted.length - 1 : band === "Warm" ? Math.floor(sorted.length / 2) : 0;
+  return sorted[idx].name;
+}
+
+/**
+ * Scores a lead. `intake` is the stored intake (api/intake.js); notes default to intake.zion_notes.
+ */
+export function scoreLead(intake = {}, notes = intake.zion_notes, { weights = leadScoringWeights(), catalog = loadPricingCatalog() } = {}) {
+  const n = notes && typeof notes === "object" ? notes : {};
+  const factors = [];
+  const add = (factor, table, pick, value) => {
+    const max = factor === "engagement" ? Number(table.max) || 0 : maxOf(table);
+    factors.push({ factor, points: Math.min(pick.points, max), max, value: value ?? pick.key });
+  };
+
+  const ceiling = budgetCeiling(intake.budget_range);
+  add("budget", weights.budget, lookup(weights.budget, budgetBucket(ceiling, catalog.tiers), "none"), intake.budget_range || null);
+  add("timeline", weights.timeline, lookup(weights.timeline, timelineBucket(intake.timeline), "unknown"), intake.timeline || null);
+  add("goal", weights.goal, lookup(weights.goal, lower(intake.primary_goal || n.primary_goal), "default"), intake.primary_goal || n.primary_goal || null);
+
+  const num = n.target_metric_number;
+  const hasNumber = num !== null && num !== undefined && num !== "" && Number.isFinite(Number(num));
+  const targetKey = hasNumber || intake.target_metric?.target_30d != null ? "number" : n.target_metric_change || intake.target_metric?.relative ? "change" : "none";
+  add("target", weights.target, lookup(weights.target, targetKey, "none"), n.target_metric || intake.target_metric?.raw || null);
+
+  const industry = n.industry || intake.industry || "";
+  add("industry", weights.industry, industry ? lookup(weights.industry, industry, "default") : lookup(weights.industry, "", "unknown"), industry || null);
+  add("buyer", weights.buyer, lookup(weights.buyer, n.buyer, "unknown"), n.buyer || null);
+
+  const inputs = Math.max(0, Number(n.user_inputs) || 0);
+  add("engagement", weights.engagement, { key: "user_inputs", points: inputs * (Number(weights.engagement.per_input) || 0) }, inputs);
+
+  const total = factors.reduce((s, f) => s + f.points, 0);
+  const max = factors.reduce((s, f) => s + f.max, 0);
+  const score = max ? Math.round((100 * total) / max) : 0;
+  const band = score >= weights.bands.hot ? "Hot" : score >= weights.bands.warm ? "Warm" : "Cold";
+
+  const recommended_tier = recommendTier(catalog.tiers, ceiling, band);
+  const tierIndex = [...catalog.tiers].sort((a, b) => a.monthly_price - b.monthly_price).findIndex((t) => t.name === recommended_tier);
+  const complexity = COMPLEXITY_BY_TIER[Math.min(tierIndex, COMPLEXITY_BY_TIER.length - 1)] || "Moderate";
+
+  return { score, band, complexity, recommended_tier, factors };
+}
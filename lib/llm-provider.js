@@ -0,0 +1,74 @@
+// lib/llm-provider.js
+// Generate-JSON-with-schema providers for proposal generation (api/intake.js).
+//
+// A provider is { name, model, generateJson({ prompt, schema, attempt }) -> Promise<string> }.
+// generateJson resolves with the raw model text (callers parse/validate it) and throws on transport errors.
+// `attempt` is 1 for the first call and 2 for the repair call.
+//
+// Env:
+//   PROPOSAL_PROVIDER        gemini (default) | mock
+//   GEMINI_API_KEY           gemini only
+//   GEMINI_MODEL             gemini only (default: gemini-3-pro-preview)
+//   PROPOSAL_MOCK_FIXTURE    mock only: JSON file path (default: lib/fixtures/proposal-mock.json)
+//
+// Mock fixture format: { "responses": [ <attempt 1>, <attempt 2>, ... ] }. Each response is either a string
+// (returned verbatim, so broken JSON can be recorded) or an object (returned as JSON). Attempts past the end
+// reuse the last response.
+
+import { readFileSync } from "node:fs";
+import { GoogleGenAI } from "@google/genai";
+
+const DEFAULT_GEMINI_MODEL = "gemini-3-pro-preview";
+const DEFAULT_FIXTURE_URL = new URL("./fixtures/proposal-mock.json", import.meta.url);
+
+function geminiProvider() {
+  const model = process.env.GEMINI_MODEL || DEFAULT_GEMINI_MODEL;
+  return {
+    name: "gemini",
+    model,
+    async generateJson({ prompt, schema }) {
+      if (!process.env.GEMINI_API_KEY) throw new Error("GEMINI_API_KEY missing");
+      const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+      const r = await ai.models.generateContent({
+        model,
+        contents: prompt,
+        config: {
+          temperature: 0.2,
+          topP: 0.9,
+          maxOutputTokens: 1600,
+          responseMimeType: "application/json",
+          ...(schema ? { responseSchema: schema } : {})
+        }
+      });
+      return String(r?.text || "").trim();
+    }
+  };
+}
+
+function mockProvider() {
+  const file = process.env.PROPOSAL_MOCK_FIXTURE || DEFAULT_FIXTURE_URL;
+  return {
+    name: "mock",
+    model: `fixture:${String(file instanceof URL ? file.pathname : file).split("/").pop()}`,
+    async generateJson({ attempt = 1 }) {
+      // Read per call so a test can swap the fixture file between requests.
+      const fixture = JSON.parse(readFileSync(file, "utf8"));
+      const responses = Array.isArray(fixture?.responses) ? fixture.responses : [];
+      if (!responses.length) throw new Error("Mock fixture has no responses");
+      const r = responses[Math.min(attempt, responses.length) - 1];
+      return typeof r === "string" ? r : JSON.stringify(r);
+    }
+  };
+}
+
+const PROVIDERS = { gemini: geminiProvider, mock: mockProvider };
+
+/**
+ * Provider selected by PROPOSAL_PROVIDER. Unknown names throw so a typo doesn't silently hit the real API.
+ */
+export function proposalProvider() {
+  const name = String(process.env.PROPOSAL_PROVIDER || "gemini").trim().toLowerCase();
+  const make = PROVIDERS[name];
+  if (!make) throw new Error(`Unknown PROPOSAL_PROVIDER "${name}" (expected ${Object.keys(PROVIDERS).join("|")})`);
+  return make();
+}
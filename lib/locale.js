@@ -0,0 +1,96 @@
+// lib/locale.js
+// Which language a lead is speaking: the Zion gate's copy, the intake form and the generated proposal follow it.
+//
+// Sources, in order:
+//   message   the lead's own words (marker-word scoring below); decides as soon as one message is clear
+//   header    Accept-Language (first supported language by q-value)
+//   default   DEFAULT_LOCALE
+// A locale taken from a message sticks for the session; one from the header or the default is re-checked on
+// every message until a message settles it (a first "hi" or "ok" says nothing either way).
+//
+// Supported: en (default), es. Catalogs: lib/zion-locales.js (gate), index.html (intake form labels),
+// lib/proposal-job.js (proposal language instruction), lib/proposal-template.js (template fallback copy),
+// lib/proposal-schema.js (defaults the repair pass fills in).
+
+export const SUPPORTED_LOCALES = ["en", "es"];
+export const DEFAULT_LOCALE = "en";
+
+// Lowercased, accents stripped ("Más" → "mas"), so keyword lists can be written plain.
+export function foldText(s) {
+  return String(s ?? "").toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+}
+
+// "es-MX" → "es"; unsupported or empty → "".
+export function normalizeLocale(value) {
+  const base = String(value ?? "").trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(base) ? base : "";
+}
+
+/**
+ * First supported language in an Accept-Language header, by q-value; "" when none.
+ */
+export function localeFromAcceptLanguage(header) {
+  const ranked = String(header || "")
+    .split(",")
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map((p) => p.trim()).find((p) => p.startsWith("q="));
+      return { locale: normalizeLocale(tag), q: q ? Number(q.slice(2)) || 0 : 1, i };
+    })
+    .filter((r) => r.locale && r.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+  return ranked[0]?.locale || "";
+}
+
+// Marker words (folded) and their weight. Short function words count 1; greetings and words that only occur in
+// one language count 2. Spanish punctuation (¿ ¡) and ñ are strong markers on their own.
+const MARKERS = {
+  es: {
+    2: ["hola", "buenas", "buenos", "gracias", "quiero", "necesito", "tengo", "somos", "negocio", "empresa", "clientes",
+      "ventas", "citas", "mas", "nuestro", "nuestra", "nosotros", "usted", "tambien", "ayuda"],
+    1: ["que", "de", "la", "el", "los", "las", "una", "un", "y", "para", "por", "con", "mi", "mis", "es", "en", "del",
+      "al", "como", "pero", "si", "muy"]
+  },
+  en: {
+    2: ["hello", "hey", "thanks", "want", "need", "business", "customers", "sales", "more", "our", "we're", "i'm",
+      "looking", "help"],
+    1: ["the", "and", "i", "we", "my", "is", "in", "of", "for", "with", "to", "an", "are", "but", "get", "hi"]
+  }
+};
+
+const MIN_SCORE = 2;
+
+/**
+ * Guesses the language of one message. Returns a supported locale, or "" when the message is too short or
+ * too mixed to tell.
+ */
+export function detectMessageLocale(text) {
+  const raw = String(text || "");
+  const words = foldText(raw).match(/[a-z']+/g) || [];
+  const scores = {};
+  for (const [locale, weights] of Object.entries(MARKERS)) {
+    scores[locale] = 0;
+    for (const [weight, list] of Object.entries(weights)) {
+      scores[locale] += Number(weight) * words.filter((w) => list.includes(w)).length;
+    }
+  }
+  if (/[¿¡ñÑ]/.test(raw)) scores.es += 2;
+
+  const [best, second] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  return best[1] >= MIN_SCORE && best[1] > second[1] ? best[0] : "";
+}
+
+/**
+ * This turn's locale for a session. `current` = { locale, source } as stored in the notes (may be empty).
+ * Returns { locale, source: "message" | "header" | "default" }.
+ */
+export function resolveSessionLocale(current, message, acceptLanguage) {
+  if (current?.source === "message" && normalizeLocale(current.locale)) {
+    return { locale: normalizeLocale(current.locale), source: "message" };
+  }
+  const fromMessage = detectMessageLocale(message);
+  if (fromMessage) return { locale: fromMessage, source: "message" };
+  const fromHeader = localeFromAcceptLanguage(acceptLanguage);
+  if (fromHeader) return { locale: fromHeader, source: "header" };
+  return { locale: DEFAULT_LOCALE, source: "default" };
+}
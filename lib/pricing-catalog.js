@@ -0,0 +1,192 @@
+// lib/pricing-catalog.js
+// Single source of truth for Lumen Labs pricing (tiers, activation fee, one-off services).
+// Feeds the proposal prompt + schema and is enforced on every generated proposal.
+//
+// Source (first match wins):
+//   PRICING_CATALOG_JSON    inline JSON (same shape as lib/pricing-catalog.json)
+//   PRICING_CATALOG_PATH    path to a JSON file
+//   lib/pricing-catalog.json (default)
+//
+// Enforcement (PRICING_ENFORCEMENT):
+//   overwrite (default)     mismatched monthly_price / activation_fee are replaced with catalog values
+//   reject                  mismatches are returned as errors (the generator treats the proposal as invalid)
+// Tiers that don't map one-to-one onto the catalog's (a tier missing, an extra one) are errors in both modes.
+
+import { readFileSync } from "node:fs";
+
+const DEFAULT_CATALOG_URL = new URL("./pricing-catalog.json", import.meta.url);
+
+let cached = null;
+
+function isObj(x) {
+  return !!x && typeof x === "object" && !Array.isArray(x);
+}
+
+function validateCatalog(c) {
+  const errors = [];
+  if (!isObj(c)) return ["catalog must be an object"];
+  if (typeof c.activation_fee !== "number" || c.activation_fee < 0) errors.push("activation_fee must be a non-negative number");
+  if (!Array.isArray(c.tiers) || !c.tiers.length) errors.push("tiers must be a non-empty array");
+  for (const [i, t] of (Array.isArray(c.tiers) ? c.tiers : []).entries()) {
+    if (!isObj(t) || typeof t.name !== "string" || !t.name.trim()) errors.push(`tiers[${i}].name must be a non-empty string`);
+    else if (typeof t.monthly_price !== "number" || t.monthly_price <= 0) errors.push(`tiers[${i}].monthly_price must be a positive number`);
+    else if (t.activation_fee != null && typeof t.activation_fee !== "number") errors.push(`tiers[${i}].activation_fee must be a number`);
+  }
+  for (const [i, s] of (Array.isArray(c.one_off_services) ? c.one_off_services : []).entries()) {
+    if (!isObj(s) || typeof s.name !== "string" || typeof s.pricing !== "string") errors.push(`one_off_services[${i}] needs name + pricing strings`);
+  }
+  return errors;
+}
+
+function readCatalogSource() {
+  if (process.env.PRICING_CATALOG_JSON) return JSON.parse(process.env.PRICING_CATALOG_JSON);
+  const file = process.env.PRICING_CATALOG_PATH || DEFAULT_CATALOG_URL;
+  return JSON.parse(readFileSync(file, "utf8"));
+}
+
+/**
+ * Loads, validates and normalizes the catalog (cached per instance). Throws on a broken catalog so a
+ * misconfigured deployment fails loudly instead of quoting wrong prices.
+ */
+export function loadPricingCatalog() {
+  if (cached) return cached;
+  let raw;
+  try {
+    raw = readCatalogSource();
+  } catch (e) {
+    throw new Error(`Pricing catalog unreadable: ${e?.message || e}`);
+  }
+  const errors = validateCatalog(raw);
+  if (errors.length) throw new Error(`Pricing catalog invalid: ${errors.join("; ")}`);
+
+  cached = {
+    currency: raw.currency || "USD",
+    activation_fee: raw.activation_fee,
+    tiers: raw.tiers.map((t) => ({
+      name: t.name.trim(),
+      monthly_price: t.monthly_price,
+      activation_fee: t.activation_fee ?? raw.activation_fee
+    })),
+    one_off_services: (raw.one_off_services || []).map((s) => ({ name: s.name.trim(), pricing: s.pricing }))
+  };
+  return cached;
+}
+
+export function pricingEnforcementMode() {
+  return String(process.env.PRICING_ENFORCEMENT || "").trim().toLowerCase() === "reject" ? "reject" : "overwrite";
+}
+
+function usd(n) {
+  return `$${Number(n).toLocaleString("en-US")}`;
+}
+
+/**
+ * The "LOCKED PRICING" block of the proposal prompt.
+ */
+export function catalogPromptText(catalog = loadPricingCatalog()) {
+  const sameFee = catalog.tiers.every((t) => t.activation_fee === catalog.activation_fee);
+  const lines = [];
+  if (sameFee) lines.push(`Activation Fee (one-time): ${usd(catalog.activation_fee)}`);
+  lines.push("Monthly Plans:");
+  for (const t of catalog.tiers) {
+    lines.push(`- ${t.name}: ${usd(t.monthly_price)}/mo${sameFee ? "" : ` (+ ${usd(t.activation_fee)} activation)`}`);
+  }
+  if (catalog.one_off_services.length) {
+    lines.push("", "One-Off / Modular Services (optional alternatives):");
+    for (const s of catalog.one_off_services) lines.push(`- ${s.name}: ${s.pricing}`);
+  }
+  return lines.join("\n");
+}
+
+function norm(s) {
+  return String(s || "").trim().toLowerCase();
+}
+
+/**
+ * JSON skeleton of the tiers + one_off_services arrays for the proposal schema text.
+ */
+export function catalogSchemaParts(catalog = loadPricingCatalog()) {
+  return {
+    tiers: catalog.tiers.map((t) => ({
+      name: t.name,
+      monthly_price: t.monthly_price,
+      activation_fee: t.activation_fee,
+      ideal_for: "string",
+      scope: ["string", "..."],
+      timeline: "string"
+    })),
+    one_off_services: catalog.one_off_services.map((s) => ({ name: s.name, pricing: s.pricing, use_case: "string" }))
+  };
+}
+
+// Pairs each proposal tier with a catalog tier, using every catalog tier at most once: by name first, then the
+// tier at the same position if it is still free, then the first free one. null when the catalog has run out.
+function matchCatalogTiers(tiers, catalogTiers) {
+  const used = new Set();
+  const byName = tiers.map((t) => {
+    const i = catalogTiers.findIndex((c, j) => !used.has(j) && norm(c.name) === norm(t?.name));
+    if (i >= 0) used.add(i);
+    return i;
+  });
+  return byName.map((i, k) => {
+    if (i < 0) {
+      i = k < catalogTiers.length && !used.has(k) ? k : catalogTiers.findIndex((_, j) => !used.has(j));
+      if (i < 0) return null;
+      used.add(i);
+    }
+    return catalogTiers[i];
+  });
+}
+
+/**
+ * Checks generated tiers / one-off services against the catalog. Each tier is matched to a catalog tier by name,
+ * else by position, and no catalog tier is matched twice ("Ignite, Ignite, Ascend" reads as Ignite + two
+ * misnamed tiers, not as three Ignites).
+ * overwrite: { ok: true, proposal, corrections } with catalog values written in (corrections may be empty).
+ * reject:    { ok: false, errors: [{ path, message }] } when any tier name/price differs; nothing is modified.
+ * Either mode: { ok: false, errors } when the tiers don't cover the catalog one-to-one (missing or extra tiers),
+ * since no overwrite can fix that.
+ */
+export function enforceCatalogPricing(proposal, catalog = loadPricingCatalog(), mode = pricingEnforcementMode()) {
+  const errors = [];
+  const corrections = [];
+  const coverage = [];
+
+  const given = Array.isArray(proposal?.tiers) ? proposal.tiers : [];
+  const entries = matchCatalogTiers(given, catalog.tiers);
+  const tiers = given.map((t, i) => {
+    const entry = entries[i];
+    if (!entry) {
+      coverage.push({ path: `tiers[${i}]`, message: "is not in the pricing catalog" });
+      return t;
+    }
+    const out = { ...t };
+    const actual = { name: t?.name, monthly_price: t?.monthly_price ?? t?.price_monthly, activation_fee: t?.activation_fee };
+    for (const field of ["name", "monthly_price", "activation_fee"]) {
+      // Also when it already matches: a correct price_monthly alias still moves to monthly_price.
+      out[field] = entry[field];
+      if (actual[field] === entry[field]) continue;
+      errors.push({ path: `tiers[${i}].${field}`, message: `must be ${JSON.stringify(entry[field])} (got ${JSON.stringify(actual[field] ?? null)})` });
+      corrections.push({ path: `tiers[${i}].${field}`, from: actual[field] ?? null, to: entry[field] });
+    }
+    delete out.price_monthly;
+    return out;
+  });
+  for (const c of catalog.tiers) {
+    if (!entries.includes(c)) coverage.push({ path: "tiers", message: `must include "${c.name}"` });
+  }
+
+  if (coverage.length) return { ok: false, errors: [...coverage, ...errors] };
+  if (errors.length && mode === "reject") return { ok: false, errors };
+
+  const services = Array.isArray(proposal?.one_off_services)
+    ? proposal.one_off_services.map((s, i) => {
+      const entry = catalog.one_off_services.find((c) => norm(c.name) === norm(s?.name));
+      if (!entry || s.pricing === entry.pricing) return s;
+      corrections.push({ path: `one_off_services[${i}].pricing`, from: s.pricing ?? null, to: entry.pricing });
+      return { ...s, pricing: entry.pricing };
+    })
+    : proposal?.one_off_services;
+
+  return { ok: true, proposal: { ...proposal, tiers, one_off_services: services }, corrections };
+}
@@ -0,0 +1,72 @@
+// lib/proposal-access.js
+// Proposal IDs and signed view tokens.
+//
+// pids are 96 random bits (crypto), so they can't be enumerated. Knowing a pid is still not enough to read or
+// accept a proposal: /api/proposal and /api/accept also need a view token, an HMAC-SHA256 over the pid and an
+// expiry, issued by /api/intake and embedded in the summary link (and the CRM's proposal_url).
+//
+// Token: "<expires_at epoch seconds, base36>.<base64url HMAC(secret, pid + "." + expires)>"
+//
+// Env:
+//   PROPOSAL_TOKEN_SECRET            HMAC key (required unless NODE_ENV is development or test; rotating it
+//                                    invalidates every link)
+//   PROPOSAL_VIEW_TOKEN_TTL_SECONDS  default 30 days
+
+import { createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+
+const DEFAULT_VIEW_TOKEN_TTL_SECONDS = 60 * 60 * 24 * 30;
+// Only when NODE_ENV says development or test. The key is public, so any other deployment (production, previews,
+// self-hosted) without PROPOSAL_TOKEN_SECRET fails closed rather than issuing forgeable tokens.
+const DEV_SECRET = "zion-dev-proposal-token-secret";
+const DEV_SECRET_ENVS = ["development", "test"];
+
+export function makePid() {
+  return randomBytes(12).toString("hex").toUpperCase();
+}
+
+export function viewTokenTtlSeconds() {
+  const n = Number(process.env.PROPOSAL_VIEW_TOKEN_TTL_SECONDS);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_VIEW_TOKEN_TTL_SECONDS;
+}
+
+function secret() {
+  if (process.env.PROPOSAL_TOKEN_SECRET) return process.env.PROPOSAL_TOKEN_SECRET;
+  if (DEV_SECRET_ENVS.includes(process.env.NODE_ENV)) return DEV_SECRET;
+  throw new Error("PROPOSAL_TOKEN_SECRET not set");
+}
+
+function sign(pid, expires) {
+  return createHmac("sha256", secret()).update(`${pid}.${expires}`).digest("base64url");
+}
+
+/**
+ * Returns { token, expires_at } for `pid`. Throws when no secret is configured (outside development / test).
+ */
+export function signViewToken(pid, { ttlSeconds = viewTokenTtlSeconds(), now = Date.now() } = {}) {
+  const expires = Math.floor(now / 1000) + Math.floor(ttlSeconds);
+  return { token: `${expires.toString(36)}.${sign(pid, expires)}`, expires_at: new Date(expires * 1000).toISOString() };
+}
+
+/**
+ * Returns { ok: true, expires_at } or { ok: false, reason: "missing" | "invalid" | "expired" }.
+ * The signature is checked before the expiry, so "expired" is only ever said about a genuine token.
+ */
+export function verifyViewToken(pid, token, { now = Date.now() } = {}) {
+  const [exp36, sig] = String(token || "").split(".");
+  if (!pid || !exp36 || !sig) return { ok: false, reason: "missing" };
+
+  const expires = parseInt(exp36, 36);
+  if (!Number.isFinite(expires)) return { ok: false, reason: "invalid" };
+
+  const expected = Buffer.from(sign(pid, expires));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !timingSafeEqual(expected, given)) return { ok: false, reason: "invalid" };
+
+  if (expires * 1000 <= now) return { ok: false, reason: "expired" };
+  return { ok: true, expires_at: new Date(expires * 1000).toISOString() };
+}
+
+// "pid=…&token=…" for status / summary links.
+export function proposalQuery(pid, token) {
+  return `pid=${encodeURIComponent(pid)}&token=${encodeURIComponent(token)}`;
+}
@@ -0,0 +1,301 @@
+// lib/proposal-job.js
+// Proposal generation pipeline, shared by /api/intake (new leads) and re-generation from a retained intake
+// (lib/proposal-records.js).
+//
+// runProposalJob(record): pending -> generating -> ready | failed, saved to proposal:<pid> at every step with a
+// compare-and-set on record.version; if another writer got there first the job stops without writing.
+// - The provider (lib/llm-provider.js) gets the prompt + responseSchema; output is validated against
+//   lib/proposal-schema.js, failing fields get one targeted repair pass, and `repairs` lists what was repaired
+//   (locally or by the model) or defaulted.
+// - Tier / one-off pricing is enforced from lib/pricing-catalog.js.
+// - If the provider is unavailable or fails both attempts, lib/proposal-template.js builds the proposal instead
+//   (generated_by: "template", record.fallback_reason); the failure is still kept at proposal_fail:<pid>.
+// - record.lead_score (lib/lead-scoring.js) is a fixed prompt input and always wins for
+//   pricing_logic.temperature / complexity.
+// - intake.locale (lib/locale.js) sets the language of the customer-facing text, in the model's proposal and the
+//   template fallback alike; keys, tier names, enum values and prices stay as the schema / catalog define them.
+// - The intake_submitted CRM event goes out last, through the outbox (lib/crm-outbox.js).
+
+import { describeTargetMetric } from "./target-metric.js";
+import { GHL_EVENTS, buildGHLPayload } from "./ghl.js";
+import { drainCrmOutbox, sendCrmEvent } from "./crm-outbox.js";
+import { kvSetJson, kvSetJsonIfVersion } from "./storage.js";
+import { catalogPromptText, enforceCatalogPricing, loadPricingCatalog } from "./pricing-catalog.js";
+import {
+  applyProposalDefaults,
+  formatSchemaErrors,
+  normalizeProposal,
+  proposalResponseSchema,
+  proposalSchemaText,
+  validateProposal
+} from "./proposal-schema.js";
+import { buildTemplateProposal } from "./proposal-template.js";
+import { proposalProvider } from "./llm-provider.js";
+import { retentionSeconds } from "./retention.js";
+import { DEFAULT_LOCALE, normalizeLocale } from "./locale.js";
+
+// Proposal job lifecycle: pending -> generating -> ready | failed
+export const JOB_STATUS = {
+  PENDING: "pending",
+  GENERATING: "generating",
+  READY: "ready",
+  FAILED: "failed"
+};
+
+function extractFirstJsonObject(text) {
+  if (!text) return null;
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end === -1 || end <= start) return null;
+  const candidate = text.slice(start, end + 1);
+  try { return JSON.parse(candidate); } catch { return null; }
+}
+
+const LANGUAGE_NAMES = { es: "Spanish (español)" };
+
+// Empty for English; otherwise tells the model which strings to translate and which must stay byte-for-byte.
+function languageBlock(locale) {
+  const name = LANGUAGE_NAMES[locale];
+  if (!name) return "";
+  return `\nLANGUAGE (MANDATORY):
+- Write every customer-facing string (executive summary, tier descriptions and scopes, pricing_logic.reasoning,
+  one_off_services descriptions) in ${name}.
+- Keep JSON keys, tier names, service names, enum values (e.g. pricing_logic.temperature / complexity) and prices
+  exactly as given above — do not translate them.\n`;
+}
+
+export function buildProposalPrompt(payload, leadScore, locale = payload?.locale) {
+  const catalog = loadPricingCatalog();
+  const scoreBlock = leadScore
+    ? `\nLEAD SCORE (fixed input, computed by Lumen Labs — DO NOT CHANGE):
+- Score: ${leadScore.score}/100
+- pricing_logic.temperature: ${leadScore.band}
+- pricing_logic.complexity: ${leadScore.complexity}
+- Recommended tier: ${leadScore.recommended_tier}
+Use these values as given and explain the recommended tier in pricing_logic.reasoning.\n`
+    : "";
+  const target = describeTargetMetric(payload.target_metric);
+  const targetBlock = target
+    ? `\nLEAD TARGET (normalized to 30 days):\n${target}\nTie the executive summary and tier scopes to this target.\n`
+    : "";
+  const languageText = languageBlock(normalizeLocale(locale) || DEFAULT_LOCALE);
+
+  return `
+You are Zion — executive intelligence for Lumen Labs (AI growth systems studio).
+
+TASK:
+Generate a structured proposal for the lead using the intake data below.
+
+CRITICAL OUTPUT RULES (MANDATORY):
+- Output VALID JSON ONLY.
+- No markdown, no code fences, no commentary, no trailing text.
+- The response must be directly JSON.parse() compatible.
+
+LUMEN LABS LOCKED PRICING (DO NOT CHANGE):
+${catalogPromptText(catalog)}
+
+GOAL:
+- Write an executive summary tailored to the intake.
+- Provide ${catalog.tiers.length} tiers (${catalog.tiers.map((t) => t.name).join("/")}) with clear differentiation.
+- Include a pricing_logic block that explains fit succinctly (no hype).
+- Include one_off_services options (${catalog.one_off_services.length} items as in schema).
+${targetBlock}${scoreBlock}${languageText}
+INTAKE JSON:
+${JSON.stringify(payload, null, 2)}
+
+${proposalSchemaText()}
+`.trim();
+}
+
+// Local repairs -> catalog pricing -> full schema check.
+function checkProposal(obj) {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+    return { proposal: null, errors: [{ path: "", message: "must be a JSON object" }], pricing_errors: [], repaired: [], pricing_corrections: [] };
+  }
+  const { proposal: normalized, repaired } = normalizeProposal(obj);
+  let proposal = normalized;
+  let pricing_errors = [];
+  let pricing_corrections = [];
+  if (Array.isArray(normalized.tiers)) {
+    const priced = enforceCatalogPricing(normalized);
+    if (priced.ok) ({ proposal, corrections: pricing_corrections } = priced);
+    else pricing_errors = priced.errors;
+  }
+  const errors = [...pricing_errors, ...validateProposal(proposal)];
+  return { proposal, errors, pricing_errors, repaired, pricing_corrections };
+}
+
+function parseModelJson(text) {
+  try { return JSON.parse(text); } catch { return extractFirstJsonObject(text); }
+}
+
+function repairPromptFor(check, rawText, locale) {
+  const languageText = languageBlock(normalizeLocale(locale) || DEFAULT_LOCALE);
+  // Unparseable output: resend the whole schema.
+  if (!check.proposal) {
+    return `
+You returned invalid JSON.
+${languageText}
+Return ONLY valid JSON matching the schema exactly. No markdown. No commentary.
+
+Your previous output:
+${rawText}
+
+${proposalSchemaText()}
+`.trim();
+  }
+
+  // Parseable but invalid: only the failing fields go back.
+  return `
+Your proposal JSON failed validation on these fields:
+${formatSchemaErrors(check.errors).map((e) => `- ${e}`).join("\n")}
+
+Fix ONLY those fields and return the complete corrected JSON. Keep every other field exactly as it is.
+${languageText}Prices must match LUMEN LABS LOCKED PRICING:
+${catalogPromptText()}
+
+Return ONLY valid JSON. No markdown. No commentary.
+
+Your previous output:
+${JSON.stringify(check.proposal)}
+`.trim();
+}
+
+// Two provider calls at most: the proposal, then (if needed) one repair. Throws with raw1/raw2 when both fail.
+export async function generateProposalStrict(
+  intakePayload,
+  { provider = proposalProvider(), leadScore = null, locale = intakePayload?.locale } = {}
+) {
+  const schema = proposalResponseSchema();
+
+  const t1 = await provider.generateJson({ prompt: buildProposalPrompt(intakePayload, leadScore, locale), schema, attempt: 1 });
+
+  const c1 = checkProposal(parseModelJson(t1));
+  if (!c1.errors.length) {
+    return {
+      proposal: c1.proposal,
+      raw: t1,
+      pricing_corrections: c1.pricing_corrections,
+      repairs: { attempts: 1, repaired: c1.repaired.map((path) => ({ path, by: "normalize" })), defaulted: [] }
+    };
+  }
+
+  const t2 = await provider.generateJson({ prompt: repairPromptFor(c1, t1, locale), schema, attempt: 2 });
+
+  const c2 = checkProposal(parseModelJson(t2));
+  const stillFailing = new Set(c2.errors.map((e) => e.path));
+  const modelRepaired = c1.proposal ? [...new Set(c1.errors.map((e) => e.path))].filter((p) => p && !stillFailing.has(p)) : [];
+
+  // Non-critical fields the model still got wrong fall back to defaults; anything else fails the job.
+  const d = c2.proposal && !c2.pricing_errors.length ? applyProposalDefaults(c2.proposal, loadPricingCatalog(), locale) : null;
+  if (d && !d.errors.length) {
+    const normalized = [...new Set([...c1.repaired, ...c2.repaired])];
+    return {
+      proposal: d.proposal,
+      raw: t2,
+      pricing_corrections: c2.pricing_corrections,
+      repairs: {
+        attempts: 2,
+        repaired: [
+          ...normalized.map((path) => ({ path, by: "normalize" })),
+          ...modelRepaired.map((path) => ({ path, by: "model" }))
+        ],
+        defaulted: d.defaulted
+      }
+    };
+  }
+
+  const errors = formatSchemaErrors(d ? d.errors : c2.errors);
+  const err = new Error(c2.proposal
+    ? `${provider.name} proposal failed validation: ${errors.slice(0, 5).join("; ")}`
+    : `${provider.name} returned non-JSON proposal`);
+  err.raw1 = t1;
+  err.raw2 = t2;
+  err.validation_errors = errors;
+  throw err;
+}
+
+// -------------------- Proposal job --------------------
+// Temperature/complexity are the lead score's, whatever the model wrote.
+function applyLeadScore(proposal, leadScore) {
+  if (!leadScore) return proposal;
+  return {
+    ...proposal,
+    pricing_logic: { ...proposal.pricing_logic, temperature: leadScore.band, complexity: leadScore.complexity }
+  };
+}
+
+// Compare-and-set against the version the job last wrote: an admin delete, a restart or a regeneration that
+// replaced the record in the meantime wins, and the job stops (returns false) without writing.
+async function saveJobState(record, status, patch = {}) {
+  const expected = Number(record.version) || 0;
+  const next = { ...record, ...patch, status, status_updated_at: new Date().toISOString(), version: expected + 1 };
+  if (!(await kvSetJsonIfVersion(`proposal:${record.pid}`, next, expected, retentionSeconds("proposal")))) return false;
+  Object.assign(record, next);
+  return true;
+}
+
+// Keeps the provider failure (raw outputs + validation errors) for debugging even though the lead gets a template.
+async function saveGenerationFailure(record, e) {
+  try {
+    await kvSetJson(`proposal_fail:${record.pid}`, {
+      pid: record.pid,
+      created_at: new Date().toISOString(),
+      intake: record.intake,
+      error: e?.message || String(e),
+      raw1: e?.raw1 || null,
+      raw2: e?.raw2 || null,
+      validation_errors: e?.validation_errors || null
+    }, retentionSeconds("proposal_fail"));
+  } catch {}
+}
+
+// Runs after the response is sent. Never throws: every outcome lands in the record's status.
+// Provider failures fall back to the deterministic template, so only storage errors end in "failed".
+// A record that changed under the job (deleted, restarted) ends it silently, CRM event included.
+// notifyCrm: false skips the intake_submitted event (re-generation sends its own link event instead).
+export async function runProposalJob(record, { notifyCrm = true } = {}) {
+  const locale = record.intake?.locale;
+  try {
+    if (!(await saveJobState(record, JOB_STATUS.GENERATING))) return;
+
+    let result;
+    let providerError = null;
+    try {
+      const provider = proposalProvider();
+      result = await generateProposalStrict(record.intake, { provider, leadScore: record.lead_score, locale });
+      result.proposal = applyLeadScore({ ...result.proposal, generated_by: provider.name }, record.lead_score);
+    } catch (e) {
+      providerError = e;
+      result = {
+        proposal: buildTemplateProposal(record.intake, record.lead_score, loadPricingCatalog(), locale),
+        fallback_reason: e?.message || String(e)
+      };
+    }
+
+    const { proposal, pricing_corrections = [], repairs = null, fallback_reason = null } = result;
+    if (!(await saveJobState(record, JOB_STATUS.READY, { proposal, pricing_corrections, repairs, fallback_reason, error: null }))) return;
+    // Only once the record is known to still be ours, so a deleted lead doesn't leave a failure behind.
+    if (providerError) await saveGenerationFailure(record, providerError);
+  } catch (e) {
+    try {
+      if (!(await saveJobState(record, JOB_STATUS.FAILED, { error: e?.message || String(e) }))) return;
+    } catch {}
+  }
+
+  // CRM goes last so a GHL outage never holds up the proposal; the outbox keeps retrying it.
+  if (!notifyCrm) return;
+  await sendCrmEvent({
+    pid: record.pid,
+    event: GHL_EVENTS.INTAKE_SUBMITTED,
+    payload: () => buildGHLPayload(record.intake, GHL_EVENTS.INTAKE_SUBMITTED, {}, {
+      pid: record.pid,
+      proposal: record.proposal,
+      leadScore: record.lead_score,
+      origin: record.site_origin
+    })
+  });
+  try {
+    await drainCrmOutbox({ limit: 5 });
+  } catch {}
+}
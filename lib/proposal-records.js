@@ -0,0 +1,257 @@
+// lib/proposal-records.js
+// Proposal records in storage, and what is kept once the rendered proposal is gone.
+//
+// Keys (TTLs from lib/retention.js):
+//   proposal:<pid>        full record: intake, lead_score, job status, proposal, acceptance; `version` goes up on
+//                         every write so concurrent writers can compare-and-set (kvSetJsonIfVersion)
+//   intake:<pid>          { pid, created_at, intake, lead_score } — retained longer so the proposal can be rebuilt
+//   lead_email:<sha256>   { pids: [newest first] } — lets a lead ask for their link by email; the address itself
+//                         is only stored hashed in the key
+//   proposal_fail:<pid>   provider failure with raw1/raw2 (written by lib/proposal-job.js)
+//
+// regenerateProposal(pid) / restartProposal(pid) start a fresh job for the same pid from the retained intake;
+// the caller runs runProposalJob (lib/proposal-job.js) on the returned record, like /api/intake does.
+//
+// publicAcceptance(acceptance) is the part of an acceptance the customer-facing endpoints return.
+//
+// listLeads / listFailures scan the keyspace (kvScan, at most SCAN_LIMIT keys per prefix) and read the records in
+// MGET batches (kvMGetJson), so a page costs a few dozen round trips however many leads there are; both return
+// the newest `limit` rows.
+
+import { createHash } from "node:crypto";
+import { scoreLead } from "./lead-scoring.js";
+import { JOB_STATUS } from "./proposal-job.js";
+import { retentionSeconds } from "./retention.js";
+import { kvDel, kvGetJson, kvMGetJson, kvScan, kvSetJson, kvSetJsonIfVersion } from "./storage.js";
+
+const MAX_PIDS_PER_EMAIL = 10;
+const SCAN_LIMIT = 2000;
+
+// Lead status for listings: the job status, "accepted" once signed, "expired" when only the intake is left.
+export const LEAD_STATUSES = [...Object.values(JOB_STATUS), "accepted", "expired"];
+
+export function proposalKey(pid) {
+  return `proposal:${pid}`;
+}
+
+// Anyone holding the view link sees these; the signer's name and CRM bookkeeping stay server-side.
+const PUBLIC_ACCEPTANCE_FIELDS = ["type", "name", "price_snapshot", "accepted_at"];
+
+export function publicAcceptance(acceptance) {
+  if (!acceptance) return null;
+  return Object.fromEntries(PUBLIC_ACCEPTANCE_FIELDS.map((f) => [f, acceptance[f] ?? null]));
+}
+
+function intakeKey(pid) {
+  return `intake:${pid}`;
+}
+
+function failureKey(pid) {
+  return `proposal_fail:${pid}`;
+}
+
+function emailKey(email) {
+  return `lead_email:${createHash("sha256").update(String(email).trim().toLowerCase()).digest("hex")}`;
+}
+
+export async function loadProposalRecord(pid) {
+  return kvGetJson(proposalKey(pid));
+}
+
+export async function loadRetainedIntake(pid) {
+  return kvGetJson(intakeKey(pid));
+}
+
+export async function loadFailure(pid) {
+  return kvGetJson(failureKey(pid));
+}
+
+export async function pidsForEmail(email) {
+  if (!email) return [];
+  const idx = await kvGetJson(emailKey(email));
+  return Array.isArray(idx?.pids) ? idx.pids : [];
+}
+
+/**
+ * Stores a new pending record plus its retained intake copy, and indexes the lead's email.
+ */
+export async function saveNewProposalRecord(record) {
+  await kvSetJson(proposalKey(record.pid), record, retentionSeconds("proposal"));
+  await kvSetJson(intakeKey(record.pid), {
+    pid: record.pid,
+    created_at: record.created_at,
+    intake: record.intake,
+    lead_score: record.lead_score
+  }, retentionSeconds("intake"));
+
+  const email = record.intake?.email;
+  if (email) {
+    const pids = [record.pid, ...(await pidsForEmail(email)).filter((p) => p !== record.pid)].slice(0, MAX_PIDS_PER_EMAIL);
+    await kvSetJson(emailKey(email), { pids }, retentionSeconds("intake"));
+  }
+}
+
+// Replaces proposal:<pid> only if it is still at `expectedVersion` (0 = absent); returns null when it moved on.
+async function savePendingRecord(pid, { intake, lead_score, created_at }, expectedVersion, extra = {}) {
+  const now = new Date().toISOString();
+  const record = {
+    pid,
+    created_at: now,
+    status: JOB_STATUS.PENDING,
+    status_updated_at: now,
+    intake,
+    lead_score: lead_score || scoreLead(intake),
+    proposal: null,
+    error: null,
+    regenerated_from: created_at || null,
+    ...extra,
+    version: expectedVersion + 1
+  };
+  if (!(await kvSetJsonIfVersion(proposalKey(pid), record, expectedVersion, retentionSeconds("proposal")))) return null;
+  return record;
+}
+
+/**
+ * Re-creates proposal:<pid> as a pending job from the retained intake. Returns { record, regenerated }, or null
+ * when the intake is gone too. A proposal that still exists is returned untouched (regenerated: false).
+ */
+export async function regenerateProposal(pid) {
+  const existing = await loadProposalRecord(pid);
+  if (existing) return { record: existing, regenerated: false };
+
+  const retained = await loadRetainedIntake(pid);
+  if (!retained?.intake) return null;
+  const record = await savePendingRecord(pid, retained, 0);
+  // Lost the race to another regeneration: hand back the record it created.
+  if (!record) return { record: await loadProposalRecord(pid), regenerated: false };
+  return { record, regenerated: true };
+}
+
+/**
+ * Admin retry: replaces the proposal (failed, template fallback, or expired) with a fresh pending job and clears
+ * the stored failure. Returns { record } | { error: "not_found" | "accepted" | "in_progress" | "conflict" }.
+ */
+export async function restartProposal(pid) {
+  const existing = await loadProposalRecord(pid);
+  if (existing?.acceptance) return { error: "accepted" };
+  if (existing && [JOB_STATUS.PENDING, JOB_STATUS.GENERATING].includes(existing.status)) return { error: "in_progress" };
+
+  const source = existing?.intake ? existing : await loadRetainedIntake(pid);
+  if (!source?.intake) return { error: "not_found" };
+
+  const record = await savePendingRecord(pid, source, Number(existing?.version) || 0, { retried_at: new Date().toISOString() });
+  if (!record) return { error: "conflict" };
+  await kvDel(failureKey(pid));
+  return { record };
+}
+
+/**
+ * Removes everything stored for a pid (proposal, retained intake, failure) and drops it from the email index.
+ * Returns the number of keys removed. CRM outbox entries are left alone: they are the delivery log.
+ */
+export async function deleteLead(pid) {
+  const record = await loadProposalRecord(pid);
+  const email = record?.intake?.email || (await loadRetainedIntake(pid))?.intake?.email;
+  const removed = await kvDel(proposalKey(pid), intakeKey(pid), failureKey(pid));
+
+  if (email) {
+    const pids = (await pidsForEmail(email)).filter((p) => p !== pid);
+    if (pids.length) await kvSetJson(emailKey(email), { pids }, retentionSeconds("intake"));
+    else await kvDel(emailKey(email));
+  }
+  return removed;
+}
+
+// -------------------- Listings --------------------
+function leadStatus(record) {
+  if (!record) return "expired";
+  if (record.acceptance) return "accepted";
+  return record.status || (record.proposal ? JOB_STATUS.READY : JOB_STATUS.PENDING);
+}
+
+function leadRow(pid, record, retained, hasFailure) {
+  const intake = record?.intake || retained?.intake || {};
+  const score = record?.lead_score || retained?.lead_score || null;
+  return {
+    pid,
+    created_at: retained?.created_at || record?.created_at || null,
+    status: leadStatus(record),
+    full_name: intake.full_name || "",
+    email: intake.email || "",
+    business_name: intake.business_name || "",
+    industry: intake.industry || "",
+    primary_goal: intake.primary_goal || "",
+    budget_range: intake.budget_range || "",
+    timeline: intake.timeline || "",
+    lead_score: score ? { score: score.score, band: score.band, recommended_tier: score.recommended_tier } : null,
+    generated_by: record?.proposal?.generated_by || null,
+    accepted: record?.acceptance ? { type: record.acceptance.type, name: record.acceptance.name } : null,
+    has_failure: hasFailure
+  };
+}
+
+function same(a, b) {
+  return String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+}
+
+async function scanPids(prefix) {
+  return (await kvScan(`${prefix}*`, { limit: SCAN_LIMIT })).map((k) => k.slice(prefix.length));
+}
+
+/**
+ * Filters: from / to (ISO date or datetime, inclusive by day), industry, goal, status (LEAD_STATUSES),
+ * q (substring of name, email or business). Returns { leads, total }.
+ */
+export async function listLeads({ from = "", to = "", industry = "", goal = "", status = "", q = "", limit = 100 } = {}) {
+  const pids = [...new Set([...(await scanPids("intake:")), ...(await scanPids("proposal:"))])];
+  const failures = new Set(await scanPids("proposal_fail:"));
+  const toBound = to && to.length <= 10 ? `${to}T23:59:59.999Z` : to;
+  const needle = q.trim().toLowerCase();
+
+  const records = await kvMGetJson(pids.map(proposalKey));
+  const retainedIntakes = await kvMGetJson(pids.map(intakeKey));
+
+  const rows = [];
+  for (const [i, pid] of pids.entries()) {
+    const [record, retained] = [records[i], retainedIntakes[i]];
+    if (!record && !retained) continue;
+    const row = leadRow(pid, record, retained, failures.has(pid));
+
+    if (from && String(row.created_at) < from) continue;
+    if (toBound && String(row.created_at) > toBound) continue;
+    if (industry && !same(row.industry, industry)) continue;
+    if (goal && !same(row.primary_goal, goal)) continue;
+    if (status && row.status !== status) continue;
+    if (needle && ![row.full_name, row.email, row.business_name].some((v) => v.toLowerCase().includes(needle))) continue;
+    rows.push(row);
+  }
+
+  rows.sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+  return { leads: rows.slice(0, limit), total: rows.length };
+}
+
+// Failure summaries (no raw output); loadFailure(pid) has raw1/raw2.
+export async function listFailures({ limit = 100 } = {}) {
+  const pids = await scanPids("proposal_fail:");
+  const stored = await kvMGetJson(pids.map(failureKey));
+  const rows = [];
+  for (const [i, pid] of pids.entries()) {
+    const f = stored[i];
+    if (!f) continue;
+    rows.push({
+      pid,
+      created_at: f.created_at || null,
+      business_name: f.intake?.business_name || "",
+      email: f.intake?.email || "",
+      error: f.error || "",
+      validation_errors: Array.isArray(f.validation_errors) ? f.validation_errors.length : 0,
+      has_raw: !!(f.raw1 || f.raw2)
+    });
+  }
+  rows.sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+  return { failures: rows.slice(0, limit), total: rows.length };
+}
+
+export function regenerationEnabled() {
+  return process.env.PROPOSAL_REGENERATE !== "0";
+}
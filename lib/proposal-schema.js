@@ -0,0 +1,293 @@
+// lib/proposal-schema.js
+// The generated-proposal schema: prompt text, validator with path-specific errors, and local repairs.
+//
+// validateProposal() returns [{ path, message }], e.g. { path: "tiers[1].scope", message: "must be non-empty" };
+// formatSchemaErrors() turns them into the "tiers[1].scope must be non-empty" lines used in the repair prompt.
+//
+// Repair happens in three layers (generateProposalStrict in lib/proposal-job.js drives them):
+//   1. normalizeProposal()      mechanical fixes (enum casing, price_monthly alias, string -> array); recorded as repaired
+//   2. targeted model repair    only the failing paths are sent back to the model
+//   3. applyProposalDefaults()  last resort for non-critical fields (pricing_logic enums, next_steps, one-offs); recorded as defaulted
+// Critical fields (executive_summary, tier names/prices/scope) are never defaulted.
+
+import { catalogSchemaParts, loadPricingCatalog } from "./pricing-catalog.js";
+import { DEFAULT_LOCALE, normalizeLocale } from "./locale.js";
+
+export const PROPOSAL_ENUMS = {
+  "pricing_logic.temperature": ["Cold", "Warm", "Hot"],
+  "pricing_logic.complexity": ["Simple", "Moderate", "Advanced"],
+  "pricing_logic.recommended_focus": ["Full System", "Hybrid", "One-Off First"]
+};
+
+// Customer-facing defaults per locale (lib/locale.js; intake.locale), like lib/proposal-template.js's COPY.
+// Enum defaults are schema values and the same in every locale.
+const DEFAULT_COPY = {
+  en: {
+    reasoning: "Recommended from the intake details provided.",
+    next_steps: [
+      "Book a 20-minute activation call with Lumen Labs",
+      "Confirm the tier that fits your 30-day target",
+      "Share access to your current site, CRM and ad accounts"
+    ],
+    add_on: (name) => `Optional add-on: ${name}`
+  },
+  es: {
+    reasoning: "Recomendado a partir de los datos del formulario.",
+    next_steps: [
+      "Agenda una llamada de activación de 20 minutos con Lumen Labs",
+      "Confirma el nivel que se ajusta a tu objetivo de 30 días",
+      "Comparte acceso a tu sitio, CRM y cuentas de anuncios actuales"
+    ],
+    add_on: (name) => `Complemento opcional: ${name}`
+  }
+};
+
+function defaultCopy(locale) {
+  return DEFAULT_COPY[normalizeLocale(locale)] || DEFAULT_COPY[DEFAULT_LOCALE];
+}
+
+function defaultsFor(copy) {
+  return {
+    "pricing_logic.temperature": "Warm",
+    "pricing_logic.complexity": "Moderate",
+    "pricing_logic.recommended_focus": "Hybrid",
+    "pricing_logic.reasoning": copy.reasoning,
+    next_steps: copy.next_steps
+  };
+}
+
+function isObj(x) {
+  return !!x && typeof x === "object" && !Array.isArray(x);
+}
+
+function letters(s) {
+  return String(s).toLowerCase().replace(/[^a-z]/g, "");
+}
+
+function isText(x) {
+  return typeof x === "string" && !!x.trim();
+}
+
+export function proposalSchemaText(catalog = loadPricingCatalog()) {
+  const { tiers, one_off_services } = catalogSchemaParts(catalog);
+  const skeleton = {
+    executive_summary: "string (5–8 sentences, executive tone)",
+    pricing_logic: {
+      temperature: PROPOSAL_ENUMS["pricing_logic.temperature"].join("|"),
+      complexity: PROPOSAL_ENUMS["pricing_logic.complexity"].join("|"),
+      recommended_focus: PROPOSAL_ENUMS["pricing_logic.recommended_focus"].join("|"),
+      reasoning: "string (concise)"
+    },
+    tiers,
+    one_off_services,
+    next_steps: ["string", "..."]
+  };
+  return `
+Return ONLY valid JSON matching this schema. No markdown. No commentary.
+
+${JSON.stringify(skeleton, null, 2)}
+`.trim();
+}
+
+/**
+ * The same schema as a structured-output response schema (OpenAPI subset, as Gemini's responseSchema expects).
+ * Catalog values stay in the prompt; the validator below remains the source of truth.
+ */
+export function proposalResponseSchema() {
+  const str = { type: "STRING" };
+  const strList = { type: "ARRAY", items: str };
+  const obj = (properties) => ({ type: "OBJECT", properties, required: Object.keys(properties) });
+  const enumOf = (path) => ({ type: "STRING", enum: PROPOSAL_ENUMS[path] });
+  return obj({
+    executive_summary: str,
+    pricing_logic: obj({
+      temperature: enumOf("pricing_logic.temperature"),
+      complexity: enumOf("pricing_logic.complexity"),
+      recommended_focus: enumOf("pricing_logic.recommended_focus"),
+      reasoning: str
+    }),
+    tiers: {
+      type: "ARRAY",
+      items: obj({
+        name: str,
+        monthly_price: { type: "NUMBER" },
+        activation_fee: { type: "NUMBER" },
+        ideal_for: str,
+        scope: strList,
+        timeline: str
+      })
+    },
+    one_off_services: { type: "ARRAY", items: obj({ name: str, pricing: str, use_case: str }) },
+    next_steps: strList
+  });
+}
+
+/**
+ * Full structural check. Prices are checked for type only; catalog values are enforced by lib/pricing-catalog.js.
+ */
+export function validateProposal(obj, catalog = loadPricingCatalog()) {
+  const errors = [];
+  const fail = (path, message) => errors.push({ path, message });
+  const text = (v, path) => {
+    if (v === undefined || v === null) fail(path, "is required");
+    else if (typeof v !== "string") fail(path, "must be a string");
+    else if (!v.trim()) fail(path, "must be non-empty");
+  };
+  const textList = (v, path) => {
+    if (!Array.isArray(v)) return fail(path, "must be an array of strings");
+    if (!v.length) return fail(path, "must be non-empty");
+    v.forEach((s, i) => { if (!isText(s)) fail(`${path}[${i}]`, "must be a non-empty string"); });
+  };
+
+  if (!isObj(obj)) return [{ path: "", message: "must be a JSON object" }];
+
+  text(obj.executive_summary, "executive_summary");
+
+  if (!isObj(obj.pricing_logic)) fail("pricing_logic", "must be an object");
+  else {
+    for (const [path, allowed] of Object.entries(PROPOSAL_ENUMS)) {
+      const v = obj.pricing_logic[path.split(".")[1]];
+      if (!allowed.includes(v)) fail(path, `must be one of ${allowed.join("|")}`);
+    }
+    text(obj.pricing_logic.reasoning, "pricing_logic.reasoning");
+  }
+
+  if (!Array.isArray(obj.tiers)) fail("tiers", "must be an array");
+  else {
+    if (obj.tiers.length !== catalog.tiers.length) fail("tiers", `must have exactly ${catalog.tiers.length} items`);
+    obj.tiers.forEach((t, i) => {
+      const p = `tiers[${i}]`;
+      if (!isObj(t)) return fail(p, "must be an object");
+      text(t.name, `${p}.name`);
+      if (typeof t.monthly_price !== "number") fail(`${p}.monthly_price`, "must be a number");
+      if (typeof t.activation_fee !== "number") fail(`${p}.activation_fee`, "must be a number");
+      text(t.ideal_for, `${p}.ideal_for`);
+      textList(t.scope, `${p}.scope`);
+      text(t.timeline, `${p}.timeline`);
+    });
+    // Names are checked once pricing enforcement has run, so they should be the catalog's exactly.
+    const names = obj.tiers.map((t) => (isObj(t) ? t.name : undefined));
+    for (const c of catalog.tiers) {
+      const n = names.filter((name) => name === c.name).length;
+      if (n !== 1) fail("tiers", n ? `must include "${c.name}" only once` : `must include "${c.name}"`);
+    }
+  }
+
+  if (!Array.isArray(obj.one_off_services)) fail("one_off_services", "must be an array");
+  else {
+    obj.one_off_services.forEach((s, i) => {
+      const p = `one_off_services[${i}]`;
+      if (!isObj(s)) return fail(p, "must be an object");
+      text(s.name, `${p}.name`);
+      text(s.pricing, `${p}.pricing`);
+      text(s.use_case, `${p}.use_case`);
+    });
+    const names = obj.one_off_services.map((s) => String(s?.name || "").trim().toLowerCase());
+    for (const c of catalog.one_off_services) {
+      if (!names.includes(c.name.toLowerCase())) fail("one_off_services", `must include "${c.name}"`);
+    }
+  }
+
+  textList(obj.next_steps, "next_steps");
+
+  return errors;
+}
+
+export function formatSchemaErrors(errors) {
+  return errors.map((e) => (e.path ? `${e.path} ${e.message}` : e.message));
+}
+
+/**
+ * Mechanical repairs that don't need the model. Returns { proposal, repaired: [path] } (input is not mutated).
+ */
+export function normalizeProposal(obj) {
+  if (!isObj(obj)) return { proposal: obj, repaired: [] };
+  const repaired = [];
+  const out = structuredClone(obj);
+
+  if (isObj(out.pricing_logic)) {
+    for (const [path, allowed] of Object.entries(PROPOSAL_ENUMS)) {
+      const key = path.split(".")[1];
+      const v = out.pricing_logic[key];
+      if (typeof v !== "string" || allowed.includes(v)) continue;
+      const match = allowed.find((a) => letters(a) === letters(v));
+      if (match) {
+        out.pricing_logic[key] = match;
+        repaired.push(path);
+      }
+    }
+  }
+
+  const toList = (v) => (typeof v === "string" && v.trim() ? v.split(/\n+|;\s*/).map((s) => s.replace(/^[-•*\s]+/, "").trim()).filter(Boolean) : v);
+
+  (Array.isArray(out.tiers) ? out.tiers : []).forEach((t, i) => {
+    if (!isObj(t)) return;
+    if (t.monthly_price === undefined && t.price_monthly !== undefined) {
+      t.monthly_price = t.price_monthly;
+      delete t.price_monthly;
+      repaired.push(`tiers[${i}].monthly_price`);
+    }
+    for (const key of ["monthly_price", "activation_fee"]) {
+      if (typeof t[key] !== "string") continue;
+      const n = Number(t[key].replace(/[$,\s]|\/mo.*$/gi, ""));
+      if (Number.isFinite(n) && t[key].trim()) {
+        t[key] = n;
+        repaired.push(`tiers[${i}].${key}`);
+      }
+    }
+    if (typeof t.scope === "string" && t.scope.trim()) {
+      t.scope = toList(t.scope);
+      repaired.push(`tiers[${i}].scope`);
+    }
+  });
+
+  if (typeof out.next_steps === "string" && out.next_steps.trim()) {
+    out.next_steps = toList(out.next_steps);
+    repaired.push("next_steps");
+  }
+
+  return { proposal: out, repaired };
+}
+
+/**
+ * Fills remaining errors on non-critical fields with fixed defaults, written in `locale` (en | es).
+ * Returns { proposal, defaulted: [path], errors } where `errors` is what still fails afterwards.
+ */
+export function applyProposalDefaults(obj, catalog = loadPricingCatalog(), locale = DEFAULT_LOCALE) {
+  if (!isObj(obj)) return { proposal: obj, defaulted: [], errors: validateProposal(obj, catalog) };
+  const out = structuredClone(obj);
+  const defaulted = [];
+  const errors = validateProposal(out, catalog);
+  const failing = new Set(errors.map((e) => e.path));
+  const copy = defaultCopy(locale);
+  const defaults = defaultsFor(copy);
+
+  for (const [path, value] of Object.entries(defaults)) {
+    if (![...failing].some((p) => p === path || p.startsWith(`${path}[`))) continue;
+    if (path.startsWith("pricing_logic.")) {
+      if (!isObj(out.pricing_logic)) out.pricing_logic = {};
+      out.pricing_logic[path.split(".")[1]] = value;
+    } else {
+      out[path] = structuredClone(value);
+    }
+    defaulted.push(path);
+  }
+  if (failing.has("pricing_logic")) {
+    out.pricing_logic = Object.fromEntries(
+      Object.entries(defaults).filter(([p]) => p.startsWith("pricing_logic.")).map(([p, v]) => [p.split(".")[1], v])
+    );
+    defaulted.push("pricing_logic");
+  }
+
+  if ([...failing].some((p) => p.startsWith("one_off_services"))) {
+    const have = Array.isArray(out.one_off_services) ? out.one_off_services : [];
+    out.one_off_services = catalog.one_off_services.map((c, i) => {
+      const found = have.find((s) => isObj(s) && String(s.name || "").trim().toLowerCase() === c.name.toLowerCase());
+      if (found && isText(found.use_case)) return { ...found, name: c.name, pricing: c.pricing };
+      defaulted.push(`one_off_services[${i}]`);
+      return { name: c.name, pricing: c.pricing, use_case: found?.use_case?.trim?.() || copy.add_on(c.name) };
+    });
+  }
+
+  return { proposal: out, defaulted, errors: validateProposal(out, catalog) };
+}
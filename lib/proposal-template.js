@@ -0,0 +1,242 @@
+// lib/proposal-template.js
+// Deterministic proposal builder: same intake in -> same proposal out, no network.
+// Used by /api/intake when the proposal provider is unavailable (e.g. GEMINI_API_KEY missing) or fails both attempts,
+// so a submitted lead always gets a summary. Output passes lib/proposal-schema.js validation and
+// carries generated_by: "template". Written in the lead's language (intake.locale: en | es), like the model's.
+
+import { describeTargetMetric } from "./target-metric.js";
+import { loadPricingCatalog } from "./pricing-catalog.js";
+import { budgetCeiling, scoreLead } from "./lead-scoring.js";
+import { DEFAULT_LOCALE, normalizeLocale } from "./locale.js";
+
+// Copy per locale (lib/locale.js; intake.locale). Scope building blocks are cumulative by tier position (tier 0
+// gets the first level, tier 1 adds the second, ...). goal_scope / use_cases are keyed by the lowercased English
+// intake values (the index.html options); labels translates those values for the prose. Tier and service names,
+// enum values and prices are the same in every locale.
+const COPY = {
+  en: {
+    scope_levels: [
+      [
+        "Zion on-page assistant trained on your offers and FAQs",
+        "Lead capture forms routed into your CRM",
+        "Instant SMS + email follow-up for every new lead"
+      ],
+      [
+        "Multi-step nurture sequences by lead source",
+        "Booking automation with reminders and no-show recovery",
+        "Monthly performance review and optimization"
+      ],
+      [
+        "Custom AI workflows across sales and operations",
+        "Content + local visibility engine running weekly",
+        "Dedicated strategist with bi-weekly growth sprints"
+      ]
+    ],
+    tier_timelines: ["Live in 14 days", "Live in 21 days", "Phased rollout over 30 days"],
+    goal_scope: {
+      "more leads": "Lead magnet + landing flow built around your main offer",
+      "better follow-up": "Speed-to-lead automation with missed-call text back",
+      "operations / systems": "Process audit and automation of your top manual workflow",
+      "content that converts": "Conversion-focused content calendar with automated publishing",
+      "seo / visibility": "Local SEO foundation: profile optimization and review requests",
+      "full growth system": "End-to-end funnel mapping from first touch to closed deal"
+    },
+    use_cases: {
+      "voice agent": "Answers and qualifies inbound calls 24/7 so no lead goes to voicemail.",
+      "smart site": "A fast, conversion-first site with Zion built in.",
+      "content automation": "Keeps your channels active with on-brand posts without extra staff time.",
+      "local seo & automations": "Improves map-pack visibility and automates review collection."
+    },
+    labels: {},
+    defaults: { business: "your business", industry: "your industry", goal: "growth" },
+    summary: ({ business, industry, goal, bottleneck, target, timeline }) => [
+      `${business} is a ${industry} business focused on ${goal}.`,
+      bottleneck ? `The main constraint today is: ${bottleneck}.` : "The main constraint today is turning attention into booked revenue consistently.",
+      target ? `The stated 30-day target is ${target}.` : "",
+      "Lumen Labs installs AI growth systems that capture, follow up with and convert leads without adding headcount.",
+      "The tiers below scale from a focused foundation to a full growth system, all on the same locked pricing.",
+      timeline ? `Everything is scoped to your timeline (${timeline}).` : ""
+    ],
+    ideal_for: {
+      first: (industry, goal) => `${industry} teams starting with ${goal}`,
+      middle: (industry, goal) => `${industry} businesses scaling ${goal} with automation`,
+      last: (industry) => `${industry} businesses ready for a full growth system`
+    },
+    reasoning: ({ score, tier, budget, timeline, goal }) => [
+      `Lead score ${score}/100, ${tier} recommended`,
+      budget ? `budget ${budget}` : "budget not stated",
+      timeline ? `timeline ${timeline}` : "timeline not stated",
+      `goal ${goal}`
+    ],
+    use_case_fallback: (goal) => `Optional add-on for ${goal}.`,
+    next_steps: (business) => [
+      "Book a 20-minute activation call with Lumen Labs",
+      `Confirm the tier that fits ${business}`,
+      "Share access to your current site, CRM and ad accounts"
+    ]
+  },
+  es: {
+    scope_levels: [
+      [
+        "Asistente Zion en tu sitio, entrenado con tus ofertas y preguntas frecuentes",
+        "Formularios de captación conectados a tu CRM",
+        "Seguimiento inmediato por SMS y correo para cada prospecto nuevo"
+      ],
+      [
+        "Secuencias de seguimiento en varios pasos según el origen del prospecto",
+        "Automatización de citas con recordatorios y recuperación de inasistencias",
+        "Revisión y optimización mensual del rendimiento"
+      ],
+      [
+        "Flujos de IA a medida en ventas y operaciones",
+        "Motor semanal de contenido y visibilidad local",
+        "Estratega dedicado con sprints de crecimiento quincenales"
+      ]
+    ],
+    tier_timelines: ["En marcha en 14 días", "En marcha en 21 días", "Implementación por fases en 30 días"],
+    goal_scope: {
+      "more leads": "Imán de prospectos + página de aterrizaje construidos alrededor de tu oferta principal",
+      "better follow-up": "Respuesta inmediata a prospectos con mensaje automático ante llamadas perdidas",
+      "operations / systems": "Auditoría de procesos y automatización de tu principal tarea manual",
+      "content that converts": "Calendario de contenido orientado a conversión con publicación automática",
+      "seo / visibility": "Base de SEO local: optimización del perfil y solicitud de reseñas",
+      "full growth system": "Mapa del embudo completo, del primer contacto al cierre"
+    },
+    use_cases: {
+      "voice agent": "Atiende y califica las llamadas entrantes 24/7 para que ningún prospecto termine en el buzón de voz.",
+      "smart site": "Un sitio rápido, pensado para convertir, con Zion integrado.",
+      "content automation": "Mantiene tus canales activos con publicaciones de tu marca sin sumar personal.",
+      "local seo & automations": "Mejora tu visibilidad en mapas y automatiza la solicitud de reseñas."
+    },
+    labels: {
+      "home services": "servicios para el hogar",
+      "medical / healthcare": "medicina / salud",
+      "real estate": "bienes raíces",
+      law: "servicios legales",
+      "e-commerce": "comercio electrónico",
+      "local retail": "comercio local",
+      "professional services": "servicios profesionales",
+      "creator / media": "creadores / medios",
+      other: "otro sector",
+      "more leads": "más prospectos",
+      "better follow-up": "un mejor seguimiento",
+      "operations / systems": "mejores operaciones y sistemas",
+      "content that converts": "contenido que convierta",
+      "seo / visibility": "más SEO y visibilidad",
+      "full growth system": "un sistema de crecimiento completo",
+      "asap (0–7 days)": "lo antes posible (0–7 días)",
+      "2–3 weeks": "2–3 semanas",
+      "30 days": "30 días",
+      "just exploring": "solo explorando"
+    },
+    defaults: { business: "tu negocio", industry: "tu sector", goal: "crecimiento" },
+    summary: ({ business, industry, goal, bottleneck, target, timeline }) => [
+      `${business} es un negocio de ${industry} enfocado en ${goal}.`,
+      bottleneck ? `Hoy la principal limitación es: ${bottleneck}.` : "Hoy la principal limitación es convertir la atención en ingresos agendados de forma constante.",
+      target ? `La meta declarada para 30 días es: ${target}.` : "",
+      "Lumen Labs instala sistemas de crecimiento con IA que captan, dan seguimiento y convierten prospectos sin sumar personal.",
+      "Los niveles de abajo van de una base enfocada a un sistema de crecimiento completo, todos con el mismo precio fijo.",
+      timeline ? `Todo está planificado según tu plazo (${timeline}).` : ""
+    ],
+    ideal_for: {
+      first: (industry, goal) => `Equipos de ${industry} que empiezan buscando ${goal}`,
+      middle: (industry, goal) => `Negocios de ${industry} que quieren ${goal} a escala, con automatización`,
+      last: (industry) => `Negocios de ${industry} listos para un sistema de crecimiento completo`
+    },
+    reasoning: ({ score, tier, budget, timeline, goal }) => [
+      `Puntuación del prospecto ${score}/100, se recomienda ${tier}`,
+      budget ? `presupuesto ${budget}` : "presupuesto no indicado",
+      timeline ? `plazo ${timeline}` : "plazo no indicado",
+      `objetivo ${goal}`
+    ],
+    use_case_fallback: (goal) => `Complemento opcional para ${goal}.`,
+    next_steps: (business) => [
+      "Agenda una llamada de activación de 20 minutos con Lumen Labs",
+      `Confirma el nivel que mejor se adapta a ${business}`,
+      "Comparte acceso a tu sitio, CRM y cuentas de anuncios actuales"
+    ]
+  }
+};
+
+function lower(s) {
+  return String(s || "").trim().toLowerCase();
+}
+
+function focusFor(budget, catalog) {
+  const ceiling = budgetCeiling(budget);
+  if (ceiling == null) return "Hybrid";
+  const prices = catalog.tiers.map((t) => t.monthly_price);
+  if (ceiling < Math.min(...prices)) return "One-Off First";
+  if (ceiling >= Math.max(...prices)) return "Full System";
+  return "Hybrid";
+}
+
+/**
+ * Builds a schema-conformant proposal from intake fields, the lead score (lib/lead-scoring.js) + the pricing catalog,
+ * written in `locale` (intake.locale by default; English for anything without a catalog).
+ */
+export function buildTemplateProposal(
+  intake = {},
+  leadScore = scoreLead(intake),
+  catalog = loadPricingCatalog(),
+  locale = intake.locale
+) {
+  const copy = COPY[normalizeLocale(locale)] || COPY[DEFAULT_LOCALE];
+  const business = intake.business_name || copy.defaults.business;
+  const industry = intake.industry ? copy.labels[lower(intake.industry)] || intake.industry : copy.defaults.industry;
+  const goal = intake.primary_goal || copy.defaults.goal;
+  const goalText = copy.labels[lower(goal)] || lower(goal);
+  const bottleneck = String(intake.bottleneck || "").trim().replace(/[.!?]+$/, "");
+  // The parsed description is English; other locales quote the lead's own words.
+  const target = copy === COPY[DEFAULT_LOCALE] ? describeTargetMetric(intake.target_metric) : intake.target_metric?.raw || "";
+  const timeline = intake.timeline ? copy.labels[lower(intake.timeline)] || intake.timeline : "";
+
+  const recommended_focus = focusFor(intake.budget_range, catalog);
+  const goalLine = copy.goal_scope[lower(goal)];
+  const scopeLevels = copy.scope_levels;
+
+  const summary = copy.summary({ business, industry, goal: goalText, bottleneck, target, timeline })
+    .filter(Boolean)
+    .join(" ");
+
+  const tiers = catalog.tiers.map((t, i) => {
+    const scope = scopeLevels.slice(0, Math.min(i, scopeLevels.length - 1) + 1).flat();
+    if (goalLine) scope.unshift(goalLine);
+    return {
+      name: t.name,
+      monthly_price: t.monthly_price,
+      activation_fee: t.activation_fee,
+      ideal_for: i === 0
+        ? copy.ideal_for.first(industry, goalText)
+        : i === catalog.tiers.length - 1
+          ? copy.ideal_for.last(industry)
+          : copy.ideal_for.middle(industry, goalText),
+      scope,
+      timeline: copy.tier_timelines[Math.min(i, copy.tier_timelines.length - 1)]
+    };
+  });
+
+  return {
+    generated_by: "template",
+    executive_summary: summary,
+    pricing_logic: {
+      temperature: leadScore.band,
+      complexity: leadScore.complexity,
+      recommended_focus,
+      reasoning: copy.reasoning({
+        score: leadScore.score,
+        tier: leadScore.recommended_tier,
+        budget: intake.budget_range,
+        timeline,
+        goal: copy.labels[lower(goal)] || goal
+      }).join("; ") + "."
+    },
+    tiers,
+    one_off_services: catalog.one_off_services.map((s) => ({
+      name: s.name,
+      pricing: s.pricing,
+      use_case: copy.use_cases[lower(s.name)] || copy.use_case_fallback(goalText)
+    })),
+    next_steps: copy.next_steps(business)
+  };
+}
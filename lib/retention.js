@@ -0,0 +1,60 @@
+// lib/retention.js
+// How long each kind of stored record is kept (KV TTL, seconds).
+//
+//   proposal        proposal:<pid>        the rendered proposal + job status (what /summary shows)
+//   intake          intake:<pid>          the intake answers + lead score; outlives the proposal so it can be
+//                                          re-generated (lib/proposal-records.js), also backs the email index
+//   proposal_fail   proposal_fail:<pid>   provider failures (raw outputs, validation errors) for debugging
+//   session         zion_session:<id>     Zion chat state; refreshed on every turn
+//   accepted        proposal:<pid>        an accepted proposal is a contract record and is kept longer
+//   analytics       an:<day>:...          daily funnel counters (lib/analytics.js)
+//
+// Env (each optional, seconds):
+//   PROPOSAL_TTL_SECONDS, INTAKE_TTL_SECONDS, PROPOSAL_FAIL_TTL_SECONDS, SESSION_TTL_SECONDS, ACCEPTED_TTL_SECONDS,
+//   ANALYTICS_TTL_SECONDS
+//   RETENTION_JSON   {"proposal": 604800, ...} — same keys; the per-type variables win over it
+
+const DAY = 60 * 60 * 24;
+
+const DEFAULT_RETENTION = {
+  proposal: 14 * DAY,
+  intake: 90 * DAY,
+  proposal_fail: 7 * DAY,
+  session: DAY,
+  accepted: 90 * DAY,
+  analytics: 400 * DAY
+};
+
+const ENV_NAMES = {
+  proposal: "PROPOSAL_TTL_SECONDS",
+  intake: "INTAKE_TTL_SECONDS",
+  proposal_fail: "PROPOSAL_FAIL_TTL_SECONDS",
+  session: "SESSION_TTL_SECONDS",
+  accepted: "ACCEPTED_TTL_SECONDS",
+  analytics: "ANALYTICS_TTL_SECONDS"
+};
+
+export const RECORD_TYPES = Object.keys(DEFAULT_RETENTION);
+
+function positive(n) {
+  const v = Number(n);
+  return Number.isFinite(v) && v > 0 ? Math.floor(v) : null;
+}
+
+function overrides() {
+  try {
+    const o = process.env.RETENTION_JSON ? JSON.parse(process.env.RETENTION_JSON) : null;
+    return o && typeof o === "object" ? o : {};
+  } catch {
+    throw new Error("RETENTION_JSON is not valid JSON");
+  }
+}
+
+export function retentionSeconds(type) {
+  if (!(type in DEFAULT_RETENTION)) throw new Error(`Unknown record type "${type}" (expected ${RECORD_TYPES.join("|")})`);
+  return positive(process.env[ENV_NAMES[type]]) ?? positive(overrides()[type]) ?? DEFAULT_RETENTION[type];
+}
+
+export function retentionPolicy() {
+  return Object.fromEntries(RECORD_TYPES.map((t) => [t, retentionSeconds(t)]));
+}
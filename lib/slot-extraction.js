@@ -0,0 +1,118 @@
+// lib/slot-extraction.js
+// Optional LLM slot extraction for the Zion gate (api/zion.js).
+//
+// Opt-in with env ZION_EXTRACTION_MODE=llm (needs GEMINI_API_KEY). One small structured call per turn
+// pulls goal / industry / buyer / metric out of the user's message. The call is bounded by a hard
+// latency budget; on timeout or any error the caller keeps its deterministic inference.
+//
+// Env:
+//   ZION_EXTRACTION_MODE       deterministic (default) | llm
+//   ZION_EXTRACTION_MODEL      default: gemini-2.5-flash-lite (fast; the proposal model is too slow for chat)
+//   ZION_EXTRACTION_BUDGET_MS  default: 1200
+
+import { GoogleGenAI, Type } from "@google/genai";
+
+const DEFAULT_MODEL = "gemini-2.5-flash-lite";
+const DEFAULT_BUDGET_MS = 1200;
+
+export function extractionMode() {
+  const mode = String(process.env.ZION_EXTRACTION_MODE || "").trim().toLowerCase();
+  return mode === "llm" && process.env.GEMINI_API_KEY ? "llm" : "deterministic";
+}
+
+export function extractionBudgetMs() {
+  const n = Number(process.env.ZION_EXTRACTION_BUDGET_MS);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_BUDGET_MS;
+}
+
+export function extractionModel() {
+  return process.env.ZION_EXTRACTION_MODEL || DEFAULT_MODEL;
+}
+
+function slotSchema({ goals, industries, buyers }) {
+  return {
+    type: Type.OBJECT,
+    properties: {
+      goal: { type: Type.STRING, enum: goals, nullable: true },
+      industry: { type: Type.STRING, enum: industries, nullable: true },
+      buyer: { type: Type.STRING, enum: buyers, nullable: true },
+      metric: {
+        type: Type.STRING,
+        nullable: true,
+        description: "The user's measurable target restated plainly, e.g. \"20 leads per month\", \"$15k revenue\", \"double calls\".",
+      },
+    },
+  };
+}
+
+function buildPrompt(message, stageHint) {
+  return `
+Extract intake slots from a prospect's chat message for a marketing/automation agency.
+Only fill a slot when the message clearly supports it; otherwise return null. Never guess.
+The message answers the question for stage: ${stageHint || "unknown"}.
+
+MESSAGE:
+${message}
+`.trim();
+}
+
+function pick(value, allowed) {
+  const v = typeof value === "string" ? value.trim() : "";
+  if (!v) return "";
+  if (!allowed) return v.slice(0, 160);
+  return allowed.includes(v) ? v : "";
+}
+
+/**
+ * Runs the structured extraction within the latency budget.
+ * Never throws: returns { ok: true, slots, latency_ms } or { ok: false, reason: "timeout" | "error", error, latency_ms }.
+ * `labels` = { goals, industries, buyers } — the label sets the deterministic inference uses, so both paths agree.
+ */
+export async function extractSlots({ message, stageHint, labels, budgetMs = extractionBudgetMs() }) {
+  const t0 = Date.now();
+  const controller = new AbortController();
+  let timer = null;
+
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      resolve({ ok: false, reason: "timeout", error: `exceeded ${budgetMs}ms`, latency_ms: Date.now() - t0 });
+    }, budgetMs);
+  });
+
+  const call = (async () => {
+    try {
+      const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+      const r = await ai.models.generateContent({
+        model: extractionModel(),
+        contents: buildPrompt(message, stageHint),
+        config: {
+          temperature: 0,
+          maxOutputTokens: 200,
+          responseMimeType: "application/json",
+          responseSchema: slotSchema(labels),
+          abortSignal: controller.signal,
+        },
+      });
+      const obj = JSON.parse(String(r?.text || "").trim() || "{}");
+      return {
+        ok: true,
+        slots: {
+          goal: pick(obj.goal, labels.goals),
+          industry: pick(obj.industry, labels.industries),
+          buyer: pick(obj.buyer, labels.buyers),
+          metric: pick(obj.metric),
+        },
+        latency_ms: Date.now() - t0,
+      };
+    } catch (e) {
+      return { ok: false, reason: controller.signal.aborted ? "timeout" : "error", error: e?.message || String(e), latency_ms: Date.now() - t0 };
+    }
+  })();
+
+  try {
+    return await Promise.race([call, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
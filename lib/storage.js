@@ -0,0 +1,368 @@
+// lib/storage.js
+// Shared key-value storage for every endpoint (proposal records, failures, Zion sessions).
+//
+// Backends (STORAGE_BACKEND):
+//   upstash   Vercel KV / Upstash REST /pipeline (default when KV_REST_API_URL + KV_REST_API_TOKEN are set)
+//   memory    in-process Map; for tests and single-process local runs
+//   file      JSON file at STORAGE_FILE (default: <tmpdir>/zion-kv.json); for local dev across processes
+// With no backend configured every call throws StorageError("not_configured"), as the Upstash-only code did.
+//
+// Values are strings; the *Json helpers (de)serialize. TTLs are seconds. kvScan takes a glob with `*`.
+// kvMGetJson reads many keys in MGET batches (MGET_BATCH keys per request) for listings.
+// Hashes (kvHIncr / kvHGetAll) hold counters that are read together, e.g. one day of analytics per key.
+//
+// Env:
+//   STORAGE_BACKEND, STORAGE_FILE
+//   KV_REST_API_URL, KV_REST_API_TOKEN  (upstash)
+
+import { readFileSync, renameSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+export const STORAGE_ERROR_CODES = {
+  NOT_CONFIGURED: "not_configured",
+  UNAVAILABLE: "unavailable", // backend unreachable / HTTP error / unreadable file
+  COMMAND_FAILED: "command_failed" // backend answered with an error for a command
+};
+
+export class StorageError extends Error {
+  constructor(message, { code, backend = null, command = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "StorageError";
+    this.code = code;
+    this.backend = backend;
+    this.command = command;
+  }
+}
+
+// KEYS[1] = key; ARGV = [expectedVersion, valueJson, ttlSeconds]
+const CAS_SCRIPT = `
+local cur = redis.call("GET", KEYS[1])
+local v = 0
+if cur then
+  local ok, rec = pcall(cjson.decode, cur)
+  if ok and type(rec) == "table" and rec.version then v = tonumber(rec.version) or 0 end
+end
+if v ~= tonumber(ARGV[1]) then return 0 end
+redis.call("SET", KEYS[1], ARGV[2], "EX", tonumber(ARGV[3]))
+return 1
+`.trim();
+
+function globToRegExp(pattern) {
+  return new RegExp("^" + pattern.split("*").map((s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*") + "$");
+}
+
+const MGET_BATCH = 100;
+
+function versionOf(raw) {
+  if (!raw) return 0;
+  try { return Number(JSON.parse(raw)?.version) || 0; } catch { return 0; }
+}
+
+// -------------------- Upstash REST --------------------
+function upstashBackend() {
+  const name = "upstash";
+
+  async function pipeline(commands) {
+    const url = process.env.KV_REST_API_URL;
+    const token = process.env.KV_REST_API_TOKEN;
+    if (!url || !token) {
+      throw new StorageError("KV env not set (KV_REST_API_URL / KV_REST_API_TOKEN)", { code: STORAGE_ERROR_CODES.NOT_CONFIGURED, backend: name });
+    }
+
+    const endpoint = url.replace(/\/$/, "") + "/pipeline";
+
+    // IMPORTANT: pipeline expects ARRAY-OF-ARRAYS format, e.g. [ ["GET","key"], ["TTL","key"] ]
+    let r;
+    try {
+      r = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json"
+        },
+        body: JSON.stringify(commands)
+      });
+    } catch (e) {
+      throw new StorageError(`KV unreachable: ${e?.message || e}`, { code: STORAGE_ERROR_CODES.UNAVAILABLE, backend: name, cause: e });
+    }
+
+    const data = await r.json().catch(() => null);
+    if (!r.ok || !Array.isArray(data)) {
+      throw new StorageError(`KV pipeline failed: ${data ? JSON.stringify(data) : `HTTP ${r.status}`}`, { code: STORAGE_ERROR_CODES.UNAVAILABLE, backend: name });
+    }
+    const failed = data.findIndex((d) => d?.error);
+    if (failed !== -1) {
+      const command = commands[failed]?.[0] || null;
+      throw new StorageError(`KV ${command} failed: ${data[failed].error}`, { code: STORAGE_ERROR_CODES.COMMAND_FAILED, backend: name, command });
+    }
+    return data.map((d) => d?.result ?? null);
+  }
+
+  return {
+    name,
+    async get(key) {
+      const [v] = await pipeline([["GET", key]]);
+      return v;
+    },
+    async mget(keys) {
+      const [values] = await pipeline([["MGET", ...keys]]);
+      return Array.isArray(values) ? values : keys.map(() => null);
+    },
+    async set(key, value, ttlSeconds) {
+      await pipeline([ttlSeconds ? ["SET", key, value, "EX", String(ttlSeconds)] : ["SET", key, value]]);
+    },
+    async expire(key, ttlSeconds) {
+      const [n] = await pipeline([["EXPIRE", key, String(ttlSeconds)]]);
+      return Number(n) === 1;
+    },
+    async del(keys) {
+      const [n] = await pipeline([["DEL", ...keys]]);
+      return Number(n) || 0;
+    },
+    async scan(pattern, limit) {
+      const keys = new Set();
+      let cursor = "0";
+      do {
+        const [page] = await pipeline([["SCAN", cursor, "MATCH", pattern, "COUNT", "200"]]);
+        cursor = String(page?.[0] ?? "0");
+        for (const k of page?.[1] || []) keys.add(k);
+      } while (cursor !== "0" && keys.size < limit);
+      return [...keys].slice(0, limit);
+    },
+    async incr(key, ttlSeconds) {
+      // NX: the window starts at the first hit and isn't pushed back by later ones.
+      const [n] = await pipeline([["INCR", key], ["EXPIRE", key, String(ttlSeconds), "NX"]]);
+      return Number(n) || 0;
+    },
+    async hincr(key, fields, ttlSeconds) {
+      await pipeline([...fields.map((f) => ["HINCRBY", key, f, "1"]), ["EXPIRE", key, String(ttlSeconds), "NX"]]);
+    },
+    async hgetall(keys) {
+      // Upstash answers HGETALL with a flat [field, value, field, value, …] list.
+      const pages = await pipeline(keys.map((k) => ["HGETALL", k]));
+      return pages.map((flat) => {
+        const out = {};
+        for (let i = 0; i + 1 < (flat || []).length; i += 2) out[flat[i]] = flat[i + 1];
+        return out;
+      });
+    },
+    async setIfVersion(key, value, expectedVersion, ttlSeconds) {
+      const [ok] = await pipeline([["EVAL", CAS_SCRIPT, "1", key, String(expectedVersion), value, String(ttlSeconds)]]);
+      return Number(ok) === 1;
+    }
+  };
+}
+
+// -------------------- Memory / file --------------------
+// Both keep { [key]: { v, exp } } (exp = epoch ms or null); the file backend reloads/saves it around every call.
+function localBackend(name, load, save) {
+  function live(data, key) {
+    const e = data[key];
+    if (!e) return null;
+    if (e.exp && e.exp <= Date.now()) {
+      delete data[key];
+      return null;
+    }
+    return e;
+  }
+  const expiry = (ttlSeconds) => (ttlSeconds ? Date.now() + Number(ttlSeconds) * 1000 : null);
+
+  return {
+    name,
+    async get(key) {
+      return live(load(), key)?.v ?? null;
+    },
+    async mget(keys) {
+      const data = load();
+      return keys.map((k) => live(data, k)?.v ?? null);
+    },
+    async set(key, value, ttlSeconds) {
+      const data = load();
+      data[key] = { v: String(value), exp: expiry(ttlSeconds) };
+      save(data);
+    },
+    async expire(key, ttlSeconds) {
+      const data = load();
+      const e = live(data, key);
+      if (!e) return false;
+      e.exp = expiry(ttlSeconds);
+      save(data);
+      return true;
+    },
+    async del(keys) {
+      const data = load();
+      let n = 0;
+      for (const k of keys) if (live(data, k) && delete data[k]) n++;
+      save(data);
+      return n;
+    },
+    async scan(pattern, limit) {
+      const data = load();
+      const re = globToRegExp(pattern);
+      return Object.keys(data).filter((k) => re.test(k) && live(data, k)).slice(0, limit);
+    },
+    async incr(key, ttlSeconds) {
+      const data = load();
+      const e = live(data, key);
+      const n = (Number(e?.v) || 0) + 1;
+      data[key] = { v: String(n), exp: e?.exp ?? expiry(ttlSeconds) };
+      save(data);
+      return n;
+    },
+    async hincr(key, fields, ttlSeconds) {
+      const data = load();
+      const e = live(data, key);
+      const h = { ...(e?.h || {}) };
+      for (const f of fields) h[f] = String((Number(h[f]) || 0) + 1);
+      data[key] = { h, exp: e?.exp ?? expiry(ttlSeconds) };
+      save(data);
+    },
+    async hgetall(keys) {
+      const data = load();
+      return keys.map((k) => ({ ...(live(data, k)?.h || {}) }));
+    },
+    async setIfVersion(key, value, expectedVersion, ttlSeconds) {
+      const data = load();
+      if (versionOf(live(data, key)?.v) !== Number(expectedVersion)) return false;
+      data[key] = { v: String(value), exp: expiry(ttlSeconds) };
+      save(data);
+      return true;
+    }
+  };
+}
+
+const memoryData = {};
+
+function memoryBackend() {
+  return localBackend("memory", () => memoryData, () => {});
+}
+
+function fileBackend() {
+  const file = process.env.STORAGE_FILE || join(tmpdir(), "zion-kv.json");
+  const load = () => {
+    let raw;
+    try {
+      raw = readFileSync(file, "utf8");
+    } catch (e) {
+      if (e?.code === "ENOENT") return {};
+      throw new StorageError(`Storage file unreadable: ${e?.message || e}`, { code: STORAGE_ERROR_CODES.UNAVAILABLE, backend: "file", cause: e });
+    }
+    try {
+      return JSON.parse(raw || "{}");
+    } catch (e) {
+      throw new StorageError(`Storage file is not valid JSON: ${file}`, { code: STORAGE_ERROR_CODES.UNAVAILABLE, backend: "file", cause: e });
+    }
+  };
+  const save = (data) => {
+    try {
+      // Write-then-rename so a concurrent reader never sees half a file.
+      const tmp = `${file}.${process.pid}.tmp`;
+      writeFileSync(tmp, JSON.stringify(data));
+      renameSync(tmp, file);
+    } catch (e) {
+      throw new StorageError(`Storage file unwritable: ${e?.message || e}`, { code: STORAGE_ERROR_CODES.UNAVAILABLE, backend: "file", cause: e });
+    }
+  };
+  return localBackend("file", load, save);
+}
+
+const BACKENDS = { upstash: upstashBackend, memory: memoryBackend, file: fileBackend };
+
+export function storageBackendName() {
+  const explicit = String(process.env.STORAGE_BACKEND || "").trim().toLowerCase();
+  if (explicit) return explicit;
+  return process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN ? "upstash" : null;
+}
+
+export function storageEnabled() {
+  return !!BACKENDS[storageBackendName()];
+}
+
+function backend() {
+  const name = storageBackendName();
+  if (!name) {
+    throw new StorageError("Storage not configured (set KV_REST_API_URL / KV_REST_API_TOKEN or STORAGE_BACKEND)", { code: STORAGE_ERROR_CODES.NOT_CONFIGURED });
+  }
+  const make = BACKENDS[name];
+  if (!make) {
+    throw new StorageError(`Unknown STORAGE_BACKEND "${name}" (expected ${Object.keys(BACKENDS).join("|")})`, { code: STORAGE_ERROR_CODES.NOT_CONFIGURED });
+  }
+  return make();
+}
+
+// -------------------- Public API --------------------
+export async function kvGet(key) {
+  return backend().get(key);
+}
+
+// Missing or unparseable values both read as null.
+function parseJson(raw) {
+  if (!raw) return null;
+  try { return JSON.parse(raw); } catch { return null; }
+}
+
+export async function kvGetJson(key) {
+  return parseJson(await kvGet(key));
+}
+
+/**
+ * Values for `keys`, parsed, in the same order (null for missing or unparseable), fetched MGET_BATCH at a time.
+ */
+export async function kvMGetJson(keys) {
+  const out = [];
+  for (let i = 0; i < keys.length; i += MGET_BATCH) {
+    out.push(...(await backend().mget(keys.slice(i, i + MGET_BATCH))).map(parseJson));
+  }
+  return out;
+}
+
+export async function kvSet(key, value, ttlSeconds) {
+  await backend().set(key, String(value), ttlSeconds);
+}
+
+export async function kvSetJson(key, obj, ttlSeconds) {
+  await kvSet(key, JSON.stringify(obj), ttlSeconds);
+}
+
+// Returns false when the key doesn't exist.
+export async function kvExpire(key, ttlSeconds) {
+  return backend().expire(key, ttlSeconds);
+}
+
+// Returns the number of keys removed.
+export async function kvDel(...keys) {
+  if (!keys.length) return 0;
+  return backend().del(keys);
+}
+
+// Atomic counter; the TTL is set when the key is created (fixed-window rate limits, daily aggregates).
+export async function kvIncr(key, ttlSeconds) {
+  return backend().incr(key, ttlSeconds);
+}
+
+/**
+ * Adds 1 to each of `fields` in the hash at `key`, in one round trip; the TTL is set when the hash is created.
+ */
+export async function kvHIncr(key, fields, ttlSeconds) {
+  if (!fields.length) return;
+  await backend().hincr(key, fields, ttlSeconds);
+}
+
+// { field: value } per key, in order ({} for a missing key); one round trip for all of them.
+export async function kvHGetAll(keys) {
+  if (!keys.length) return [];
+  return backend().hgetall(keys);
+}
+
+export async function kvScan(pattern, { limit = 1000 } = {}) {
+  return backend().scan(pattern, limit);
+}
+
+/**
+ * Compare-and-set for JSON records carrying a numeric `version`: writes `obj` only if the stored record's
+ * version equals expectedVersion (a missing key counts as version 0). Returns true when written.
+ */
+export async function kvSetJsonIfVersion(key, obj, expectedVersion, ttlSeconds) {
+  return backend().setIfVersion(key, JSON.stringify(obj), expectedVersion, ttlSeconds);
+}
@@ -0,0 +1,232 @@
+// lib/target-metric.js
+// Parses a lead's "what would make the next 30 days a win" answer into a structured target.
+//
+//   "$15k revenue"            → amount 15000, unit revenue, currency USD
+//   "10–15 jobs a week"       → range 10..15, amount 12.5 (midpoint), period week → target_30d 54
+//   "double our calls"        → relative { type: "multiplier", value: 2 }, unit calls (no absolute target)
+//   "30% more bookings"       → relative { type: "percent", value: 30 }, unit bookings
+//   "20 leads in 60 days"     → amount 20, period 60 days → target_30d 10
+//
+// Everything is normalized to a 30-day window (`target_30d`). When no period is stated the amount is
+// assumed to already be a 30-day figure (that's the question the gate asks) and `period_assumed` is true.
+// Relative-only answers ("double", "+30%") have no baseline, so `target_30d` stays null.
+
+const WINDOW_DAYS = 30;
+
+const PERIOD_DAYS = {
+  day: 1,
+  week: 7,
+  month: 30,
+  quarter: 90,
+  year: 365,
+};
+
+const PERIOD_WORDS = [
+  ["day", /^(?:days?|daily)$/],
+  ["week", /^(?:weeks?|wks?|weekly)$/],
+  ["month", /^(?:months?|mos?|monthly)$/],
+  ["quarter", /^(?:quarters?|quarterly)$/],
+  ["year", /^(?:years?|yrs?|yearly|annually|annual)$/],
+];
+
+const PERIOD_TOKEN = "days?|daily|weeks?|wks?|weekly|months?|mos?|monthly|quarters?|quarterly|years?|yrs?|yearly|annually|annual";
+// Only period nouns open a window ("in 6 months"); "$5k monthly" is a rate, not a 5-month window.
+const WINDOW_TOKEN = "days?|weeks?|wks?|months?|mos?|quarters?|years?|yrs?";
+
+// Earliest match in the text wins, so "booked estimates" → estimates, "booked jobs" → jobs.
+const UNITS = [
+  ["leads", /\bleads?\b/],
+  ["bookings", /\bbookings?\b/],
+  ["estimates", /\bestimates?\b/],
+  ["appointments", /\b(?:appointments?|appts?)\b/],
+  ["calls", /\b(?:calls?|phone calls?)\b/],
+  ["jobs", /\b(?:jobs?|projects?|installs?)\b/],
+  ["customers", /\b(?:customers?|clients?|patients?|sign-?ups?)\b/],
+  ["revenue", /\b(?:revenue|sales|mrr|income|profit)\b/],
+];
+
+const MULTIPLIER_WORDS = [
+  [2, /\b(?:double|twice|2x)\b/],
+  [3, /\b(?:triple|3x)\b/],
+  [4, /\b(?:quadruple|4x)\b/],
+];
+
+const CURRENCY_SYMBOLS = { "$": "USD", "€": "EUR", "£": "GBP" };
+
+const SCALE = { k: 1e3, thousand: 1e3, m: 1e6, mm: 1e6, million: 1e6 };
+
+// [currency symbol] number [scale] — the lookahead stops "10x" or "3rd" from reading as amounts.
+const NUM_RE = /([$€£])?\s?(\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?)\s?(k|mm|m|thousand|million)?(?![\w.])/gi;
+
+function periodFromWord(word) {
+  const w = String(word || "").toLowerCase();
+  for (const [name, re] of PERIOD_WORDS) if (re.test(w)) return name;
+  return null;
+}
+
+function scanNumbers(t) {
+  const out = [];
+  for (const m of t.matchAll(NUM_RE)) {
+    const scaleWord = (m[3] || "").toLowerCase();
+    out.push({
+      index: m.index,
+      end: m.index + m[0].length,
+      value: Number(m[2].replace(/,/g, "")) * (SCALE[scaleWord] || 1),
+      scaled: !!scaleWord,
+      scale: SCALE[scaleWord] || 1,
+      currency: m[1] ? CURRENCY_SYMBOLS[m[1]] : null,
+    });
+  }
+  return out;
+}
+
+function classify(t, n) {
+  const after = t.slice(n.end);
+  const before = t.slice(0, n.index);
+  if (/^\s*%/.test(after) || /^\s*percent\b/.test(after)) return "percent";
+  if (/^\s*(?:x|times)\b/.test(after)) return "multiplier";
+  if (new RegExp(`^\\s*(?:${WINDOW_TOKEN})\\b`).test(after)) return "window";
+  if (/\b(?:in|within|over|next|last|past)\s*$/.test(before) && new RegExp(`^\\s*(?:${WINDOW_TOKEN})\\b`).test(after)) return "window";
+  return "amount";
+}
+
+function detectUnit(t, hasCurrency) {
+  let best = null;
+  for (const [unit, re] of UNITS) {
+    const m = t.match(re);
+    if (m && (best === null || m.index < best.index)) best = { unit, index: m.index };
+  }
+  if (best) return best.unit;
+  return hasCurrency ? "revenue" : "";
+}
+
+function detectRecurringPeriod(t) {
+  const m =
+    t.match(new RegExp(`(?:\\bper|\\ba|\\ban|\\beach|\\bevery|\\bthis|/)\\s*(${PERIOD_TOKEN})\\b`)) ||
+    t.match(/\b(daily|weekly|monthly|quarterly|yearly|annually)\b/);
+  return m ? periodFromWord(m[1]) : null;
+}
+
+function roundTarget(v, unit) {
+  if (v == null || !Number.isFinite(v)) return null;
+  if (unit === "revenue" || v >= 1) return Math.round(v);
+  return Math.round(v * 10) / 10;
+}
+
+/**
+ * Parses a free-text target. Never throws; unparseable text yields nulls with `raw` preserved.
+ */
+export function parseTargetMetric(text) {
+  const raw = String(text ?? "").trim().slice(0, 220);
+  const t = raw.toLowerCase().replace(/[–—]/g, "-");
+
+  const nums = scanNumbers(t);
+  let currency = null;
+  if (/\b(?:usd|dollars?|bucks)\b/.test(t)) currency = "USD";
+  else if (/\b(?:eur|euros?)\b/.test(t)) currency = "EUR";
+  else if (/\b(?:gbp|pounds?)\b/.test(t)) currency = "GBP";
+
+  let relative = null;
+  let windowDays = null;
+  const amounts = [];
+
+  for (const n of nums) {
+    const kind = classify(t, n);
+    if (n.currency) currency = n.currency;
+    if (kind === "percent" && !relative) {
+      const down = /\b(?:less|fewer|down|reduce|cut|lower|drop)\b/.test(t);
+      relative = { type: "percent", value: down ? -n.value : n.value };
+    } else if (kind === "multiplier" && !relative) {
+      relative = { type: "multiplier", value: n.value };
+    } else if (kind === "window") {
+      const unitWord = t.slice(n.end).trim().split(/\s+/)[0];
+      const p = periodFromWord(unitWord);
+      if (p && windowDays == null) windowDays = n.value * PERIOD_DAYS[p];
+    } else if (kind === "amount") {
+      amounts.push(n);
+    }
+  }
+
+  if (!relative) {
+    for (const [value, re] of MULTIPLIER_WORDS) {
+      if (re.test(t)) { relative = { type: "multiplier", value }; break; }
+    }
+  }
+
+  // Range: two amounts joined only by "-", "to" or "and" ("10-15", "between $10k and $15k", "$10-15k").
+  let range = null;
+  let amount = null;
+  const [a, b] = amounts;
+  if (a && b && /^\s*(?:-|to|and)\s*$/.test(t.slice(a.end, b.index))) {
+    const lo = !a.scaled && b.scaled ? a.value * b.scale : a.value;
+    const hi = b.value;
+    range = { min: Math.min(lo, hi), max: Math.max(lo, hi) };
+    amount = (range.min + range.max) / 2;
+  } else if (a) {
+    // "20 more leads" is an increase over an unknown baseline, not an absolute target.
+    if (!relative && /^\s*(?:more|extra|additional)\b/.test(t.slice(a.end))) {
+      relative = { type: "increase", value: a.value };
+    } else {
+      amount = a.value;
+    }
+  }
+
+  const unit = detectUnit(t, !!currency);
+  if (unit === "revenue" && !currency && (amount != null || relative?.type === "increase")) currency = "USD";
+
+  const recurring = detectRecurringPeriod(t);
+  let period = null;
+  let period_days = WINDOW_DAYS;
+  if (recurring) {
+    period = recurring;
+    period_days = PERIOD_DAYS[recurring];
+  } else if (windowDays) {
+    period = "days";
+    period_days = windowDays;
+  }
+
+  const target_30d = amount != null ? roundTarget((amount * WINDOW_DAYS) / period_days, unit) : null;
+
+  return {
+    raw,
+    amount,
+    unit,
+    currency: unit === "revenue" || amount != null ? currency : null,
+    range,
+    relative,
+    period,
+    period_days,
+    period_assumed: !period,
+    target_30d,
+  };
+}
+
+/**
+ * Short label for a relative change: "2x", "+30%", "+20".
+ */
+export function describeChange(relative) {
+  if (!relative) return "";
+  if (relative.type === "multiplier") return `${relative.value}x`;
+  if (relative.type === "percent") return `${relative.value >= 0 ? "+" : ""}${relative.value}%`;
+  return `+${relative.value}`;
+}
+
+function formatAmount(v, currency) {
+  if (v == null) return "";
+  if (!currency) return String(v);
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find((k) => CURRENCY_SYMBOLS[k] === currency) || "";
+  return `${symbol}${Math.round(v).toLocaleString("en-US")}`;
+}
+
+/**
+ * One-line, human-readable summary (used in the proposal prompt), e.g. "54 jobs per 30 days (stated: 10–15 jobs a week)".
+ */
+export function describeTargetMetric(parsed) {
+  if (!parsed) return "";
+  const unit = parsed.unit && parsed.unit !== "revenue" ? ` ${parsed.unit}` : parsed.unit === "revenue" ? " revenue" : "";
+  const parts = [];
+  if (parsed.target_30d != null) parts.push(`${formatAmount(parsed.target_30d, parsed.currency)}${unit} per 30 days`);
+  if (parsed.relative) parts.push(`${describeChange(parsed.relative)}${parsed.target_30d == null ? unit : ""} vs. today`);
+  if (!parts.length) return "";
+  return parsed.raw ? `${parts.join(", ")} (stated: ${parsed.raw})` : parts.join(", ");
+}
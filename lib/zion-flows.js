@@ -0,0 +1,302 @@
+// lib/zion-flows.js
+// Question-flow definitions for the Zion intake gate (api/zion.js).
+//
+// A flow is plain data (JSON-compatible) so new funnels can be added without touching the handler:
+//
+//   {
+//     id: "default",
+//     max_user_inputs_before_intake: 6,      // per-flow safety cap (still bounded by the gate's absolute ceiling)
+//     stages: {
+//       start: { extract: [...], next: "goal" },                       // first message; no question asked yet
+//       goal:  { prompt: { reply, next_question }, extract: [...], next: "business" },
+//       ...
+//     },
+//     capture: { reply, next_question },     // shown when the flow reaches "capture"
+//     locked:  { reply, next_question },     // shown on every turn after capture
+//     locales: { es: { stages: { goal: { prompt, clarify } }, capture, locked } },   // optional translated copy
+//   }
+//
+// Copy is English. Built-in flows get their translations from lib/zion-locales.js; a flow from ZION_FLOWS_JSON
+// can carry its own `locales` (same shape; anything left out stays English).
+//
+// Stage keys:
+//   prompt   what Zion says when the stage is entered (the question the stage's answer responds to)
+//   extract  [{ infer: "<inference name>", fields: { <note field>: "<inference result key>" } }]
+//            Inference names are resolved by the gate (goal | business | metric).
+//   next     stage id, or an ordered list of branches: [{ when: <condition>, to: "<stage>" }, { to: "<fallback>" }]
+//            Conditions test the notes: { field, present: true } | { field, missing: true }
+//                                       { field, equals: value } | { field, in: [values] }
+//   require_any  note fields, at least one of which must be filled for the answer to count
+//                (the first one is the name reported in `missing_fields`)
+//   clarify      { reply, next_question, choices? } re-asked instead of advancing when the answer is a
+//                non-answer or fills none of `require_any`
+//   max_retries  how many times `clarify` may be used on this stage (default 1; the gate caps still apply)
+//
+// Selection: request body `flow`, else env ZION_FLOW, else "default".
+// Extra flows can be supplied per deployment as a JSON array in env ZION_FLOWS_JSON.
+
+export const START_STAGE = "start";
+export const CAPTURE_STAGE = "capture";
+
+const GOAL_EXTRACT = { infer: "goal", fields: { primary_goal: "label", primary_goal_raw: "raw" } };
+const BUSINESS_EXTRACT = { infer: "business", fields: { business_type: "raw", industry: "label", buyer: "buyer" } };
+const METRIC_EXTRACT = {
+  infer: "metric",
+  fields: {
+    target_metric: "raw",
+    target_metric_number: "num",
+    target_metric_unit: "unit",
+    target_metric_change: "change",
+    target_metric_parsed: "parsed",
+  },
+};
+
+const DEFAULT_CAPTURE = {
+  reply: "Perfect. I have enough to generate your executive summary + tiers. Open the intake—two minutes—and I’ll output the plan.",
+  next_question: "Open the intake so I can generate your executive summary and tiers.",
+};
+
+const DEFAULT_LOCKED = {
+  reply: "I’m ready. Complete the intake and I’ll generate your executive summary and tiers.",
+  next_question: "Complete the intake so I can generate your executive summary and tiers.",
+};
+
+// START→GOAL→BUSINESS→METRIC→CAPTURE (the original 3-question gate)
+const DEFAULT_FLOW = {
+  id: "default",
+  max_user_inputs_before_intake: 6,
+  stages: {
+    // If the very first message contains a goal hint, store it but still ask once.
+    start: { extract: [GOAL_EXTRACT], next: "goal" },
+    goal: {
+      prompt: {
+        reply: "Zion online. What is your #1 goal for the next 30 days—leads, booked estimates, or revenue?",
+        next_question: "What is your #1 goal for the next 30 days (leads, booked estimates, or revenue)?",
+      },
+      extract: [GOAL_EXTRACT],
+      require_any: ["primary_goal", "primary_goal_raw"],
+      clarify: {
+        reply: "Pick the one that matters most right now—more leads, more booked estimates, or more revenue?",
+        next_question: "Leads, booked estimates, or revenue?",
+        choices: ["Leads", "Booked estimates", "Revenue"],
+      },
+      next: "business",
+    },
+    business: {
+      prompt: {
+        reply: "Understood. What do you do, and who do you sell to?",
+        next_question: "What do you do, and who is the primary buyer?",
+      },
+      extract: [BUSINESS_EXTRACT],
+      require_any: ["industry"],
+      clarify: {
+        reply: "Quick clarity: which is closest—home services, real estate, legal, healthcare, or e-commerce? And who buys from you?",
+        next_question: "Closest industry (home services, real estate, legal, healthcare, e-commerce) + your buyer?",
+        choices: ["Home Services", "Real Estate", "Legal", "Healthcare", "E-Commerce"],
+      },
+      next: "metric",
+    },
+    metric: {
+      prompt: {
+        reply: "Good. Now set a measurable target. What would make the next 30 days a win—give me a number.",
+        next_question: "What would make the next 30 days a win (e.g., 20 leads, 10 bookings, $15k revenue)?",
+      },
+      extract: [METRIC_EXTRACT],
+      require_any: ["target_metric_number", "target_metric_change"],
+      clarify: {
+        reply: "Give me one number to aim at—something like “20 leads” or “10 bookings”.",
+        next_question: "One number for the next 30 days (e.g., 20 leads, 10 bookings)?",
+      },
+      next: CAPTURE_STAGE,
+    },
+  },
+  capture: DEFAULT_CAPTURE,
+  locked: DEFAULT_LOCKED,
+};
+
+// Trades funnel: asks the trade first, only asks about the buyer when it wasn't volunteered.
+const HOME_SERVICES_FLOW = {
+  id: "home_services",
+  max_user_inputs_before_intake: 5,
+  stages: {
+    start: { extract: [GOAL_EXTRACT, BUSINESS_EXTRACT], next: "trade" },
+    trade: {
+      prompt: {
+        reply: "Zion online. What trade are you in, and what area do you serve?",
+        next_question: "What trade are you in (roofing, HVAC, plumbing…) and what area do you serve?",
+      },
+      extract: [BUSINESS_EXTRACT],
+      require_any: ["industry"],
+      clarify: {
+        reply: "Which trade is it—roofing, HVAC, plumbing, electrical, or landscaping?",
+        next_question: "Roofing, HVAC, plumbing, electrical, or landscaping?",
+        choices: ["Roofing", "HVAC", "Plumbing", "Electrical", "Landscaping"],
+      },
+      next: [
+        { when: { field: "buyer", missing: true }, to: "buyer" },
+        { to: "metric" },
+      ],
+    },
+    buyer: {
+      prompt: {
+        reply: "Got it. Who pays the invoice—homeowners, builders, or property managers?",
+        next_question: "Who is your main buyer (homeowners, builders, property managers)?",
+      },
+      extract: [{ infer: "business", fields: { buyer: "buyer" } }],
+      next: "metric",
+    },
+    metric: {
+      prompt: {
+        reply: "Good. How many booked jobs a month would make the next 30 days a win?",
+        next_question: "How many booked jobs in the next 30 days would be a win (e.g., 15 jobs)?",
+      },
+      extract: [METRIC_EXTRACT],
+      require_any: ["target_metric_number", "target_metric_change"],
+      clarify: {
+        reply: "Give me a job count—for example “15 jobs”.",
+        next_question: "How many booked jobs (e.g., 15 jobs)?",
+      },
+      next: CAPTURE_STAGE,
+    },
+  },
+  capture: DEFAULT_CAPTURE,
+  locked: DEFAULT_LOCKED,
+};
+
+const BUILTIN_FLOWS = [DEFAULT_FLOW, HOME_SERVICES_FLOW];
+
+function isObj(x) {
+  return !!x && typeof x === "object" && !Array.isArray(x);
+}
+
+function validatePrompt(p, path, errors) {
+  if (!isObj(p) || typeof p.reply !== "string" || !p.reply.trim()) errors.push(`${path}.reply must be a non-empty string`);
+  else if (p.next_question != null && typeof p.next_question !== "string") errors.push(`${path}.next_question must be a string`);
+  else if (p.choices != null && !(Array.isArray(p.choices) && p.choices.every((c) => typeof c === "string"))) {
+    errors.push(`${path}.choices must be an array of strings`);
+  }
+}
+
+function stageTargets(next) {
+  if (typeof next === "string") return [next];
+  if (Array.isArray(next)) return next.map((b) => (isObj(b) ? b.to : undefined));
+  return [undefined];
+}
+
+/**
+ * Structural check of a flow definition. Returns a list of error strings (empty when valid).
+ * `inferences` is the list of inference names the gate can run.
+ */
+export function validateFlow(flow, inferences = []) {
+  const errors = [];
+  if (!isObj(flow)) return ["flow must be an object"];
+  if (typeof flow.id !== "string" || !flow.id.trim()) errors.push("id must be a non-empty string");
+
+  const cap = flow.max_user_inputs_before_intake;
+  if (cap != null && !(Number.isInteger(cap) && cap > 0)) errors.push("max_user_inputs_before_intake must be a positive integer");
+
+  if (!isObj(flow.stages)) return [...errors, "stages must be an object"];
+  if (!flow.stages[START_STAGE]) errors.push(`stages.${START_STAGE} is required`);
+  if (flow.stages[CAPTURE_STAGE]) errors.push(`stages.${CAPTURE_STAGE} is reserved`);
+
+  for (const [id, stage] of Object.entries(flow.stages)) {
+    const path = `stages.${id}`;
+    if (!isObj(stage)) { errors.push(`${path} must be an object`); continue; }
+    if (id !== START_STAGE) validatePrompt(stage.prompt, `${path}.prompt`, errors);
+
+    for (const [i, ex] of (Array.isArray(stage.extract) ? stage.extract : []).entries()) {
+      if (!isObj(ex) || !inferences.includes(ex.infer)) errors.push(`${path}.extract[${i}].infer must be one of ${inferences.join("|")}`);
+      else if (!isObj(ex.fields)) errors.push(`${path}.extract[${i}].fields must be an object`);
+    }
+    if (stage.extract != null && !Array.isArray(stage.extract)) errors.push(`${path}.extract must be an array`);
+
+    if (stage.require_any != null) {
+      if (!Array.isArray(stage.require_any) || !stage.require_any.length || !stage.require_any.every((f) => typeof f === "string")) {
+        errors.push(`${path}.require_any must be a non-empty array of field names`);
+      }
+    }
+    if (stage.clarify != null) validatePrompt(stage.clarify, `${path}.clarify`, errors);
+    if (stage.max_retries != null && !(Number.isInteger(stage.max_retries) && stage.max_retries >= 0)) {
+      errors.push(`${path}.max_retries must be a non-negative integer`);
+    }
+
+    for (const to of stageTargets(stage.next)) {
+      if (to !== CAPTURE_STAGE && (typeof to !== "string" || !flow.stages[to] || to === START_STAGE)) {
+        errors.push(`${path}.next points at unknown stage "${to}"`);
+      }
+    }
+  }
+
+  validatePrompt(flow.capture, "capture", errors);
+  validatePrompt(flow.locked, "locked", errors);
+  return errors;
+}
+
+function deploymentFlows() {
+  const raw = process.env.ZION_FLOWS_JSON;
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch {
+    throw new Error("ZION_FLOWS_JSON is not valid JSON");
+  }
+}
+
+/**
+ * All known flows keyed by id. Deployment flows (ZION_FLOWS_JSON) override built-ins with the same id.
+ */
+export function loadFlows() {
+  const out = {};
+  for (const f of [...BUILTIN_FLOWS, ...deploymentFlows()]) {
+    if (isObj(f) && typeof f.id === "string") out[f.id] = f;
+  }
+  return out;
+}
+
+export function defaultFlowId() {
+  return String(process.env.ZION_FLOW || DEFAULT_FLOW.id).trim();
+}
+
+// Branch conditions over notes (see header).
+function matches(when, notes) {
+  if (!isObj(when)) return true;
+  const v = notes[when.field];
+  if (when.present === true && !present(v)) return false;
+  if (when.missing === true && present(v)) return false;
+  if ("equals" in when && v !== when.equals) return false;
+  if (Array.isArray(when.in) && !when.in.includes(v)) return false;
+  return true;
+}
+
+function present(v) {
+  return v != null && v !== "";
+}
+
+/**
+ * True when the notes hold at least one of the stage's `require_any` fields (or it has none).
+ */
+export function stageSatisfied(stage, notes) {
+  const req = Array.isArray(stage?.require_any) ? stage.require_any : [];
+  return !req.length || req.some((f) => present(notes[f]));
+}
+
+/**
+ * Note fields the flow still needs, one per unsatisfied stage (its first `require_any` field).
+ */
+export function missingFields(flow, notes) {
+  return Object.values(flow.stages)
+    .filter((stage) => !stageSatisfied(stage, notes))
+    .map((stage) => stage.require_any[0]);
+}
+
+/**
+ * Resolves a stage's `next` against the current notes.
+ */
+export function resolveNext(next, notes) {
+  if (typeof next === "string") return next;
+  for (const branch of Array.isArray(next) ? next : []) {
+    if (isObj(branch) && matches(branch.when, notes)) return branch.to;
+  }
+  return CAPTURE_STAGE;
+}
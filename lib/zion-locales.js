@@ -0,0 +1,208 @@
+// lib/zion-locales.js
+// Per-locale copy and vocabulary for the Zion gate (api/zion.js). English is the base: flows (lib/zion-flows.js)
+// are written in English and the keyword lists below reproduce the gate's original English matching.
+//
+// - CATALOGS[locale][flow id] = { stages: { <id>: { prompt, clarify } }, capture, locked } replaces the copy of a
+//   built-in flow. A deployment flow (ZION_FLOWS_JSON) can carry its own `locales: { es: { …same shape… } }`.
+//   Stages / prompts a catalog leaves out stay in English.
+// - Keyword tables map free text to the gate's canonical labels ("Leads", "Home Services", "Homeowners", …). The
+//   labels stay English in every locale so notes, lead scoring and the CRM see one vocabulary. A non-English
+//   session matches its own list first and the English one when that finds nothing (people mix: "quiero más leads").
+//
+// Matching is on whole words of the folded text (lowercase, no accents; lib/locale.js foldText), in table order;
+// a keyword ending in "*" is a stem and matches any word starting with it.
+
+import { DEFAULT_LOCALE, foldText } from "./locale.js";
+
+const NON_ANSWERS = {
+  en: ["idk", "i dont know", "not sure", "help", "how", "ok", "okay", "sounds good", "yes", "yep", "yeah", "cool"],
+  es: ["no se", "nose", "ni idea", "no estoy seguro", "no estoy segura", "ayuda", "como", "ok", "vale", "si", "claro",
+    "bueno", "dale", "listo", "perfecto", "de acuerdo"]
+};
+
+export const GOAL_KEYWORDS = [
+  { label: "Leads", en: ["lead*"], es: ["prospecto*", "clientes potenciales", "clientes nuevos", "mas clientes", "contacto*"] },
+  { label: "Sales", en: ["sale*", "revenue"], es: ["venta*", "vender", "ingreso*", "facturacion"] },
+  {
+    label: "Bookings",
+    en: ["book*", "estimate*", "appointment*"],
+    es: ["cita*", "reserva*", "agendar", "agenda*", "presupuesto*", "cotizacion*"]
+  },
+  { label: "Follow-up", en: ["follow*", "nurture*", "automation*"], es: ["seguimiento", "automatiz*"] },
+  { label: "SEO / Visibility", en: ["seo", "rank*", "google"], es: ["posicionamiento", "buscador*", "visibilidad"] },
+  { label: "Content", en: ["content", "post*", "social"], es: ["contenido*", "publicacion*", "redes"] }
+];
+
+export const INDUSTRY_KEYWORDS = [
+  { label: "Landscaping / Outdoor", en: ["landscap*", "lawn*"], es: ["jardin*", "paisaj*", "cesped", "poda"] },
+  {
+    label: "Home Services",
+    en: ["home service*", "roof*", "hvac", "plumb*", "electric*", "contract*"],
+    es: ["servicios para el hogar", "techo*", "tejado*", "plomer*", "fontaner*", "aire acondicionado", "climatiz*",
+      "contratista*", "remodel*", "construc*"]
+  },
+  { label: "Real Estate", en: ["real estate", "realtor*"], es: ["bienes raices", "inmobiliari*"] },
+  { label: "Legal", en: ["law", "lawyer*", "attorney*"], es: ["abogad*", "bufete*", "juridic*", "legal*"] },
+  {
+    label: "Healthcare",
+    en: ["clinic*", "med", "medical", "medicine", "medspa", "dental", "dentist*"],
+    es: ["clinica*", "dentista*", "salud", "consultorio*", "medic*"]
+  },
+  {
+    label: "E-Commerce",
+    en: ["ecom*", "e-commerce", "shopify", "store*"],
+    es: ["tienda en linea", "tienda online", "comercio electronico"]
+  }
+];
+
+export const BUYER_KEYWORDS = [
+  { label: "Homeowners", en: ["homeowner*"], es: ["propietario*", "dueno de casa", "duenos de casa", "hogares"] },
+  { label: "Businesses", en: ["b2b", "business*"], es: ["empresa*", "negocio*", "comercios"] },
+  { label: "Consumers", en: ["consumer*", "customer*"], es: ["consumidor*", "cliente*", "particulares"] }
+];
+
+// "plumb*" matches "plumber" and "plumbing"; "cita" matches the word "cita" only (not "solicita").
+function keywordRegExp(word) {
+  const stem = word.endsWith("*");
+  const body = (stem ? word.slice(0, -1) : word).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(?<![a-z0-9])${body}${stem ? "" : "(?![a-z0-9])"}`);
+}
+
+const keywordCache = new Map();
+
+function hasKeyword(text, word) {
+  if (!keywordCache.has(word)) keywordCache.set(word, keywordRegExp(word));
+  return keywordCache.get(word).test(text);
+}
+
+// First label in table order whose `locale` keywords occur in the folded text; "" when none.
+function firstMatch(table, t, locale) {
+  return table.find((entry) => (entry[locale] || []).some((w) => hasKeyword(t, w)))?.label || "";
+}
+
+/**
+ * First label in `table` whose keywords occur in `text` as words (or word starts, for "stem*" keywords).
+ * A non-English session tries its own list first and falls back to English only when that finds nothing.
+ */
+export function matchLabel(table, text, locale = DEFAULT_LOCALE) {
+  const t = foldText(text);
+  if (!t) return "";
+  return (locale !== DEFAULT_LOCALE && firstMatch(table, t, locale)) || firstMatch(table, t, DEFAULT_LOCALE);
+}
+
+// Whole-message non-answers ("idk", "no sé", "ok") in the session's language or English.
+export function isNonAnswer(text, locale = DEFAULT_LOCALE) {
+  const t = foldText(text).trim();
+  if (!t) return true;
+  return NON_ANSWERS.en.includes(t) || (NON_ANSWERS[locale] || []).includes(t);
+}
+
+// -------------------- Copy catalogs --------------------
+const ES_CAPTURE = {
+  reply: "Perfecto. Tengo lo necesario para generar tu resumen ejecutivo y los niveles de servicio. Abre el formulario—dos minutos—y te entrego el plan.",
+  next_question: "Abre el formulario para que genere tu resumen ejecutivo y los niveles de servicio.",
+};
+
+const ES_LOCKED = {
+  reply: "Estoy listo. Completa el formulario y generaré tu resumen ejecutivo y los niveles de servicio.",
+  next_question: "Completa el formulario para que genere tu resumen ejecutivo y los niveles de servicio.",
+};
+
+const ES_METRIC_CLARIFY = {
+  reply: "Dame un número como meta—algo como “20 prospectos” o “10 citas”.",
+  next_question: "Un número para los próximos 30 días (p. ej., 20 prospectos, 10 citas)?",
+};
+
+const CATALOGS = {
+  es: {
+    default: {
+      stages: {
+        goal: {
+          prompt: {
+            reply: "Zion en línea. ¿Cuál es tu objetivo #1 para los próximos 30 días: prospectos, citas agendadas o ingresos?",
+            next_question: "¿Cuál es tu objetivo #1 para los próximos 30 días (prospectos, citas o ingresos)?",
+          },
+          clarify: {
+            reply: "Elige lo que más importa ahora mismo: más prospectos, más citas agendadas o más ingresos.",
+            next_question: "¿Prospectos, citas o ingresos?",
+            choices: ["Más clientes nuevos", "Citas agendadas", "Ingresos"],
+          },
+        },
+        business: {
+          prompt: {
+            reply: "Entendido. ¿A qué te dedicas y a quién le vendes?",
+            next_question: "¿A qué te dedicas y quién es tu comprador principal?",
+          },
+          clarify: {
+            reply: "Para ubicarte: ¿qué se parece más—servicios para el hogar, bienes raíces, legal, salud o tienda en línea? ¿Y quién te compra?",
+            next_question: "¿Industria más cercana (hogar, bienes raíces, legal, salud, tienda en línea) y tu comprador?",
+            choices: ["Servicios para el hogar", "Bienes raíces", "Legal", "Salud", "Tienda en línea"],
+          },
+        },
+        metric: {
+          prompt: {
+            reply: "Bien. Ahora pon una meta medible. ¿Qué haría de los próximos 30 días un éxito? Dame un número.",
+            next_question: "¿Qué haría de los próximos 30 días un éxito (p. ej., 20 prospectos, 10 citas, $15k en ingresos)?",
+          },
+          clarify: ES_METRIC_CLARIFY,
+        },
+      },
+      capture: ES_CAPTURE,
+      locked: ES_LOCKED,
+    },
+    home_services: {
+      stages: {
+        trade: {
+          prompt: {
+            reply: "Zion en línea. ¿En qué oficio trabajas y qué zona atiendes?",
+            next_question: "¿Qué oficio tienes (techos, climatización, plomería…) y qué zona atiendes?",
+          },
+          clarify: {
+            reply: "¿Qué oficio es—techos, climatización, plomería, electricidad o jardinería?",
+            next_question: "¿Techos, climatización, plomería, electricidad o jardinería?",
+            choices: ["Techos", "Climatización", "Plomería", "Electricidad", "Jardinería"],
+          },
+        },
+        buyer: {
+          prompt: {
+            reply: "Entendido. ¿Quién paga la factura—propietarios, constructoras o administradores de propiedades?",
+            next_question: "¿Quién es tu comprador principal (propietarios, constructoras, administradores)?",
+          },
+        },
+        metric: {
+          prompt: {
+            reply: "Bien. ¿Cuántos trabajos agendados al mes harían de los próximos 30 días un éxito?",
+            next_question: "¿Cuántos trabajos agendados en los próximos 30 días serían un éxito (p. ej., 15 trabajos)?",
+          },
+          clarify: {
+            reply: "Dame un número de trabajos—por ejemplo “15 trabajos”.",
+            next_question: "¿Cuántos trabajos agendados (p. ej., 15 trabajos)?",
+          },
+        },
+      },
+      capture: ES_CAPTURE,
+      locked: ES_LOCKED,
+    },
+  },
+};
+
+/**
+ * The flow with its copy in `locale` (a new object; the flow is not mutated). Unknown locales, and flows
+ * without a catalog for the locale, come back unchanged.
+ */
+export function localizeFlow(flow, locale) {
+  if (!locale || locale === DEFAULT_LOCALE) return flow;
+  const copy = flow.locales?.[locale] || CATALOGS[locale]?.[flow.id];
+  if (!copy) return flow;
+
+  const out = { ...flow, stages: { ...flow.stages } };
+  for (const [id, texts] of Object.entries(copy.stages || {})) {
+    if (!out.stages[id]) continue;
+    out.stages[id] = { ...out.stages[id] };
+    if (texts.prompt) out.stages[id].prompt = texts.prompt;
+    if (texts.clarify) out.stages[id].clarify = texts.clarify;
+  }
+  if (copy.capture) out.capture = copy.capture;
+  if (copy.locked) out.locked = copy.locked;
+  return out;
+}
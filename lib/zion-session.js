@@ -0,0 +1,37 @@
+// lib/zion-session.js
+// Server-side Zion gate sessions (lib/storage.js), shared by /api/zion and /api/intake.
+//
+// Notes live server-side, keyed by session_id, so clients only need to send
+// { message, session_id }. Each record carries a version; writes are a
+// compare-and-set on that version so two concurrent turns can't clobber each other.
+//
+// Storage: see lib/storage.js (Upstash in production; memory/file backends for local runs).
+// Sessions expire after retentionSeconds("session") of inactivity (lib/retention.js, default 24h).
+
+import { kvGetJson, kvSetJsonIfVersion, storageEnabled } from "./storage.js";
+import { retentionSeconds } from "./retention.js";
+
+export const SESSION_CAS_RETRIES = 2;
+const SESSION_KEY_PREFIX = "zion_session:";
+
+export function sessionStoreEnabled() {
+  return storageEnabled();
+}
+
+function safeObj(x, fallback = {}) {
+  return x && typeof x === "object" && !Array.isArray(x) ? x : fallback;
+}
+
+export async function loadSession(session_id) {
+  const rec = await kvGetJson(SESSION_KEY_PREFIX + session_id);
+  if (!rec) return { version: 0, notes: null };
+  return { version: Number(rec.version) || 0, notes: safeObj(rec.notes, null) };
+}
+
+// Returns the new version, or null if someone else wrote first.
+export async function saveSession(session_id, notes, expectedVersion) {
+  const version = expectedVersion + 1;
+  const rec = { version, updated_at: new Date().toISOString(), notes };
+  const ok = await kvSetJsonIfVersion(SESSION_KEY_PREFIX + session_id, rec, expectedVersion, retentionSeconds("session"));
+  return ok ? version : null;
+}
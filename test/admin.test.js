@@ -0,0 +1,146 @@
+// test/admin.test.js
+// Operator endpoints: bearer auth, lead listing and filters, failures with raw output, retry and delete.
+
+import { afterEach, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { isAdminRequest } from "../lib/admin-auth.js";
+import { kvSetJson } from "../lib/storage.js";
+import { loadProposalRecord, saveNewProposalRecord } from "../lib/proposal-records.js";
+import leadsHandler from "../api/admin/leads.js";
+import failuresHandler from "../api/admin/failures.js";
+import proposalHandler from "../api/admin/proposal.js";
+import { callHandler } from "./support/http.js";
+
+process.env.STORAGE_BACKEND = "memory";
+process.env.PROPOSAL_TOKEN_SECRET = "test-secret";
+process.env.PROPOSAL_PROVIDER = "mock";
+process.env.ADMIN_TOKEN = "admin-secret";
+
+const AUTH = { authorization: "Bearer admin-secret" };
+
+function lead(pid, created_at, intake, extra = {}) {
+  return { pid, created_at, status: "ready", status_updated_at: created_at, intake, proposal: { tiers: [] }, version: 1, ...extra };
+}
+
+before(async () => {
+  await saveNewProposalRecord(lead("LAW0000000000000000000001", "2026-01-05T10:00:00.000Z", {
+    email: "ann@law.test", full_name: "Ann Lee", business_name: "Lee Law", industry: "Law", primary_goal: "More Leads"
+  }));
+  await saveNewProposalRecord(lead("PLB0000000000000000000002", "2026-02-10T10:00:00.000Z", {
+    email: "bo@pipes.test", full_name: "Bo Diaz", business_name: "Diaz Pipes", industry: "Home Services", primary_goal: "Better Follow-up"
+  }, { status: "failed", error: "Generation failed" }));
+  await kvSetJson("proposal_fail:PLB0000000000000000000002", {
+    pid: "PLB0000000000000000000002",
+    created_at: "2026-02-10T10:00:05.000Z",
+    intake: { email: "bo@pipes.test", business_name: "Diaz Pipes" },
+    error: "schema validation failed",
+    raw1: "{not json",
+    raw2: "{still not json",
+    validation_errors: ["tiers must be an array"]
+  });
+});
+
+afterEach(() => {
+  delete process.env.CRON_SECRET;
+});
+
+test("admin auth accepts ADMIN_TOKEN or CRON_SECRET as a bearer token and nothing else", () => {
+  process.env.CRON_SECRET = "cron-secret";
+  const as = (authorization) => isAdminRequest({ headers: authorization ? { authorization } : {} });
+  assert.equal(as("Bearer admin-secret"), true);
+  assert.equal(as("Bearer cron-secret"), true);
+  assert.equal(as("Bearer admin-secre"), false);
+  assert.equal(as("admin-secret"), false);
+  assert.equal(as(""), false);
+});
+
+test("with no secrets configured every admin request is refused", () => {
+  const saved = process.env.ADMIN_TOKEN;
+  delete process.env.ADMIN_TOKEN;
+  try {
+    assert.equal(isAdminRequest({ headers: { authorization: "Bearer " } }), false);
+    assert.equal(isAdminRequest({ headers: { authorization: "Bearer undefined" } }), false);
+  } finally {
+    process.env.ADMIN_TOKEN = saved;
+  }
+});
+
+test("every admin endpoint answers 401 without a token", async () => {
+  for (const [handler, url] of [[leadsHandler, "/api/admin/leads"], [failuresHandler, "/api/admin/failures"], [proposalHandler, "/api/admin/proposal?pid=X"]]) {
+    const r = await callHandler(handler, { method: "GET", url });
+    assert.equal(r.status, 401, url);
+  }
+});
+
+test("leads are listed newest first and filtered by date, industry, goal, status and search", async () => {
+  const list = async (qs) => (await callHandler(leadsHandler, { method: "GET", url: `/api/admin/leads?${qs}`, headers: AUTH })).json;
+
+  const all = await list("");
+  assert.deepEqual(all.leads.map((l) => l.business_name), ["Diaz Pipes", "Lee Law"]);
+  assert.equal(all.leads[0].has_failure, true);
+
+  assert.deepEqual((await list("from=2026-02-01")).leads.map((l) => l.pid), ["PLB0000000000000000000002"]);
+  assert.deepEqual((await list("to=2026-01-05")).leads.map((l) => l.pid), ["LAW0000000000000000000001"]);
+  assert.equal((await list("industry=law")).count, 1);
+  assert.equal((await list("goal=Better%20Follow-up")).count, 1);
+  assert.equal((await list("status=failed")).leads[0].email, "bo@pipes.test");
+  assert.equal((await list("q=lee")).leads[0].full_name, "Ann Lee");
+
+  const invalid = await callHandler(leadsHandler, { method: "GET", url: "/api/admin/leads?status=lost", headers: AUTH });
+  assert.equal(invalid.status, 400);
+});
+
+test("failures are listed without raw output and read one at a time with it", async () => {
+  const list = await callHandler(failuresHandler, { method: "GET", url: "/api/admin/failures", headers: AUTH });
+  assert.equal(list.json.count, 1);
+  assert.deepEqual(list.json.failures[0], {
+    pid: "PLB0000000000000000000002",
+    created_at: "2026-02-10T10:00:05.000Z",
+    business_name: "Diaz Pipes",
+    email: "bo@pipes.test",
+    error: "schema validation failed",
+    validation_errors: 1,
+    has_raw: true
+  });
+  assert.equal(list.body.includes("{not json"), false);
+
+  const one = await callHandler(failuresHandler, { method: "GET", url: "/api/admin/failures?pid=PLB0000000000000000000002", headers: AUTH });
+  assert.equal(one.json.failure.raw1, "{not json");
+  assert.equal(one.json.failure.raw2, "{still not json");
+});
+
+test("the full record comes with a signed view link on the request host", async () => {
+  const r = await callHandler(proposalHandler, {
+    method: "GET",
+    url: "/api/admin/proposal?pid=LAW0000000000000000000001",
+    headers: { ...AUTH, host: "lumen.example" }
+  });
+  assert.equal(r.status, 200);
+  assert.equal(r.json.record.intake.email, "ann@law.test");
+  assert.match(r.json.view_url, /^https:\/\/lumen\.example\/summary\?pid=LAW0000000000000000000001&token=/);
+});
+
+test("retry restarts a failed generation and clears its failure", async () => {
+  const r = await callHandler(leadsHandler, { headers: AUTH, body: { action: "retry", pid: "PLB0000000000000000000002" } });
+  assert.equal(r.status, 202);
+  assert.equal(r.json.status, "pending");
+
+  const failures = await callHandler(failuresHandler, { method: "GET", url: "/api/admin/failures", headers: AUTH });
+  assert.equal(failures.json.count, 0);
+
+  const missing = await callHandler(leadsHandler, { headers: AUTH, body: { action: "retry", pid: "NOPE" } });
+  assert.equal(missing.status, 404);
+});
+
+test("delete removes a lead's records and a second delete is a 404", async () => {
+  const pid = "LAW0000000000000000000001";
+  const r = await callHandler(leadsHandler, { headers: AUTH, body: { action: "delete", pid } });
+  assert.equal(r.status, 200);
+  assert.equal(r.json.removed, 2);
+  assert.equal(await loadProposalRecord(pid), null);
+
+  const again = await callHandler(leadsHandler, { headers: AUTH, body: { action: "delete", pid } });
+  assert.equal(again.status, 404);
+  const bad = await callHandler(leadsHandler, { headers: AUTH, body: { action: "archive", pid } });
+  assert.equal(bad.status, 400);
+});
@@ -0,0 +1,95 @@
+// test/analytics.test.js
+// Funnel counters and report, and the browser beacon: pid-scoped events need the proposal's view token.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { backfillIndustry, dayKey, funnelReport, trackEvent } from "../lib/analytics.js";
+import { signViewToken } from "../lib/proposal-access.js";
+import eventsHandler from "../api/events.js";
+import { callHandler } from "./support/http.js";
+
+process.env.STORAGE_BACKEND = "memory";
+process.env.RATE_LIMITS_DISABLED = "1";
+process.env.PROPOSAL_TOKEN_SECRET = "test-secret";
+
+function stepCount(funnel, event) {
+  return funnel.find((s) => s.event === event)?.count ?? 0;
+}
+
+test("events are counted once per visitor, with source, industry and variant breakdowns", async () => {
+  const at = new Date("2025-03-01T12:00:00Z");
+  const dims = { source: "Lumen Landing — Zion Intake", industry: "Law", variant: "opener.b", at };
+  assert.equal(await trackEvent("chat_started", { id: "v1", ...dims }), true);
+  assert.equal(await trackEvent("chat_started", { id: "v1", ...dims }), false);
+  assert.equal(await trackEvent("chat_started", { id: "v2", source: "ads", at }), true);
+  assert.equal(await trackEvent("intake_submitted", { id: "v1", ...dims }), true);
+  assert.equal(await trackEvent("Bad Event!", { id: "v3", at }), false);
+
+  const r = await funnelReport({ from: "2025-03-01", to: "2025-03-01" });
+  assert.equal(stepCount(r.funnel, "chat_started"), 2);
+  assert.equal(stepCount(r.funnel, "intake_submitted"), 1);
+  assert.equal(r.funnel.find((s) => s.event === "intake_submitted").rate_from_start, 0.5);
+  assert.equal(stepCount(r.by_source["lumen-landing-zion-intake"], "chat_started"), 1);
+  assert.equal(stepCount(r.by_industry.law, "intake_submitted"), 1);
+  assert.deepEqual(r.experiments, [
+    { variant: "opener.b", chats: 1, submitted: 1, accepted: 0, submit_rate: 1, accept_rate: 0 }
+  ]);
+});
+
+test("backfillIndustry counts a visitor's earlier steps under the industry learned later", async () => {
+  await trackEvent("chat_started", { id: "late-industry" });
+  await trackEvent("stage_goal", { id: "late-industry" });
+  await backfillIndustry("late-industry", "Dental", ["chat_started", "stage_goal", "stage_business"]);
+
+  const today = dayKey();
+  const r = await funnelReport({ from: today, to: today });
+  assert.equal(stepCount(r.by_industry.dental, "chat_started"), 1);
+  assert.equal(stepCount(r.by_industry.dental, "stage_goal"), 1);
+  assert.equal(stepCount(r.by_industry.dental, "stage_business"), 0);
+});
+
+test("report ranges must be ordered dates within the limit", async () => {
+  await assert.rejects(funnelReport({ from: "2025-03-02", to: "2025-03-01" }), /must not be after/);
+  await assert.rejects(funnelReport({ from: "2025-01-01", to: "2025-12-31" }), /limited to 92 days/);
+  await assert.rejects(funnelReport({ from: "March", to: "2025-03-01" }), /YYYY-MM-DD/);
+});
+
+test("summary_viewed needs the pid's view token and is not counted without it", async () => {
+  const pid = "VIEWED000000000000000001";
+  const today = dayKey();
+  const before = stepCount((await funnelReport({ from: today, to: today })).funnel, "summary_viewed");
+
+  const missing = await callHandler(eventsHandler, { body: { event: "summary_viewed", pid } });
+  assert.equal(missing.status, 401);
+  assert.equal(missing.json.code, "invalid_token");
+  const forged = await callHandler(eventsHandler, { body: { event: "summary_viewed", pid, token: signViewToken("OTHER").token } });
+  assert.equal(forged.status, 401);
+  const expired = await callHandler(eventsHandler, {
+    body: { event: "summary_viewed", pid, token: signViewToken(pid, { ttlSeconds: 60, now: Date.now() - 120_000 }).token }
+  });
+  assert.equal(expired.json.code, "token_expired");
+  assert.equal(stepCount((await funnelReport({ from: today, to: today })).funnel, "summary_viewed"), before);
+
+  const { token } = signViewToken(pid);
+  assert.equal((await callHandler(eventsHandler, { body: { event: "summary_viewed", pid, token } })).status, 204);
+  assert.equal((await callHandler(eventsHandler, { body: { event: "summary_viewed", pid, token } })).status, 204);
+  assert.equal(stepCount((await funnelReport({ from: today, to: today })).funnel, "summary_viewed"), before + 1);
+});
+
+test("summary_viewed without a pid and unknown events are rejected", async () => {
+  const noPid = await callHandler(eventsHandler, { body: { event: "summary_viewed", session_id: "sess-x" } });
+  assert.equal(noPid.status, 400);
+  assert.deepEqual(noPid.json.errors.map((e) => e.field), ["pid"]);
+
+  const unknown = await callHandler(eventsHandler, { body: { event: "proposal_accepted", session_id: "sess-x" } });
+  assert.equal(unknown.status, 400);
+  assert.deepEqual(unknown.json.errors.map((e) => e.field), ["event"]);
+});
+
+test("intake_opened is counted per session without a token", async () => {
+  const r = await callHandler(eventsHandler, { body: JSON.stringify({ event: "intake_opened", session_id: "sess-open", source: "ads" }) });
+  assert.equal(r.status, 204);
+  const today = dayKey();
+  const report = await funnelReport({ from: today, to: today });
+  assert.equal(stepCount(report.by_source.ads, "intake_opened"), 1);
+});
@@ -0,0 +1,48 @@
+// test/crm-fields.test.js
+// Proposal links in CRM payloads: origin from PUBLIC_BASE_URL or the request host, never the client's page_url.
+
+import { afterEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { buildGHLPayload } from "../lib/ghl.js";
+import { proposalUrl } from "../lib/crm-fields.js";
+import { requestOrigin } from "../lib/guard.js";
+import { verifyViewToken } from "../lib/proposal-access.js";
+
+process.env.PROPOSAL_TOKEN_SECRET = "test-secret";
+
+const PID = "0123456789ABCDEF01234567";
+const intake = { email: "a@b.co", page_url: "https://evil.example/landing" };
+
+afterEach(() => {
+  delete process.env.PUBLIC_BASE_URL;
+});
+
+test("without PUBLIC_BASE_URL or a request origin the link is omitted, whatever page_url says", () => {
+  assert.equal(proposalUrl(PID), "");
+  const payload = buildGHLPayload(intake, undefined, {}, { pid: PID });
+  assert.equal(payload.proposal_url, "");
+  assert.equal(payload.custom_fields.proposal_url, "");
+  assert.equal(payload.page_url, "https://evil.example/landing");
+});
+
+test("the request origin is used when PUBLIC_BASE_URL is unset", () => {
+  const payload = buildGHLPayload(intake, undefined, {}, { pid: PID, origin: "https://lumen.example" });
+  const url = new URL(payload.proposal_url);
+  assert.equal(url.origin, "https://lumen.example");
+  assert.equal(url.pathname, "/summary");
+  assert.equal(url.searchParams.get("pid"), PID);
+  assert.equal(verifyViewToken(PID, url.searchParams.get("token")).ok, true);
+  assert.equal(payload.custom_fields.proposal_url, payload.proposal_url);
+});
+
+test("PUBLIC_BASE_URL wins over the request origin", () => {
+  process.env.PUBLIC_BASE_URL = "https://www.lumen.example/";
+  assert.match(proposalUrl(PID, "https://preview.vercel.app"), /^https:\/\/www\.lumen\.example\/summary\?/);
+});
+
+test("requestOrigin reads Host and the forwarded proto, and rejects malformed hosts", () => {
+  assert.equal(requestOrigin({ headers: { host: "lumen.example" } }), "https://lumen.example");
+  assert.equal(requestOrigin({ headers: { host: "localhost:3000", "x-forwarded-proto": "http" } }), "http://localhost:3000");
+  assert.equal(requestOrigin({ headers: { host: "evil.example/path" } }), "");
+  assert.equal(requestOrigin({ headers: {} }), "");
+});
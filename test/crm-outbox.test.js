@@ -0,0 +1,168 @@
+// test/crm-outbox.test.js
+// CRM outbox against the memory backend with a stubbed GHL webhook (fetch): delivery, retry backoff, leases,
+// dead letters, replay and the drain endpoint.
+
+import { beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import {
+  OUTBOX_STATUS,
+  deliverCrmEvent,
+  drainCrmOutbox,
+  enqueueCrmEvent,
+  getOutboxEntry,
+  listOutbox,
+  replayCrmEvent,
+  sendCrmEvent
+} from "../lib/crm-outbox.js";
+import { kvGetJson, kvScan, kvDel, kvSetJson } from "../lib/storage.js";
+import handler from "../api/crm-outbox.js";
+import { callHandler } from "./support/http.js";
+
+process.env.STORAGE_BACKEND = "memory";
+process.env.GHL_WEBHOOK_URL = "https://ghl.test/hook";
+process.env.CRM_RETRY_BASE_SECONDS = "60";
+process.env.CRM_MAX_ATTEMPTS = "3";
+
+let webhook;
+
+// GHL stub: answers with the queued statuses (then 200) and records every call.
+function stubWebhook(t, ...statuses) {
+  webhook = { calls: [] };
+  t.mock.method(globalThis, "fetch", async (url, opts) => {
+    webhook.calls.push({ url: String(url), headers: opts.headers, body: JSON.parse(opts.body) });
+    return new Response("", { status: statuses.shift() ?? 200 });
+  });
+}
+
+// Date.now under test control; Date.parse / new Date() stay real, which is all the outbox compares against.
+// Starts a second ahead so an entry stamped with the real time on enqueue is already due.
+function clock(t, start = Date.now() + 1_000) {
+  const c = { now: start };
+  t.mock.method(Date, "now", () => c.now);
+  return c;
+}
+
+beforeEach(async () => {
+  for (const prefix of ["crm_outbox:", "crm_sent:", "crm_dead:"]) {
+    const keys = await kvScan(`${prefix}*`);
+    if (keys.length) await kvDel(...keys);
+  }
+});
+
+test("a delivered event moves to the sent list and is not sent again", async (t) => {
+  stubWebhook(t);
+  const r = await sendCrmEvent({ pid: "P1", event: "intake_submitted", payload: { email: "a@b.co" } });
+
+  assert.equal(r.ok, true);
+  assert.equal(webhook.calls.length, 1);
+  assert.equal(webhook.calls[0].headers["Idempotency-Key"], "P1:intake_submitted");
+  assert.equal(webhook.calls[0].body.idempotency_key, "P1:intake_submitted");
+  assert.equal(await kvGetJson("crm_outbox:P1:intake_submitted"), null);
+  assert.equal((await kvGetJson("crm_sent:P1:intake_submitted")).status, OUTBOX_STATUS.DELIVERED);
+
+  const again = await sendCrmEvent({ pid: "P1", event: "intake_submitted", payload: { email: "changed@b.co" } });
+  assert.equal(again.skipped, OUTBOX_STATUS.DELIVERED);
+  assert.equal(webhook.calls.length, 1);
+});
+
+test("failed sends back off exponentially and drains only retry due entries", async (t) => {
+  stubWebhook(t, 500, 502);
+  const c = clock(t);
+
+  const first = await sendCrmEvent({ pid: "P2", event: "intake_submitted", payload: {} });
+  assert.equal(first.ok, false);
+  assert.equal(first.entry.attempts, 1);
+  assert.match(first.entry.last_error, /HTTP 500/);
+  assert.equal(Date.parse(first.entry.next_attempt_at), c.now + 60_000);
+
+  c.now += 59_000;
+  assert.deepEqual(await drainCrmOutbox(), { attempted: 0, delivered: 0, dead: 0 });
+
+  c.now += 1_000;
+  assert.deepEqual(await drainCrmOutbox(), { attempted: 1, delivered: 0, dead: 0 });
+  const second = await getOutboxEntry("P2:intake_submitted");
+  assert.equal(second.attempts, 2);
+  assert.equal(Date.parse(second.next_attempt_at), c.now + 120_000);
+
+  c.now += 120_000;
+  assert.deepEqual(await drainCrmOutbox(), { attempted: 1, delivered: 1, dead: 0 });
+  assert.equal(webhook.calls.length, 3);
+  assert.equal((await getOutboxEntry("P2:intake_submitted")).history.length, 3);
+});
+
+test("an entry that runs out of attempts is dead-lettered until replayed", async (t) => {
+  stubWebhook(t, 500, 500, 500);
+  const c = clock(t);
+
+  await sendCrmEvent({ pid: "P3", event: "proposal_accepted", payload: {} });
+  c.now += 60_000;
+  await drainCrmOutbox();
+  c.now += 120_000;
+  assert.deepEqual(await drainCrmOutbox(), { attempted: 1, delivered: 0, dead: 1 });
+
+  assert.equal(await kvGetJson("crm_outbox:P3:proposal_accepted"), null);
+  const dead = await listOutbox(OUTBOX_STATUS.DEAD);
+  assert.deepEqual(dead.map((e) => e.key), ["P3:proposal_accepted"]);
+
+  // Dead entries are not retried by drains, only by a replay.
+  c.now += 3_600_000;
+  assert.equal((await drainCrmOutbox()).attempted, 0);
+  const replayed = await replayCrmEvent("P3:proposal_accepted");
+  assert.equal(replayed.ok, true);
+  assert.equal(replayed.entry.status, OUTBOX_STATUS.DELIVERED);
+  assert.deepEqual(await listOutbox(OUTBOX_STATUS.DEAD), []);
+  assert.equal((await replayCrmEvent("nope")).error, "not_found");
+});
+
+test("concurrent deliveries of one entry send it once", async (t) => {
+  stubWebhook(t, 500);
+  const entry = await enqueueCrmEvent({ pid: "P4", event: "intake_submitted", payload: {} });
+  const results = await Promise.all([deliverCrmEvent(entry.key), deliverCrmEvent(entry.key), deliverCrmEvent(entry.key)]);
+
+  assert.equal(webhook.calls.length, 1);
+  assert.equal(results.filter((r) => r.skipped === "leased").length, 2);
+});
+
+test("a leased entry is skipped even when forced", async (t) => {
+  stubWebhook(t);
+  const entry = await enqueueCrmEvent({ pid: "P5", event: "intake_submitted", payload: {} });
+  await kvSetJson(`crm_outbox:${entry.key}`, { ...entry, lease_until: new Date(Date.now() + 10_000).toISOString() }, 60);
+
+  assert.equal((await deliverCrmEvent(entry.key, { force: true })).skipped, "leased");
+  assert.equal(webhook.calls.length, 0);
+});
+
+test("enqueue is idempotent per key and a failing payload builder is reported, not thrown", async (t) => {
+  stubWebhook(t);
+  const a = await enqueueCrmEvent({ pid: "P6", event: "proposal_link_requested", payload: { n: 1 }, requestId: "r1" });
+  const b = await enqueueCrmEvent({ pid: "P6", event: "proposal_link_requested", payload: { n: 2 }, requestId: "r1" });
+  assert.equal(a.key, "P6:proposal_link_requested:r1");
+  assert.deepEqual(b.payload, a.payload);
+
+  const r = await sendCrmEvent({ pid: "P7", event: "intake_submitted", payload: () => { throw new Error("no secret"); } });
+  assert.deepEqual(r, { ok: false, entry: null, error: "no secret" });
+  assert.equal(await getOutboxEntry("P7:intake_submitted"), null);
+});
+
+test("the drain endpoint needs the admin token or the cron secret", async (t) => {
+  stubWebhook(t);
+  process.env.CRON_SECRET = "cron-secret";
+  t.after(() => delete process.env.CRON_SECRET);
+
+  const anonymous = await callHandler(handler, { method: "GET", url: "/api/crm-outbox?drain=1" });
+  assert.equal(anonymous.status, 401);
+
+  const cron = await callHandler(handler, {
+    method: "GET",
+    url: "/api/crm-outbox?drain=1",
+    headers: { authorization: "Bearer cron-secret" }
+  });
+  assert.equal(cron.status, 200);
+  assert.deepEqual(cron.json, { ok: true, attempted: 0, delivered: 0, dead: 0 });
+});
+
+test("vercel.json schedules the drain", () => {
+  const config = JSON.parse(readFileSync(new URL("../vercel.json", import.meta.url), "utf8"));
+  assert.ok(config.crons.some((c) => c.path === "/api/crm-outbox?drain=1" && c.schedule));
+});
@@ -0,0 +1,131 @@
+// test/experiments.test.js
+// A/B assignment: deterministic and weighted, scoped to flows, and applied to the flow Zion runs.
+
+import { afterEach, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  applyVariant,
+  assignVariant,
+  experimentLabel,
+  experimentStamp,
+  forceIntakeAfterTurns,
+  validateExperiment
+} from "../lib/experiments.js";
+import { loadFlows, validateFlow } from "../lib/zion-flows.js";
+import handler from "../api/zion.js";
+import { callHandler } from "./support/http.js";
+
+process.env.STORAGE_BACKEND = "memory";
+process.env.RATE_LIMITS_DISABLED = "1";
+process.env.ZION_EXTRACTION = "deterministic";
+
+const GATE = "gate_order_2026_10";
+
+afterEach(() => {
+  delete process.env.ZION_EXPERIMENT;
+  delete process.env.ZION_EXPERIMENTS_JSON;
+});
+
+function sessions(n) {
+  return Array.from({ length: n }, (_, i) => `sess-${i}`);
+}
+
+test("without ZION_EXPERIMENT nobody is assigned", () => {
+  assert.equal(assignVariant("sess-1", "default"), null);
+  assert.equal(experimentStamp(null), null);
+  assert.equal(forceIntakeAfterTurns(null), 3);
+});
+
+test("a session keeps its variant, and equal weights split sessions roughly evenly", () => {
+  process.env.ZION_EXPERIMENT = GATE;
+  const first = sessions(400).map((s) => assignVariant(s, "default").variant.id);
+  const again = sessions(400).map((s) => assignVariant(s, "default").variant.id);
+  assert.deepEqual(again, first);
+
+  const control = first.filter((v) => v === "control").length;
+  assert.ok(control > 150 && control < 250, `control got ${control} of 400`);
+});
+
+test("weights steer the split and a zero-weight variant is never served", () => {
+  process.env.ZION_EXPERIMENTS_JSON = JSON.stringify({
+    id: "weighted",
+    variants: [{ id: "a", weight: 3 }, { id: "b", weight: 1 }, { id: "off", weight: 0 }]
+  });
+  process.env.ZION_EXPERIMENT = "weighted";
+  const picks = sessions(400).map((s) => assignVariant(s, "home_services").variant.id);
+  assert.equal(picks.includes("off"), false);
+  const a = picks.filter((v) => v === "a").length;
+  assert.ok(a > 260 && a < 340, `a got ${a} of 400`);
+});
+
+test("an experiment only covers its flows", () => {
+  process.env.ZION_EXPERIMENT = GATE;
+  assert.equal(assignVariant("sess-1", "home_services"), null);
+  assert.notEqual(assignVariant("sess-1", "default"), null);
+});
+
+test("unknown or invalid running experiments throw", () => {
+  process.env.ZION_EXPERIMENT = "missing";
+  assert.throws(() => assignVariant("sess-1", "default"), /Unknown experiment "missing"/);
+
+  process.env.ZION_EXPERIMENTS_JSON = JSON.stringify({ id: "missing", variants: [] });
+  assert.throws(() => assignVariant("sess-1", "default"), /Invalid experiment "missing"/);
+});
+
+test("validateExperiment reports structural problems", () => {
+  assert.deepEqual(validateExperiment({ id: "x", variants: [{ id: "a" }] }), []);
+  const errors = validateExperiment({
+    id: "x",
+    flows: "default",
+    variants: [
+      { id: "a", weight: -1, order: ["start"] },
+      { id: "a", weight: 0, force_intake_after_turns: 1.5 }
+    ]
+  });
+  assert.deepEqual(errors, [
+    "flows must be an array of flow ids",
+    "variants[0].weight must be a number >= 0",
+    "variants[0].order must be a non-empty array of question stage ids",
+    'variants[1].id "a" is used twice',
+    "variants[1].force_intake_after_turns must be a positive integer",
+    "at least one variant needs a weight > 0"
+  ]);
+});
+
+test("applyVariant reorders the questions, applies per-locale copy and leaves the flow untouched", () => {
+  process.env.ZION_EXPERIMENT = GATE;
+  const flow = loadFlows().default;
+  const snapshot = JSON.stringify(flow);
+  const variant = assignVariant("sess-1", "default").experiment.variants.find((v) => v.id === "business_first");
+
+  const en = applyVariant(flow, variant);
+  assert.deepEqual(validateFlow(en, ["goal", "business", "metric"]), []);
+  assert.equal(en.stages.start.next, "business");
+  assert.equal(en.stages.business.next, "goal");
+  assert.equal(en.stages.metric.next, "capture");
+  assert.match(en.stages.business.prompt.reply, /^Zion online/);
+  assert.equal(en.max_user_inputs_before_intake, 5);
+
+  const es = applyVariant(flow, variant, "es");
+  assert.match(es.stages.business.prompt.reply, /^Zion en línea/);
+  assert.equal(JSON.stringify(flow), snapshot);
+  assert.equal(forceIntakeAfterTurns(variant), 2);
+});
+
+test("stamps and labels name the experiment and variant", () => {
+  process.env.ZION_EXPERIMENT = GATE;
+  const stamp = experimentStamp(assignVariant("sess-1", "default"));
+  assert.equal(stamp.id, GATE);
+  assert.equal(experimentLabel(stamp), `${GATE}.${stamp.variant}`);
+  assert.equal(experimentLabel({ id: GATE }), "");
+});
+
+test("Zion asks the business question first in the business_first variant and reports the client cap", async () => {
+  process.env.ZION_EXPERIMENT = GATE;
+  const session_id = sessions(50).find((s) => assignVariant(s, "default").variant.id === "business_first");
+  const r = await callHandler(handler, { body: { message: "", session_id } });
+  assert.equal(r.status, 200);
+  assert.equal(r.json.stage, "business");
+  assert.deepEqual(r.json.experiment, { id: GATE, variant: "business_first" });
+  assert.equal(r.json.force_intake_after_turns, 2);
+});
@@ -0,0 +1,121 @@
+// test/guard.test.js
+// Request guards: client IP, body caps, rate limits (and failing open) and CORS.
+
+import { after, afterEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { applyCors, checkRateLimit, clientIp, readJsonBody, sendRateLimited } from "../lib/guard.js";
+import { mockRes } from "./support/http.js";
+
+process.env.STORAGE_BACKEND = "memory";
+delete process.env.RATE_LIMITS_DISABLED;
+
+const scratch = mkdtempSync(join(tmpdir(), "guard-test-"));
+after(() => rmSync(scratch, { recursive: true, force: true }));
+
+afterEach(() => {
+  delete process.env.RATE_LIMITS_JSON;
+  delete process.env.ALLOWED_ORIGINS;
+});
+
+function request({ method = "POST", headers = {}, body, parsed, ip = "203.0.113.7" } = {}) {
+  const chunks = body === undefined ? [] : [Buffer.from(body)];
+  return {
+    method,
+    headers,
+    body: parsed,
+    socket: { remoteAddress: ip },
+    async *[Symbol.asyncIterator]() { yield* chunks; }
+  };
+}
+
+test("clientIp prefers the platform's headers and ignores client-supplied x-forwarded-for entries", () => {
+  assert.equal(clientIp(request({ headers: { "x-vercel-forwarded-for": "198.51.100.1", "x-forwarded-for": "1.1.1.1" } })), "198.51.100.1");
+  assert.equal(clientIp(request({ headers: { "x-real-ip": "198.51.100.2", "x-forwarded-for": "1.1.1.1" } })), "198.51.100.2");
+  assert.equal(clientIp(request({ headers: { "x-forwarded-for": "1.1.1.1, 198.51.100.3" } })), "198.51.100.3");
+  assert.equal(clientIp(request()), "203.0.113.7");
+});
+
+test("readJsonBody parses streamed and pre-parsed bodies", async () => {
+  assert.deepEqual(await readJsonBody(request({ body: '{"a":1}' }), "accept"), { ok: true, body: { a: 1 } });
+  assert.deepEqual(await readJsonBody(request({ parsed: { b: 2 } }), "accept"), { ok: true, body: { b: 2 } });
+  assert.deepEqual(await readJsonBody(request({ body: "  " }), "accept"), { ok: true, body: {} });
+});
+
+test("readJsonBody refuses oversized and malformed bodies", async () => {
+  const big = JSON.stringify({ pad: "x".repeat(9 * 1024) });
+  for (const req of [
+    request({ headers: { "content-length": String(big.length) } }),
+    request({ body: big }),
+    request({ parsed: JSON.parse(big) })
+  ]) {
+    const r = await readJsonBody(req, "accept");
+    assert.deepEqual([r.status, r.code, r.limit_bytes], [413, "body_too_large", 8 * 1024]);
+  }
+  const r = await readJsonBody(request({ body: "{nope" }), "accept");
+  assert.deepEqual([r.status, r.code], [400, "invalid_json"]);
+});
+
+test("requests over the limit get 429 details and a Retry-After header", async (t) => {
+  process.env.RATE_LIMITS_JSON = JSON.stringify({ accept: { ip: [2, 60] } });
+  t.mock.method(Date, "now", () => 1_000 * 60_000 + 15_000);
+  const req = request({ headers: { "x-real-ip": "198.51.100.10" } });
+
+  assert.equal(await checkRateLimit(req, "accept"), null);
+  assert.equal(await checkRateLimit(req, "accept"), null);
+  const limited = await checkRateLimit(req, "accept");
+  assert.deepEqual(limited, { scope: "ip", limit: 2, window_seconds: 60, retry_after_seconds: 45 });
+
+  const res = mockRes();
+  sendRateLimited(res, limited);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.headers["retry-after"], "45");
+  assert.equal(JSON.parse(res.body).code, "rate_limited");
+});
+
+test("rotating a spoofed x-forwarded-for prefix does not reset the IP limit", async () => {
+  process.env.RATE_LIMITS_JSON = JSON.stringify({ accept: { ip: [1, 60] } });
+  const as = (spoof) => request({ headers: { "x-forwarded-for": `${spoof}, 198.51.100.11` } });
+  assert.equal(await checkRateLimit(as("10.0.0.1"), "accept"), null);
+  assert.equal((await checkRateLimit(as("10.0.0.2"), "accept"))?.scope, "ip");
+});
+
+test("the session scope limits one session across IPs", async () => {
+  process.env.RATE_LIMITS_JSON = JSON.stringify({ link: { ip: [100, 60], session: [1, 60] } });
+  assert.equal(await checkRateLimit(request({ ip: "198.51.100.20" }), "link", { session: "lead@acme.test" }), null);
+  const limited = await checkRateLimit(request({ ip: "198.51.100.21" }), "link", { session: "lead@acme.test" });
+  assert.equal(limited?.scope, "session");
+});
+
+test("a failing store lets requests through", async (t) => {
+  process.env.RATE_LIMITS_JSON = JSON.stringify({ accept: { ip: [1, 60] } });
+  process.env.STORAGE_BACKEND = "file";
+  process.env.STORAGE_FILE = scratch;
+  t.after(() => {
+    process.env.STORAGE_BACKEND = "memory";
+    delete process.env.STORAGE_FILE;
+  });
+  const req = request({ ip: "198.51.100.30" });
+  assert.equal(await checkRateLimit(req, "accept"), null);
+  assert.equal(await checkRateLimit(req, "accept"), null);
+});
+
+test("CORS allows listed origins, refuses others and answers preflights", () => {
+  process.env.ALLOWED_ORIGINS = "https://lumen.example/";
+
+  const ok = mockRes();
+  assert.equal(applyCors(request({ headers: { origin: "https://lumen.example" } }), ok, ["POST"]), false);
+  assert.equal(ok.headers["access-control-allow-origin"], "https://lumen.example");
+  assert.equal(ok.headers["access-control-allow-methods"], "POST,OPTIONS");
+
+  const refused = mockRes();
+  assert.equal(applyCors(request({ headers: { origin: "https://evil.example" } }), refused, ["POST"]), true);
+  assert.equal(refused.statusCode, 403);
+  assert.equal(JSON.parse(refused.body).code, "origin_not_allowed");
+
+  const preflight = mockRes();
+  assert.equal(applyCors(request({ method: "OPTIONS", headers: { origin: "https://lumen.example" } }), preflight, ["POST"]), true);
+  assert.equal(preflight.statusCode, 204);
+});
@@ -0,0 +1,119 @@
+// test/intake-contract.test.js
+// The /api/intake request contract (versions 1 and 2) and the handler's 202 / 400 bodies.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { INTAKE_CONTRACT_VERSION, isHoneypotFilled, parseIntakeRequest } from "../lib/intake-contract.js";
+import { saveSession } from "../lib/zion-session.js";
+import { loadProposalRecord } from "../lib/proposal-records.js";
+import { verifyViewToken } from "../lib/proposal-access.js";
+import handler from "../api/intake.js";
+import { callHandler } from "./support/http.js";
+
+process.env.STORAGE_BACKEND = "memory";
+process.env.RATE_LIMITS_DISABLED = "1";
+process.env.PROPOSAL_TOKEN_SECRET = "test-secret";
+process.env.PROPOSAL_PROVIDER = "mock";
+
+const FULL = {
+  version: 2,
+  name: "Dana Reyes",
+  email: "dana@acme.test",
+  business: "Acme Plumbing",
+  industry: "Home Services",
+  goal: "Bookings",
+  timeline: "ASAP",
+  bottleneck: "Missed calls while on site"
+};
+
+function fieldsOf(result) {
+  return result.errors.map((e) => e.field);
+}
+
+test("version 2 requires the full field set and resolves aliases", () => {
+  const r = parseIntakeRequest(FULL);
+  assert.equal(r.ok, true);
+  assert.equal(r.version, 2);
+  assert.equal(r.value.full_name, "Dana Reyes");
+  assert.equal(r.value.business_name, "Acme Plumbing");
+  assert.equal(r.value.primary_goal, "Bookings");
+  assert.equal(r.value.intent, "Zion Activation");
+
+  const missing = parseIntakeRequest({ version: 2, email: "dana@acme.test" });
+  assert.deepEqual(fieldsOf(missing), ["full_name", "business_name", "industry", "primary_goal", "timeline", "bottleneck"]);
+});
+
+test("version 1, and a body without a version, still only require email", () => {
+  for (const body of [{ email: "dana@acme.test" }, { version: 1, email: "dana@acme.test" }, { version: "1", email: "dana@acme.test" }]) {
+    const r = parseIntakeRequest(body);
+    assert.equal(r.ok, true, JSON.stringify(body));
+    assert.equal(r.version, 1);
+  }
+  assert.deepEqual(fieldsOf(parseIntakeRequest({ full_name: "Dana" })), ["email"]);
+});
+
+test("unknown versions are rejected before field checks", () => {
+  const r = parseIntakeRequest({ version: 3 });
+  assert.equal(r.ok, false);
+  assert.equal(r.version, INTAKE_CONTRACT_VERSION);
+  assert.deepEqual(fieldsOf(r), ["version"]);
+});
+
+test("formats, lengths and types are reported per field", () => {
+  const r = parseIntakeRequest({
+    ...FULL,
+    email: "dana@acme",
+    phone: "12-34",
+    website: "x".repeat(301),
+    locale: "fr",
+    industry: ["Legal"],
+    zion_notes: "notes"
+  });
+  assert.deepEqual(r.errors, [
+    { field: "email", message: "Must be a valid email address" },
+    { field: "phone", message: "Must be a valid phone number" },
+    { field: "website", message: "Must be at most 300 characters" },
+    { field: "industry", message: "Must be a string" },
+    { field: "locale", message: "Must be one of en|es" },
+    { field: "zion_notes", message: "Must be an object" }
+  ]);
+  assert.equal(parseIntakeRequest({ ...FULL, phone: "+1 (555) 010-2030", locale: "es-MX" }).value.locale, "es");
+});
+
+test("the honeypot only counts when filled", () => {
+  assert.equal(isHoneypotFilled({ company_url: " " }), false);
+  assert.equal(isHoneypotFilled({ company_url: "https://spam.example" }), true);
+  assert.equal(isHoneypotFilled(null), false);
+});
+
+test("a valid intake answers 202 with a signed status link and links the Zion session", async () => {
+  await saveSession("sess-intake", { primary_goal: "Bookings", target_metric: "15 jobs", locale: "es", transcript: [] }, 0);
+
+  const r = await callHandler(handler, { body: { ...FULL, session_id: "sess-intake", zion_notes: { stage: "forged" } } });
+  assert.equal(r.status, 202);
+  assert.equal(r.json.version, 2);
+  assert.equal(r.json.status, "pending");
+  assert.equal(r.json.session_linked, true);
+  assert.equal(verifyViewToken(r.json.pid, r.json.view_token).ok, true);
+  assert.equal(r.json.status_url, `/api/proposal?pid=${r.json.pid}&token=${encodeURIComponent(r.json.view_token)}`);
+
+  const record = await loadProposalRecord(r.json.pid);
+  assert.equal(record.intake.zion_notes.stage, undefined);
+  assert.equal(record.intake.zion_notes.primary_goal, "Bookings");
+  assert.equal(record.intake.locale, "es");
+  assert.equal(record.intake.target_metric.target_30d, 15);
+});
+
+test("a legacy email-only intake is accepted and echoes version 1", async () => {
+  const r = await callHandler(handler, { body: { email: "legacy@acme.test" } });
+  assert.equal(r.status, 202);
+  assert.equal(r.json.version, 1);
+});
+
+test("an invalid intake answers 400 with field errors", async () => {
+  const r = await callHandler(handler, { body: { version: 2, email: "nope" } });
+  assert.equal(r.status, 400);
+  assert.equal(r.json.ok, false);
+  assert.equal(r.json.error, "Invalid intake");
+  assert.ok(r.json.errors.some((e) => e.field === "email"));
+});
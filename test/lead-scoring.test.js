@@ -0,0 +1,75 @@
+// test/lead-scoring.test.js
+// Deterministic lead scores, weight overrides, and the fallback when LEAD_SCORING_JSON is broken.
+
+import { afterEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { budgetCeiling, leadScoringWeights, scoreLead } from "../lib/lead-scoring.js";
+import { loadProposalRecord } from "../lib/proposal-records.js";
+import handler from "../api/intake.js";
+import { callHandler } from "./support/http.js";
+
+process.env.STORAGE_BACKEND = "memory";
+process.env.RATE_LIMITS_DISABLED = "1";
+process.env.PROPOSAL_TOKEN_SECRET = "test-secret";
+process.env.PROPOSAL_PROVIDER = "mock";
+
+const HOT = {
+  budget_range: "$2,500+",
+  timeline: "ASAP (0–7 days)",
+  primary_goal: "Full Growth System",
+  industry: "Home Services",
+  zion_notes: { buyer: "Homeowners", target_metric_number: 20, user_inputs: 5 }
+};
+
+afterEach(() => {
+  delete process.env.LEAD_SCORING_JSON;
+});
+
+test("budgetCeiling reads the largest figure in a budget label", () => {
+  assert.equal(budgetCeiling("$1,000–$2,500"), 2500);
+  assert.equal(budgetCeiling("2k"), 2000);
+  assert.equal(budgetCeiling("Not sure"), null);
+});
+
+test("a ready, well-funded lead scores Hot and gets the top tier", () => {
+  const r = scoreLead(HOT);
+  assert.deepEqual([r.score, r.band, r.recommended_tier, r.complexity], [99, "Hot", "Luminary", "Advanced"]);
+  assert.deepEqual(scoreLead(HOT), r);
+  assert.equal(r.factors.find((f) => f.factor === "engagement").points, 10);
+});
+
+test("an empty intake scores Cold and gets the entry tier", () => {
+  const r = scoreLead({});
+  assert.deepEqual([r.score, r.band, r.recommended_tier, r.complexity], [22, "Cold", "Ignite", "Simple"]);
+});
+
+test("LEAD_SCORING_JSON is merged over the default weights", () => {
+  process.env.LEAD_SCORING_JSON = JSON.stringify({ timeline: { unknown: 0 } });
+  assert.equal(leadScoringWeights().timeline.asap, 25);
+  assert.equal(scoreLead({}).score, 14);
+});
+
+for (const [label, raw, message] of [
+  ["invalid JSON", "{timeline:", /not valid JSON/],
+  ["a non-object", "[1,2]", /must be a JSON object/],
+  ["a table set to null", JSON.stringify({ bands: null }), /bands must be an object/],
+  ["a non-numeric weight", JSON.stringify({ goal: { default: "high" } }), /goal\.default must be a number/]
+]) {
+  test(`${label} in LEAD_SCORING_JSON falls back to the defaults with a warning`, (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    process.env.LEAD_SCORING_JSON = raw;
+    assert.equal(scoreLead({}).score, 22);
+    scoreLead(HOT);
+    assert.equal(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], message);
+  });
+}
+
+test("intake still answers 202 with a lead score when LEAD_SCORING_JSON is broken", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  process.env.LEAD_SCORING_JSON = "not json";
+  const r = await callHandler(handler, { body: { email: "broken-weights@acme.test" } });
+  assert.equal(r.status, 202);
+  const record = await loadProposalRecord(r.json.pid);
+  assert.equal(record.lead_score.band, "Cold");
+});
@@ -0,0 +1,94 @@
+// test/locale.test.js
+// Language detection (message, Accept-Language, default), per-locale keyword matching, and a Spanish Zion session.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  detectMessageLocale,
+  foldText,
+  localeFromAcceptLanguage,
+  normalizeLocale,
+  resolveSessionLocale
+} from "../lib/locale.js";
+import { GOAL_KEYWORDS, INDUSTRY_KEYWORDS, isNonAnswer, localizeFlow, matchLabel } from "../lib/zion-locales.js";
+import { loadFlows } from "../lib/zion-flows.js";
+import handler from "../api/zion.js";
+import { callHandler } from "./support/http.js";
+
+process.env.STORAGE_BACKEND = "memory";
+process.env.RATE_LIMITS_DISABLED = "1";
+process.env.ZION_EXTRACTION = "deterministic";
+
+test("locales normalize to a supported base language", () => {
+  assert.equal(normalizeLocale("es-MX"), "es");
+  assert.equal(normalizeLocale("EN_us"), "en");
+  assert.equal(normalizeLocale("fr"), "");
+  assert.equal(foldText("Más Información"), "mas informacion");
+});
+
+test("Accept-Language picks the best supported language by q-value", () => {
+  assert.equal(localeFromAcceptLanguage("fr-FR,es;q=0.8,en;q=0.5"), "es");
+  assert.equal(localeFromAcceptLanguage("en;q=0.4, es-419;q=0.9"), "es");
+  assert.equal(localeFromAcceptLanguage("es;q=0, en"), "en");
+  assert.equal(localeFromAcceptLanguage("de, fr"), "");
+  assert.equal(localeFromAcceptLanguage(undefined), "");
+});
+
+test("a message decides the language only when it is clear", () => {
+  assert.equal(detectMessageLocale("Hola, quiero más clientes para mi negocio"), "es");
+  assert.equal(detectMessageLocale("We need more leads for our plumbing business"), "en");
+  assert.equal(detectMessageLocale("¿Precio?"), "es");
+  assert.equal(detectMessageLocale("hi"), "");
+  assert.equal(detectMessageLocale("ok"), "");
+  assert.equal(detectMessageLocale(""), "");
+});
+
+test("a locale from a message sticks; header and default ones are re-checked", () => {
+  assert.deepEqual(resolveSessionLocale({}, "hi", "es-ES"), { locale: "es", source: "header" });
+  assert.deepEqual(resolveSessionLocale({}, "ok", ""), { locale: "en", source: "default" });
+  assert.deepEqual(resolveSessionLocale({ locale: "es", source: "header" }, "We need more sales", "es"), { locale: "en", source: "message" });
+
+  const settled = resolveSessionLocale({}, "Necesito más ventas", "en-US");
+  assert.deepEqual(settled, { locale: "es", source: "message" });
+  assert.deepEqual(resolveSessionLocale(settled, "We need more sales and help", "en-US"), settled);
+});
+
+test("keywords match whole words in the session's language first, then English", () => {
+  assert.equal(matchLabel(GOAL_KEYWORDS, "quiero más citas", "es"), "Bookings");
+  assert.equal(matchLabel(GOAL_KEYWORDS, "solicita información", "es"), "");
+  assert.equal(matchLabel(GOAL_KEYWORDS, "quiero más leads", "es"), "Leads");
+  assert.equal(matchLabel(INDUSTRY_KEYWORDS, "Somos una clínica dental", "es"), "Healthcare");
+  assert.equal(matchLabel(INDUSTRY_KEYWORDS, "plumbing and heating", "en"), "Home Services");
+  assert.equal(matchLabel(GOAL_KEYWORDS, "ventas", "en"), "");
+});
+
+test("non-answers are recognized in the session's language and in English", () => {
+  assert.equal(isNonAnswer("No sé", "es"), true);
+  assert.equal(isNonAnswer("idk", "es"), true);
+  assert.equal(isNonAnswer("ni idea", "en"), false);
+  assert.equal(isNonAnswer("   "), true);
+});
+
+test("localizeFlow swaps in the catalog copy without touching the flow", () => {
+  const flow = loadFlows().default;
+  const snapshot = JSON.stringify(flow);
+  assert.equal(localizeFlow(flow, "en"), flow);
+  const es = localizeFlow(flow, "es");
+  assert.match(es.stages.goal.prompt.reply, /^Zion en línea/);
+  assert.match(es.capture.reply, /^Perfecto\./);
+  assert.deepEqual(Object.keys(es.stages), Object.keys(flow.stages));
+  assert.equal(JSON.stringify(flow), snapshot);
+});
+
+test("a Spanish session gets Spanish copy and English labels in its notes", async () => {
+  const headers = { "accept-language": "es-MX,es;q=0.9" };
+  const first = await callHandler(handler, { headers, body: { message: "", session_id: "sess-es" } });
+  assert.equal(first.status, 200);
+  assert.equal(first.json.locale, "es");
+  assert.match(first.json.reply, /^Zion en línea/);
+
+  const second = await callHandler(handler, { headers: {}, body: { message: "Quiero más citas agendadas", session_id: "sess-es" } });
+  assert.equal(second.json.locale, "es");
+  assert.equal(second.json.notes.primary_goal, "Bookings");
+  assert.match(second.json.reply, /^Entendido\./);
+});
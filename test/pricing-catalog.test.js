@@ -0,0 +1,101 @@
+// test/pricing-catalog.test.js
+
+import { afterEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { catalogPromptText, enforceCatalogPricing, loadPricingCatalog } from "../lib/pricing-catalog.js";
+
+const CATALOG = {
+  currency: "USD",
+  activation_fee: 500,
+  tiers: [
+    { name: "Ignite", monthly_price: 950, activation_fee: 500 },
+    { name: "Elevate", monthly_price: 1450, activation_fee: 500 },
+    { name: "Luminary", monthly_price: 2250, activation_fee: 500 }
+  ],
+  one_off_services: [{ name: "Voice Agent", pricing: "$150+/mo + setup" }]
+};
+
+function tier(name, monthly_price, activation_fee = 500) {
+  return { name, monthly_price, activation_fee, ideal_for: "x", scope: ["x"], timeline: "x" };
+}
+
+const EXACT = [tier("Ignite", 950), tier("Elevate", 1450), tier("Luminary", 2250)];
+
+afterEach(() => {
+  delete process.env.PRICING_ENFORCEMENT;
+});
+
+test("catalog prices pass untouched", () => {
+  const r = enforceCatalogPricing({ tiers: EXACT, one_off_services: [] }, CATALOG, "overwrite");
+  assert.equal(r.ok, true);
+  assert.deepEqual(r.corrections, []);
+  assert.deepEqual(r.proposal.tiers, EXACT);
+});
+
+test("overwrite mode writes catalog prices and names in and lists each correction", () => {
+  const r = enforceCatalogPricing({
+    tiers: [tier("ignite", 900), { ...tier("Elevate Plus", 0), monthly_price: undefined, price_monthly: 1450 }, tier("Luminary", 2250, 0)],
+    one_off_services: [{ name: "voice agent", pricing: "free", use_case: "x" }]
+  }, CATALOG, "overwrite");
+
+  assert.equal(r.ok, true);
+  assert.deepEqual(r.proposal.tiers.map((t) => [t.name, t.monthly_price, t.activation_fee]), [
+    ["Ignite", 950, 500], ["Elevate", 1450, 500], ["Luminary", 2250, 500]
+  ]);
+  assert.equal("price_monthly" in r.proposal.tiers[1], false);
+  assert.equal(r.proposal.one_off_services[0].pricing, "$150+/mo + setup");
+  assert.deepEqual(r.corrections.map((c) => c.path), [
+    "tiers[0].name", "tiers[0].monthly_price", "tiers[1].name", "tiers[2].activation_fee", "one_off_services[0].pricing"
+  ]);
+});
+
+test("reject mode returns errors and leaves the proposal alone", () => {
+  const r = enforceCatalogPricing({ tiers: [tier("Ignite", 900), EXACT[1], EXACT[2]] }, CATALOG, "reject");
+  assert.equal(r.ok, false);
+  assert.deepEqual(r.errors, [{ path: "tiers[0].monthly_price", message: "must be 950 (got 900)" }]);
+});
+
+test("duplicate tier names never claim the same catalog tier twice", () => {
+  const proposal = { tiers: [tier("Ignite", 950), tier("Ignite", 950), tier("Ascend", 2250)] };
+
+  const rejected = enforceCatalogPricing(proposal, CATALOG, "reject");
+  assert.equal(rejected.ok, false);
+  assert.ok(rejected.errors.some((e) => e.path === "tiers[1].name" && /"Elevate"/.test(e.message)));
+  assert.ok(rejected.errors.some((e) => e.path === "tiers[2].name" && /"Luminary"/.test(e.message)));
+
+  const corrected = enforceCatalogPricing(proposal, CATALOG, "overwrite");
+  assert.equal(corrected.ok, true);
+  assert.deepEqual(corrected.proposal.tiers.map((t) => [t.name, t.monthly_price]), [["Ignite", 950], ["Elevate", 1450], ["Luminary", 2250]]);
+});
+
+test("a name match wins over position, and a free positional slot over the first free tier", () => {
+  const r = enforceCatalogPricing({ tiers: [tier("Luminary", 2250), tier("Premium", 1), tier("Ignite", 950)] }, CATALOG, "overwrite");
+  assert.deepEqual(r.proposal.tiers.map((t) => t.name), ["Luminary", "Elevate", "Ignite"]);
+});
+
+test("missing or extra tiers are errors in both modes", () => {
+  for (const mode of ["overwrite", "reject"]) {
+    const short = enforceCatalogPricing({ tiers: [EXACT[0], EXACT[2]] }, CATALOG, mode);
+    assert.equal(short.ok, false, mode);
+    assert.deepEqual(short.errors, [{ path: "tiers", message: 'must include "Elevate"' }]);
+
+    const long = enforceCatalogPricing({ tiers: [...EXACT, tier("Ultra", 9999)] }, CATALOG, mode);
+    assert.equal(long.ok, false, mode);
+    assert.deepEqual(long.errors[0], { path: "tiers[3]", message: "is not in the pricing catalog" });
+  }
+});
+
+test("PRICING_ENFORCEMENT picks the mode", () => {
+  process.env.PRICING_ENFORCEMENT = "REJECT";
+  assert.equal(enforceCatalogPricing({ tiers: [tier("Ignite", 1), EXACT[1], EXACT[2]] }, CATALOG).ok, false);
+  process.env.PRICING_ENFORCEMENT = "anything else";
+  assert.equal(enforceCatalogPricing({ tiers: [tier("Ignite", 1), EXACT[1], EXACT[2]] }, CATALOG).ok, true);
+});
+
+test("the default catalog loads and renders the locked pricing block", () => {
+  const catalog = loadPricingCatalog();
+  assert.deepEqual(catalog.tiers.map((t) => t.name), ["Ignite", "Elevate", "Luminary"]);
+  const text = catalogPromptText(catalog);
+  assert.match(text, /Activation Fee \(one-time\): \$500/);
+  assert.match(text, /- Elevate: \$1,450\/mo/);
+});
@@ -0,0 +1,61 @@
+// test/proposal-access.test.js
+// View tokens: round trip, expiry, tampering, and the fail-closed secret.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { signViewToken, verifyViewToken } from "../lib/proposal-access.js";
+
+process.env.PROPOSAL_TOKEN_SECRET = "test-secret";
+
+const PID = "0123456789ABCDEF01234567";
+const NOW = Date.UTC(2026, 0, 1);
+
+test("a fresh token verifies for its pid until it expires", () => {
+  const { token, expires_at } = signViewToken(PID, { ttlSeconds: 3600, now: NOW });
+  assert.equal(expires_at, new Date(NOW + 3600 * 1000).toISOString());
+  assert.deepEqual(verifyViewToken(PID, token, { now: NOW + 3599 * 1000 }), { ok: true, expires_at });
+  assert.deepEqual(verifyViewToken(PID, token, { now: NOW + 3600 * 1000 }), { ok: false, reason: "expired" });
+});
+
+test("missing pid or token is reported as missing", () => {
+  assert.deepEqual(verifyViewToken(PID, ""), { ok: false, reason: "missing" });
+  assert.deepEqual(verifyViewToken(PID, "abc"), { ok: false, reason: "missing" });
+  assert.deepEqual(verifyViewToken("", signViewToken(PID).token), { ok: false, reason: "missing" });
+});
+
+test("a token for another pid, or with a changed expiry or signature, is invalid", () => {
+  const { token } = signViewToken(PID, { ttlSeconds: 3600, now: NOW });
+  const [exp36, sig] = token.split(".");
+  const later = (parseInt(exp36, 36) + 86400).toString(36);
+  const flipped = `${sig.slice(0, -1)}${sig.endsWith("A") ? "B" : "A"}`;
+
+  assert.deepEqual(verifyViewToken("FEDCBA9876543210FEDCBA98", token, { now: NOW }), { ok: false, reason: "invalid" });
+  assert.deepEqual(verifyViewToken(PID, `${later}.${sig}`, { now: NOW }), { ok: false, reason: "invalid" });
+  assert.deepEqual(verifyViewToken(PID, `${exp36}.${flipped}`, { now: NOW }), { ok: false, reason: "invalid" });
+  assert.deepEqual(verifyViewToken(PID, `${exp36}.${sig}x`, { now: NOW }), { ok: false, reason: "invalid" });
+});
+
+test("an expired token signed with another secret is invalid, not expired", () => {
+  const { token } = signViewToken(PID, { ttlSeconds: 60, now: NOW });
+  process.env.PROPOSAL_TOKEN_SECRET = "rotated";
+  try {
+    assert.deepEqual(verifyViewToken(PID, token, { now: NOW + 3600 * 1000 }), { ok: false, reason: "invalid" });
+  } finally {
+    process.env.PROPOSAL_TOKEN_SECRET = "test-secret";
+  }
+});
+
+test("without PROPOSAL_TOKEN_SECRET only development and test fall back to the dev secret", () => {
+  const { PROPOSAL_TOKEN_SECRET, NODE_ENV } = process.env;
+  delete process.env.PROPOSAL_TOKEN_SECRET;
+  try {
+    process.env.NODE_ENV = "production";
+    assert.throws(() => signViewToken(PID), /PROPOSAL_TOKEN_SECRET not set/);
+    process.env.NODE_ENV = "test";
+    assert.equal(verifyViewToken(PID, signViewToken(PID).token).ok, true);
+  } finally {
+    process.env.PROPOSAL_TOKEN_SECRET = PROPOSAL_TOKEN_SECRET;
+    if (NODE_ENV === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = NODE_ENV;
+  }
+});
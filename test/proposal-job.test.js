@@ -0,0 +1,165 @@
+// test/proposal-job.test.js
+// generateProposalStrict / runProposalJob against the mock provider (lib/fixtures): a valid first answer, a
+// repaired second answer, and the template fallback when both attempts fail.
+
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { JOB_STATUS, generateProposalStrict, runProposalJob } from "../lib/proposal-job.js";
+import { scoreLead } from "../lib/lead-scoring.js";
+import { proposalProvider } from "../lib/llm-provider.js";
+import { validateProposal } from "../lib/proposal-schema.js";
+import { buildTemplateProposal } from "../lib/proposal-template.js";
+import { deleteLead, loadFailure, restartProposal } from "../lib/proposal-records.js";
+import { kvGetJson, kvSetJson } from "../lib/storage.js";
+
+process.env.STORAGE_BACKEND = "memory";
+process.env.PROPOSAL_PROVIDER = "mock";
+
+const fixture = (name) => fileURLToPath(new URL(`../lib/fixtures/${name}`, import.meta.url));
+const scratch = mkdtempSync(join(tmpdir(), "proposal-job-test-"));
+after(() => rmSync(scratch, { recursive: true, force: true }));
+
+const INTAKE = {
+  full_name: "Dana Reyes",
+  email: "dana@acmeplumbing.test",
+  business_name: "Acme Plumbing",
+  industry: "Home Services",
+  primary_goal: "Bookings",
+  budget_range: "$1,500–$3,000",
+  timeline: "ASAP",
+  target_metric: "10-15 jobs a week"
+};
+
+function useFixture(file) {
+  process.env.PROPOSAL_MOCK_FIXTURE = file;
+}
+
+// A pending record as /api/intake stores it; the job gets its own copy, like waitUntil(runProposalJob({ ...record })).
+async function storedRecord(pid, intake = INTAKE) {
+  const record = { pid, status: JOB_STATUS.PENDING, intake, lead_score: scoreLead(intake), proposal: null, version: 1 };
+  await kvSetJson(`proposal:${pid}`, record, 3600);
+  return { ...record };
+}
+
+// A mock fixture whose attempts are all unusable.
+function brokenFixture() {
+  const file = join(scratch, "broken.json");
+  writeFileSync(file, JSON.stringify({ responses: ["not json at all", { executive_summary: "too short" }] }));
+  return file;
+}
+
+test("a valid first answer is returned after one attempt", async () => {
+  useFixture(fixture("proposal-mock.json"));
+  const r = await generateProposalStrict(INTAKE, { provider: proposalProvider(), leadScore: scoreLead(INTAKE) });
+
+  assert.equal(validateProposal(r.proposal).length, 0);
+  assert.equal(r.repairs.attempts, 1);
+  assert.deepEqual(r.repairs.defaulted, []);
+  assert.equal(typeof r.raw, "string");
+});
+
+test("an invalid first answer is repaired by the second attempt", async () => {
+  useFixture(fixture("proposal-mock-repair.json"));
+  const r = await generateProposalStrict(INTAKE, { provider: proposalProvider(), leadScore: scoreLead(INTAKE) });
+
+  assert.equal(validateProposal(r.proposal).length, 0);
+  assert.equal(r.repairs.attempts, 2);
+  assert.ok(r.repairs.repaired.length > 0);
+  assert.ok(r.repairs.repaired.every((x) => x.by === "model" || x.by === "normalize"));
+});
+
+test("two unusable answers throw with both raw outputs", async () => {
+  useFixture(brokenFixture());
+  await assert.rejects(generateProposalStrict(INTAKE, { provider: proposalProvider() }), (e) => {
+    assert.equal(e.raw1, "not json at all");
+    assert.match(e.raw2, /too short/);
+    assert.ok(e.validation_errors.length > 0);
+    return true;
+  });
+});
+
+test("runProposalJob falls back to the template and keeps the provider failure", async () => {
+  useFixture(brokenFixture());
+  const record = await storedRecord("TESTFALLBACK01", { ...INTAKE, locale: "es" });
+  await runProposalJob(record, { notifyCrm: false });
+
+  const saved = await kvGetJson("proposal:TESTFALLBACK01");
+  assert.equal(saved.status, JOB_STATUS.READY);
+  assert.equal(saved.proposal.generated_by, "template");
+  assert.deepEqual(saved.proposal, buildTemplateProposal(record.intake, record.lead_score));
+  assert.equal(validateProposal(saved.proposal).length, 0);
+  assert.ok(saved.fallback_reason);
+  assert.equal(saved.version, 3);
+
+  const failure = await loadFailure("TESTFALLBACK01");
+  assert.equal(failure.raw1, "not json at all");
+});
+
+test("runProposalJob stores a valid mock proposal as generated by the provider", async () => {
+  useFixture(fixture("proposal-mock.json"));
+  const record = await storedRecord("TESTMOCK01");
+  await runProposalJob(record, { notifyCrm: false });
+
+  const saved = await kvGetJson("proposal:TESTMOCK01");
+  assert.equal(saved.status, JOB_STATUS.READY);
+  assert.equal(saved.proposal.generated_by, "mock");
+  assert.equal(saved.fallback_reason, null);
+  assert.equal(saved.proposal.pricing_logic.temperature, record.lead_score.band);
+});
+
+// Gemini provider whose (stubbed) call runs `during` first, i.e. while the job is generating.
+function geminiDuring(t, during) {
+  process.env.PROPOSAL_PROVIDER = "gemini";
+  process.env.GEMINI_API_KEY = "test-key";
+  t.after(() => {
+    process.env.PROPOSAL_PROVIDER = "mock";
+    delete process.env.GEMINI_API_KEY;
+  });
+  const valid = JSON.parse(readFileSync(fixture("proposal-mock.json"), "utf8")).responses[0];
+  t.mock.method(globalThis, "fetch", async () => {
+    await during();
+    const body = { candidates: [{ content: { role: "model", parts: [{ text: JSON.stringify(valid) }] } }] };
+    return new Response(JSON.stringify(body), { status: 200, headers: { "content-type": "application/json" } });
+  });
+}
+
+test("a lead deleted while its proposal is generating stays deleted", async (t) => {
+  const record = await storedRecord("TESTDELETED01");
+  geminiDuring(t, () => deleteLead("TESTDELETED01"));
+  await runProposalJob(record, { notifyCrm: false });
+
+  assert.equal(await kvGetJson("proposal:TESTDELETED01"), null);
+  assert.equal(await loadFailure("TESTDELETED01"), null);
+});
+
+test("a job holding a copy from before a restart does not overwrite the restarted record", async () => {
+  const stale = await storedRecord("TESTRESTART01");
+  await kvSetJson("proposal:TESTRESTART01", { ...stale, status: JOB_STATUS.FAILED }, 3600);
+  const { record: restarted } = await restartProposal("TESTRESTART01");
+  await runProposalJob(stale, { notifyCrm: false });
+
+  const saved = await kvGetJson("proposal:TESTRESTART01");
+  assert.equal(saved.status, JOB_STATUS.PENDING);
+  assert.equal(saved.retried_at, restarted.retried_at);
+  assert.equal(saved.version, restarted.version);
+});
+
+test("a job whose record is already gone never starts", async () => {
+  await runProposalJob({ pid: "TESTGONE01", intake: INTAKE, lead_score: scoreLead(INTAKE), version: 1 }, { notifyCrm: false });
+  assert.equal(await kvGetJson("proposal:TESTGONE01"), null);
+});
+
+test("defaults filled in by the repair pass follow the intake locale", async () => {
+  const valid = JSON.parse(readFileSync(fixture("proposal-mock.json"), "utf8")).responses[0];
+  const file = join(scratch, "no-next-steps.json");
+  writeFileSync(file, JSON.stringify({ responses: [{ ...valid, next_steps: [] }] }));
+  useFixture(file);
+
+  const r = await generateProposalStrict({ ...INTAKE, locale: "es" }, { provider: proposalProvider() });
+  assert.deepEqual(r.repairs.defaulted, ["next_steps"]);
+  assert.equal(r.proposal.next_steps[0], "Agenda una llamada de activación de 20 minutos con Lumen Labs");
+});
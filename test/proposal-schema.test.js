@@ -0,0 +1,130 @@
+// test/proposal-schema.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import {
+  applyProposalDefaults,
+  formatSchemaErrors,
+  normalizeProposal,
+  validateProposal
+} from "../lib/proposal-schema.js";
+
+const VALID = JSON.parse(readFileSync(new URL("../lib/fixtures/proposal-mock.json", import.meta.url), "utf8")).responses[0];
+
+function variant(edit) {
+  const p = structuredClone(VALID);
+  edit(p);
+  return p;
+}
+
+function paths(errors) {
+  return errors.map((e) => e.path);
+}
+
+test("the mock fixture proposal is valid", () => {
+  assert.deepEqual(validateProposal(VALID), []);
+});
+
+test("errors carry the failing path", () => {
+  const errors = validateProposal(variant((p) => {
+    p.executive_summary = " ";
+    p.pricing_logic.temperature = "Lukewarm";
+    delete p.pricing_logic.reasoning;
+    p.tiers[1].scope = [];
+    p.tiers[2].monthly_price = "2250";
+    p.next_steps = ["Call us", 7];
+  }));
+  assert.deepEqual(errors, [
+    { path: "executive_summary", message: "must be non-empty" },
+    { path: "pricing_logic.temperature", message: "must be one of Cold|Warm|Hot" },
+    { path: "pricing_logic.reasoning", message: "is required" },
+    { path: "tiers[1].scope", message: "must be non-empty" },
+    { path: "tiers[2].monthly_price", message: "must be a number" },
+    { path: "next_steps[1]", message: "must be a non-empty string" }
+  ]);
+  assert.deepEqual(formatSchemaErrors(errors.slice(0, 1)), ["executive_summary must be non-empty"]);
+});
+
+test("tiers must be the catalog's, each exactly once", () => {
+  assert.ok(paths(validateProposal(variant((p) => p.tiers.pop()))).includes("tiers"));
+
+  const duplicated = validateProposal(variant((p) => {
+    p.tiers[1] = { ...p.tiers[0] };
+    p.tiers[2] = { ...p.tiers[2], name: "Ascend" };
+  }));
+  assert.deepEqual(duplicated.filter((e) => e.path === "tiers").map((e) => e.message), [
+    'must include "Ignite" only once',
+    'must include "Elevate"',
+    'must include "Luminary"'
+  ]);
+});
+
+test("every catalog one-off service must be listed", () => {
+  const errors = validateProposal(variant((p) => p.one_off_services.shift()));
+  assert.deepEqual(errors, [{ path: "one_off_services", message: 'must include "Voice Agent"' }]);
+  assert.deepEqual(validateProposal(null), [{ path: "", message: "must be a JSON object" }]);
+});
+
+test("normalizeProposal makes mechanical fixes without touching its input", () => {
+  const input = variant((p) => {
+    p.pricing_logic.temperature = "HOT";
+    p.pricing_logic.recommended_focus = "one-off first";
+    p.tiers[0].monthly_price = undefined;
+    p.tiers[0].price_monthly = 950;
+    p.tiers[1].monthly_price = "$1,450/mo";
+    p.tiers[2].scope = "- Voice agent\n- Local SEO";
+    p.next_steps = "Book a call; Pick a tier";
+  });
+  const before = structuredClone(input);
+  const { proposal, repaired } = normalizeProposal(input);
+
+  assert.deepEqual(input, before);
+  assert.equal(proposal.pricing_logic.temperature, "Hot");
+  assert.equal(proposal.pricing_logic.recommended_focus, "One-Off First");
+  assert.equal(proposal.tiers[0].monthly_price, 950);
+  assert.equal(proposal.tiers[1].monthly_price, 1450);
+  assert.deepEqual(proposal.tiers[2].scope, ["Voice agent", "Local SEO"]);
+  assert.deepEqual(proposal.next_steps, ["Book a call", "Pick a tier"]);
+  assert.deepEqual(repaired.sort(), [
+    "next_steps",
+    "pricing_logic.recommended_focus",
+    "pricing_logic.temperature",
+    "tiers[0].monthly_price",
+    "tiers[1].monthly_price",
+    "tiers[2].scope"
+  ]);
+});
+
+test("applyProposalDefaults fills non-critical fields only", () => {
+  const broken = variant((p) => {
+    p.pricing_logic.complexity = "Hard";
+    p.next_steps = [];
+    p.one_off_services = p.one_off_services.slice(1);
+    p.tiers[0].scope = [];
+  });
+  const { proposal, defaulted, errors } = applyProposalDefaults(broken);
+
+  assert.equal(proposal.pricing_logic.complexity, "Moderate");
+  assert.equal(proposal.next_steps[0], "Book a 20-minute activation call with Lumen Labs");
+  assert.equal(proposal.one_off_services[0].use_case, "Optional add-on: Voice Agent");
+  assert.deepEqual(defaulted, ["pricing_logic.complexity", "next_steps", "one_off_services[0]"]);
+  // Tier scope is critical: still failing, never defaulted.
+  assert.deepEqual(paths(errors), ["tiers[0].scope"]);
+});
+
+test("applyProposalDefaults writes its copy in the proposal's locale", () => {
+  const broken = variant((p) => {
+    delete p.pricing_logic.reasoning;
+    p.next_steps = [];
+    p.one_off_services = p.one_off_services.slice(1);
+  });
+  const es = applyProposalDefaults(broken, undefined, "es").proposal;
+  assert.equal(es.pricing_logic.reasoning, "Recomendado a partir de los datos del formulario.");
+  assert.equal(es.next_steps[0], "Agenda una llamada de activación de 20 minutos con Lumen Labs");
+  assert.equal(es.one_off_services[0].use_case, "Complemento opcional: Voice Agent");
+
+  // Enum defaults are schema values, not copy.
+  assert.equal(applyProposalDefaults(variant((p) => { p.pricing_logic.temperature = "x"; }), undefined, "es").proposal.pricing_logic.temperature, "Warm");
+  assert.equal(applyProposalDefaults(broken, undefined, "fr").proposal.next_steps[0], "Book a 20-minute activation call with Lumen Labs");
+});
@@ -0,0 +1,71 @@
+// test/proposal.test.js
+// Public proposal reads: view token required, and the record (acceptance included) is redacted.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { kvSetJson } from "../lib/storage.js";
+import { signViewToken } from "../lib/proposal-access.js";
+import proposalHandler from "../api/proposal.js";
+import acceptHandler from "../api/accept.js";
+import { callHandler } from "./support/http.js";
+
+process.env.STORAGE_BACKEND = "memory";
+process.env.RATE_LIMITS_DISABLED = "1";
+process.env.PROPOSAL_TOKEN_SECRET = "test-secret";
+
+const PID = "ACCEPTED0000000000000001";
+
+async function storeReadyProposal(pid) {
+  await kvSetJson(`proposal:${pid}`, {
+    pid,
+    created_at: "2026-01-01T00:00:00.000Z",
+    status: "ready",
+    intake: { full_name: "Dana Reyes", email: "dana@acme.test", phone: "555-0100", business_name: "Acme", zion_notes: { buyer: "Homeowners" } },
+    lead_score: { score: 80, band: "Hot" },
+    proposal: { tiers: [{ name: "Elevate", monthly_price: 1450, activation_fee: 500 }], one_off_services: [] },
+    version: 1
+  });
+  return signViewToken(pid).token;
+}
+
+function read(pid, token) {
+  return callHandler(proposalHandler, { method: "GET", url: `/api/proposal?pid=${pid}&token=${token}` });
+}
+
+test("reading a proposal needs its view token", async () => {
+  await storeReadyProposal(PID);
+  const r = await read(PID, "forged.token");
+  assert.equal(r.status, 401);
+  assert.equal(r.json.code, "invalid_token");
+});
+
+test("the public record leaves out contact details and the signer's name", async () => {
+  const token = await storeReadyProposal(PID);
+  const accept = {
+    pid: PID,
+    token,
+    selection: { type: "tier", name: "Elevate" },
+    signer_name: "Dana Reyes",
+    agree: true
+  };
+  const accepted = await callHandler(acceptHandler, { body: accept });
+  assert.equal(accepted.status, 200);
+  assert.equal(accepted.json.acceptance.signer_name, "Dana Reyes");
+
+  const r = await read(PID, token);
+  assert.equal(r.status, 200);
+  const { record } = r.json;
+  assert.deepEqual(Object.keys(record.acceptance).sort(), ["accepted_at", "name", "price_snapshot", "type"]);
+  assert.equal(record.acceptance.name, "Elevate");
+  assert.equal(record.acceptance.accepted_at, accepted.json.acceptance.accepted_at);
+  assert.equal(record.intake.business_name, "Acme");
+  for (const secret of ["Dana Reyes", "dana@acme.test", "555-0100", "Homeowners"]) {
+    assert.equal(r.body.includes(secret), false, `${secret} leaked`);
+  }
+
+  // Repeating the acceptance with another name does not reveal the stored signer either.
+  const again = await callHandler(acceptHandler, { body: { ...accept, signer_name: "Someone Else" } });
+  assert.equal(again.status, 200);
+  assert.equal(again.json.acceptance.signer_name, undefined);
+  assert.equal(again.body.includes("Dana Reyes"), false);
+});
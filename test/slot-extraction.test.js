@@ -0,0 +1,80 @@
+// test/slot-extraction.test.js
+// LLM slot extraction with a stubbed Gemini endpoint (fetch): label filtering, errors, the latency budget, and
+// the gate's deterministic fallback.
+
+import { afterEach, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { extractSlots, extractionMode } from "../lib/slot-extraction.js";
+import handler from "../api/zion.js";
+import { callHandler } from "./support/http.js";
+
+process.env.STORAGE_BACKEND = "memory";
+process.env.RATE_LIMITS_DISABLED = "1";
+
+const LABELS = { goals: ["Leads", "Sales"], industries: ["Legal"], buyers: ["Businesses"] };
+
+function geminiReply(slots) {
+  const body = { candidates: [{ content: { role: "model", parts: [{ text: JSON.stringify(slots) }] } }] };
+  return new Response(JSON.stringify(body), { status: 200, headers: { "content-type": "application/json" } });
+}
+
+beforeEach(() => {
+  process.env.GEMINI_API_KEY = "test-key";
+});
+
+afterEach(() => {
+  delete process.env.GEMINI_API_KEY;
+  delete process.env.ZION_EXTRACTION_MODE;
+});
+
+test("llm mode needs both the flag and an API key", () => {
+  assert.equal(extractionMode(), "deterministic");
+  process.env.ZION_EXTRACTION_MODE = "LLM";
+  assert.equal(extractionMode(), "llm");
+  delete process.env.GEMINI_API_KEY;
+  assert.equal(extractionMode(), "deterministic");
+});
+
+test("slots outside the gate's label sets are dropped", async (t) => {
+  t.mock.method(globalThis, "fetch", async () =>
+    geminiReply({ goal: "Leads", industry: "Plumbing", buyer: "Businesses", metric: "  20 leads a month " }));
+
+  const r = await extractSlots({ message: "20 leads a month for my firm", stageHint: "goal", labels: LABELS });
+  assert.equal(r.ok, true);
+  assert.deepEqual(r.slots, { goal: "Leads", industry: "", buyer: "Businesses", metric: "20 leads a month" });
+});
+
+test("provider errors resolve with reason error instead of throwing", async (t) => {
+  t.mock.method(globalThis, "fetch", async () => new Response("unavailable", { status: 500 }));
+
+  const r = await extractSlots({ message: "leads", labels: LABELS });
+  assert.equal(r.ok, false);
+  assert.equal(r.reason, "error");
+});
+
+test("a call past the latency budget is aborted and reported as a timeout", async (t) => {
+  let aborted = false;
+  t.mock.method(globalThis, "fetch", (url, opts) => new Promise((resolve, reject) => {
+    opts?.signal?.addEventListener("abort", () => {
+      aborted = true;
+      reject(new Error("aborted"));
+    });
+  }));
+
+  const r = await extractSlots({ message: "leads", labels: LABELS, budgetMs: 30 });
+  assert.deepEqual([r.ok, r.reason], [false, "timeout"]);
+  assert.ok(r.latency_ms < 1000);
+  assert.equal(aborted, true);
+});
+
+test("the gate keeps its deterministic inference when extraction fails", async (t) => {
+  process.env.ZION_EXTRACTION_MODE = "llm";
+  t.mock.method(globalThis, "fetch", async () => new Response("unavailable", { status: 500 }));
+
+  await callHandler(handler, { body: { message: "", session_id: "sess-llm-fallback" } });
+  const r = await callHandler(handler, { body: { message: "more leads please", session_id: "sess-llm-fallback" } });
+  assert.equal(r.status, 200);
+  assert.equal(r.json.extraction.path, "fallback:error");
+  assert.equal(r.json.notes.primary_goal, "Leads");
+  assert.equal(r.json.field_sources.primary_goal, "fallback");
+});
@@ -0,0 +1,47 @@
+// test/storage.test.js
+// Memory backend: compare-and-set by record version, and counter TTLs.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { kvGet, kvGetJson, kvIncr, kvSetJson, kvSetJsonIfVersion } from "../lib/storage.js";
+
+process.env.STORAGE_BACKEND = "memory";
+
+test("kvSetJsonIfVersion treats a missing key as version 0", async () => {
+  assert.equal(await kvSetJsonIfVersion("cas:new", { version: 1 }, 1, 60), false);
+  assert.equal(await kvSetJsonIfVersion("cas:new", { version: 1 }, 0, 60), true);
+  assert.deepEqual(await kvGetJson("cas:new"), { version: 1 });
+});
+
+test("kvSetJsonIfVersion only writes over the expected version", async () => {
+  await kvSetJson("cas:rec", { version: 3, status: "ready" }, 60);
+
+  assert.equal(await kvSetJsonIfVersion("cas:rec", { version: 4, status: "stale" }, 2, 60), false);
+  assert.equal((await kvGetJson("cas:rec")).status, "ready");
+
+  assert.equal(await kvSetJsonIfVersion("cas:rec", { version: 4, status: "accepted" }, 3, 60), true);
+  assert.equal(await kvSetJsonIfVersion("cas:rec", { version: 4, status: "accepted twice" }, 3, 60), false);
+  assert.deepEqual(await kvGetJson("cas:rec"), { version: 4, status: "accepted" });
+});
+
+test("kvIncr sets the TTL when the counter is created and keeps it on later increments", async (t) => {
+  let now = 1_700_000_000_000;
+  t.mock.method(Date, "now", () => now);
+
+  assert.equal(await kvIncr("ctr:a", 10), 1);
+  now += 6_000;
+  // A later TTL must not push the expiry out.
+  assert.equal(await kvIncr("ctr:a", 10), 2);
+  now += 5_000;
+  assert.equal(await kvGet("ctr:a"), null);
+  assert.equal(await kvIncr("ctr:a", 10), 1);
+});
+
+test("kvIncr without a TTL never expires", async (t) => {
+  let now = 1_700_000_000_000;
+  t.mock.method(Date, "now", () => now);
+
+  await kvIncr("ctr:forever");
+  now += 365 * 24 * 3600 * 1000;
+  assert.equal(await kvIncr("ctr:forever"), 2);
+});
@@ -0,0 +1,39 @@
+// test/support/http.js
+// Minimal Node req/res doubles for calling api/* handlers directly.
+
+export function mockRes() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: "",
+    setHeader(k, v) { this.headers[k.toLowerCase()] = v; },
+    getHeader(k) { return this.headers[k.toLowerCase()]; },
+    flushHeaders() {},
+    write(chunk) { this.body += chunk; return true; },
+    end(chunk) { if (chunk) this.body += chunk; this.ended = true; },
+    on() {}
+  };
+}
+
+/**
+ * Calls `handler` with a request built from the options. `body` is sent as the raw stream (like a platform
+ * that does not pre-parse); pass `parsedBody` to hand it over as req.body instead.
+ * Resolves with { status, json, body, headers }.
+ */
+export async function callHandler(handler, { method = "POST", url = "/", headers = {}, body, parsedBody, ip = "203.0.113.7" } = {}) {
+  const chunks = body === undefined ? [] : [Buffer.from(typeof body === "string" ? body : JSON.stringify(body))];
+  const req = {
+    method,
+    url,
+    headers,
+    body: parsedBody,
+    socket: { remoteAddress: ip },
+    on() {},
+    async *[Symbol.asyncIterator]() { yield* chunks; }
+  };
+  const res = mockRes();
+  await handler(req, res);
+  let json = null;
+  try { json = JSON.parse(res.body); } catch {}
+  return { status: res.statusCode, json, body: res.body, headers: res.headers };
+}
@@ -0,0 +1,68 @@
+// test/target-metric.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { describeTargetMetric, parseTargetMetric } from "../lib/target-metric.js";
+
+function pick(text, ...fields) {
+  const parsed = parseTargetMetric(text);
+  return Object.fromEntries(fields.map((f) => [f, parsed[f]]));
+}
+
+test("ranges use the midpoint and normalize the period to 30 days", () => {
+  assert.deepEqual(pick("10–15 jobs a week", "range", "amount", "unit", "period", "target_30d"), {
+    range: { min: 10, max: 15 }, amount: 12.5, unit: "jobs", period: "week", target_30d: 54
+  });
+  assert.deepEqual(pick("between $10k and $15k a month", "range", "currency", "target_30d"), {
+    range: { min: 10000, max: 15000 }, currency: "USD", target_30d: 12500
+  });
+  // The scale on the upper bound applies to the bare lower bound.
+  assert.deepEqual(pick("$10-15k per month", "range", "unit"), { range: { min: 10000, max: 15000 }, unit: "revenue" });
+});
+
+test("currency symbols and words set the currency; bare revenue defaults to USD", () => {
+  assert.deepEqual(pick("€5k monthly", "amount", "currency", "period", "target_30d"), {
+    amount: 5000, currency: "EUR", period: "month", target_30d: 5000
+  });
+  assert.equal(parseTargetMetric("8000 pounds of revenue").currency, "GBP");
+  assert.equal(parseTargetMetric("20000 in sales").currency, "USD");
+  assert.equal(parseTargetMetric("40 leads").currency, null);
+});
+
+test("a period noun after the number is a window, a period adverb is a rate", () => {
+  assert.deepEqual(pick("50 leads in 60 days", "amount", "period", "period_days", "target_30d"), {
+    amount: 50, period: "days", period_days: 60, target_30d: 25
+  });
+  assert.deepEqual(pick("$5k monthly", "amount", "period", "target_30d"), { amount: 5000, period: "month", target_30d: 5000 });
+  assert.deepEqual(pick("10 jobs weekly", "period", "target_30d"), { period: "week", target_30d: 43 });
+});
+
+test("relative answers have no absolute target", () => {
+  assert.deepEqual(pick("double our calls", "relative", "unit", "target_30d"), {
+    relative: { type: "multiplier", value: 2 }, unit: "calls", target_30d: null
+  });
+  assert.deepEqual(parseTargetMetric("3x bookings").relative, { type: "multiplier", value: 3 });
+  assert.deepEqual(parseTargetMetric("30% more leads").relative, { type: "percent", value: 30 });
+  assert.deepEqual(parseTargetMetric("cut no-shows by 25%").relative, { type: "percent", value: -25 });
+  assert.deepEqual(pick("20 more leads", "relative", "amount"), { relative: { type: "increase", value: 20 }, amount: null });
+});
+
+test("no period stated means the amount is already a 30-day figure", () => {
+  assert.deepEqual(pick("$15k revenue", "amount", "period", "period_assumed", "target_30d"), {
+    amount: 15000, period: null, period_assumed: true, target_30d: 15000
+  });
+});
+
+test("empty and unparseable answers never throw and keep the raw text", () => {
+  for (const text of [undefined, null, "", "   "]) {
+    assert.deepEqual(pick(text, "raw", "amount", "relative", "target_30d"), { raw: "", amount: null, relative: null, target_30d: null });
+  }
+  assert.deepEqual(pick("no idea yet", "raw", "unit", "target_30d"), { raw: "no idea yet", unit: "", target_30d: null });
+  assert.equal(parseTargetMetric("x".repeat(500)).raw.length, 220);
+  assert.equal(describeTargetMetric(parseTargetMetric("no idea yet")), "");
+});
+
+test("describeTargetMetric summarizes the normalized target and the stated text", () => {
+  assert.equal(describeTargetMetric(parseTargetMetric("10-15 jobs a week")), "54 jobs per 30 days (stated: 10-15 jobs a week)");
+  assert.equal(describeTargetMetric(parseTargetMetric("30% more leads")), "+30% leads vs. today (stated: 30% more leads)");
+});
@@ -0,0 +1,95 @@
+// test/zion-flows.test.js
+
+import { afterEach, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  CAPTURE_STAGE,
+  loadFlows,
+  missingFields,
+  resolveNext,
+  stageSatisfied,
+  validateFlow
+} from "../lib/zion-flows.js";
+
+const INFERENCES = ["goal", "business", "metric"];
+
+afterEach(() => {
+  delete process.env.ZION_FLOWS_JSON;
+});
+
+function minimalFlow(overrides = {}) {
+  return {
+    id: "tiny",
+    stages: {
+      start: { next: "ask" },
+      ask: { prompt: { reply: "What do you need?" }, extract: [{ infer: "goal", fields: { primary_goal: "label" } }], next: CAPTURE_STAGE }
+    },
+    capture: { reply: "Open the intake." },
+    locked: { reply: "Complete the intake." },
+    ...overrides
+  };
+}
+
+test("the built-in flows are valid", () => {
+  for (const flow of Object.values(loadFlows())) {
+    assert.deepEqual(validateFlow(flow, INFERENCES), [], flow.id);
+  }
+});
+
+test("validateFlow reports structural problems by path", () => {
+  assert.deepEqual(validateFlow(null, INFERENCES), ["flow must be an object"]);
+  assert.deepEqual(validateFlow(minimalFlow(), INFERENCES), []);
+
+  const broken = minimalFlow({ max_user_inputs_before_intake: 0 });
+  broken.stages.ask.next = "nowhere";
+  broken.stages.ask.extract[0].infer = "horoscope";
+  broken.stages.ask.max_retries = -1;
+  broken.stages.capture = { prompt: { reply: "x" } };
+  delete broken.stages.start;
+  const errors = validateFlow(broken, INFERENCES);
+
+  for (const expected of [
+    "max_user_inputs_before_intake must be a positive integer",
+    "stages.start is required",
+    "stages.capture is reserved",
+    "stages.ask.extract[0].infer must be one of goal|business|metric",
+    "stages.ask.max_retries must be a non-negative integer",
+    'stages.ask.next points at unknown stage "nowhere"'
+  ]) {
+    assert.ok(errors.includes(expected), `missing "${expected}" in ${JSON.stringify(errors)}`);
+  }
+});
+
+test("resolveNext takes the first matching branch, else capture", () => {
+  const next = [
+    { when: { field: "buyer", missing: true }, to: "buyer" },
+    { when: { field: "industry", in: ["Legal", "Healthcare"] }, to: "compliance" },
+    { when: { field: "primary_goal", equals: "Leads" }, to: "volume" }
+  ];
+  assert.equal(resolveNext("metric", {}), "metric");
+  assert.equal(resolveNext(next, {}), "buyer");
+  assert.equal(resolveNext(next, { buyer: "Businesses", industry: "Legal" }), "compliance");
+  assert.equal(resolveNext(next, { buyer: "Businesses", primary_goal: "Leads" }), "volume");
+  assert.equal(resolveNext(next, { buyer: "Businesses" }), CAPTURE_STAGE);
+  assert.equal(resolveNext([...next, { to: "metric" }], { buyer: "Businesses" }), "metric");
+});
+
+test("stageSatisfied and missingFields follow require_any", () => {
+  const flow = loadFlows().default;
+  assert.equal(stageSatisfied(flow.stages.goal, {}), false);
+  assert.equal(stageSatisfied(flow.stages.goal, { primary_goal_raw: "grow" }), true);
+  assert.equal(stageSatisfied(flow.stages.start, {}), true);
+  assert.deepEqual(missingFields(flow, { primary_goal: "Leads", target_metric: "lots" }), ["industry", "target_metric_number"]);
+  assert.deepEqual(missingFields(flow, { primary_goal: "Leads", industry: "Legal", target_metric_change: "2x" }), []);
+});
+
+test("ZION_FLOWS_JSON adds and overrides flows by id", () => {
+  process.env.ZION_FLOWS_JSON = JSON.stringify([minimalFlow(), minimalFlow({ id: "default" })]);
+  const flows = loadFlows();
+  assert.equal(flows.tiny.id, "tiny");
+  assert.equal(flows.default.stages.ask.prompt.reply, "What do you need?");
+  assert.ok(flows.home_services);
+
+  process.env.ZION_FLOWS_JSON = "{not json";
+  assert.throws(() => loadFlows(), /ZION_FLOWS_JSON is not valid JSON/);
+});
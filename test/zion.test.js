@@ -0,0 +1,113 @@
+// test/zion.test.js
+// /api/zion session handling: state lives server-side and client-sent notes are never trusted in its place.
+
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import handler from "../api/zion.js";
+import { callHandler } from "./support/http.js";
+
+process.env.STORAGE_BACKEND = "memory";
+process.env.RATE_LIMITS_DISABLED = "1";
+
+const scratch = mkdtempSync(join(tmpdir(), "zion-test-"));
+after(() => rmSync(scratch, { recursive: true, force: true }));
+
+test("the stage advances across turns that send only the message", async () => {
+  const first = await callHandler(handler, { body: { message: "", session_id: "sess-advance" } });
+  assert.equal(first.status, 200);
+  assert.equal(first.json.session_version, 1);
+
+  const second = await callHandler(handler, { body: { message: "more booked estimates", session_id: "sess-advance" } });
+  assert.equal(second.status, 200);
+  assert.equal(second.json.session_version, 2);
+  assert.notEqual(second.json.stage, first.json.stage);
+  assert.equal(second.json.notes.primary_goal, "Bookings");
+});
+
+test("stored notes win over notes sent by the client", async () => {
+  await callHandler(handler, { body: { message: "", session_id: "sess-forged" } });
+  const r = await callHandler(handler, {
+    body: { message: "leads", session_id: "sess-forged", notes: { stage: "capture", capture_locked: true, turn: 9 } }
+  });
+  assert.equal(r.status, 200);
+  assert.notEqual(r.json.stage, "capture");
+  assert.notEqual(r.json.notes.capture_locked, true);
+});
+
+test("a failing session store answers 503 instead of falling back to client notes", async (t) => {
+  // A directory is not a readable storage file, so every storage call throws StorageError.
+  process.env.STORAGE_BACKEND = "file";
+  process.env.STORAGE_FILE = scratch;
+  t.after(() => {
+    process.env.STORAGE_BACKEND = "memory";
+    delete process.env.STORAGE_FILE;
+  });
+
+  const r = await callHandler(handler, {
+    body: { message: "leads", session_id: "sess-down", notes: { stage: "capture", capture_locked: true } }
+  });
+  assert.equal(r.status, 503);
+  assert.equal(r.json.session_id, "sess-down");
+  assert.equal(r.json.notes, undefined);
+});
+
+test("an unknown flow answers 400 and a broken flow config answers 500, both as JSON", async (t) => {
+  const unknown = await callHandler(handler, { body: { message: "", session_id: "sess-flow-unknown", flow: "nope" } });
+  assert.equal(unknown.status, 400);
+  assert.match(unknown.json.error, /Invalid flow "nope"/);
+
+  // Resolved flows are cached per id, so ask for one this process has not resolved yet.
+  process.env.ZION_FLOWS_JSON = "{not json";
+  t.after(() => delete process.env.ZION_FLOWS_JSON);
+  const broken = await callHandler(handler, { body: { message: "", session_id: "sess-flow-broken", flow: "vertical_x" } });
+  assert.equal(broken.status, 500);
+  assert.match(broken.json.error, /ZION_FLOWS_JSON/);
+});
+
+test("the home_services flow asks for the trade first", async () => {
+  const r = await callHandler(handler, { body: { message: "", session_id: "sess-trades", flow: "home_services" } });
+  assert.equal(r.status, 200);
+  assert.equal(r.json.stage, "trade");
+  assert.equal(r.json.notes.flow, "home_services");
+});
+
+test("a non-answer is clarified once per stage, then the gate moves on", async () => {
+  const session_id = "sess-clarify";
+  const send = async (message) => (await callHandler(handler, { body: { message, session_id } })).json;
+
+  const opened = await send("");
+  assert.equal(opened.stage, "goal");
+
+  const clarified = await send("idk");
+  assert.equal(clarified.stage, "goal");
+  assert.deepEqual(clarified.choices, ["Leads", "Booked estimates", "Revenue"]);
+  assert.ok(clarified.missing_fields.includes("primary_goal"));
+  assert.deepEqual(clarified.notes.retries, { goal: 1 });
+  assert.equal(clarified.notes.primary_goal_raw, undefined);
+
+  // The retry budget (max_retries, default 1) is spent: advance rather than loop.
+  const advanced = await send("not sure");
+  assert.equal(advanced.stage, "business");
+  assert.equal(advanced.choices, undefined);
+});
+
+test("an answer that fills none of require_any is clarified like a non-answer", async () => {
+  const session_id = "sess-clarify-metric";
+  const send = async (message) => (await callHandler(handler, { body: { message, session_id } })).json;
+
+  await send("");
+  await send("more leads");
+  const metric = await send("We are a law firm for businesses");
+  assert.equal(metric.stage, "metric");
+
+  const clarified = await send("just better results");
+  assert.equal(clarified.stage, "metric");
+  assert.ok(clarified.missing_fields.includes("target_metric_number"));
+
+  const done = await send("20 leads");
+  assert.equal(done.stage, "capture");
+  assert.deepEqual(done.missing_fields, []);
+});